@@ -1,25 +1,45 @@
+import {appendUrlParam} from './operationKit';
+import NamespacedStorage from './storage/NamespacedStorage';
+
 /**
  * cookie管理器
  * 利用前端存储，模拟实现web中的cookie逻辑，详见{@tutorial 2.4-cookie}
- * 注：目前仅支持基础的取值赋值操作，domain、path、expires等各种配置选项暂未支持，会予以忽略
+ * 支持domain、path、expires、max-age、secure等配置选项：
+ * 1. 指定url读取时，只返回与该url匹配的cookie（域名、路径、https）
+ * 2. 过期的cookie会被自动清除，设置过期时间为过去的时间即可删除cookie
+ * 3. 未指定url写入的cookie（如前端调用set写入的cookie），对所有域名生效
+ *
+ * 存储读写通过{@link NamespacedStorage}进行，可以通过storage参数指定命名空间、加密等配置；
+ * 使用同一storage key的多个实例之间会自动同步（不再使用的实例需通过{@link Cookie#dispose}销毁），cookie变化时可以通过{@link Cookie#onChange}监听；
+ * 此外还支持与web-view中的H5页面同步cookie，参见{@link Cookie#toWebViewUrl}、{@link Cookie#receiveFromWebView}
  */
 class Cookie {
   _cookieStorage = ''; //cookie相关信息存储到storage时使用的key
-  _cookieStr = ''; //当前cookie列表，格式：'key1=value1;key2=value2'
+  _storage = null; //存储管理器
+  _jar = null; //cookie列表，元素格式参见{@link Cookie~CookieEntry}，null表示尚未从storage中读取
+  _changeHandlers = []; //变化监听列表，元素格式：{key, handler}
 
   /**
    * 构造函数
    * @param {string} [cookieStorageName='__cookie'] cookie相关信息存储到storage时使用的key
+   * @param {NamespacedStorage} [storage] 存储管理器，可用于指定命名空间、开启加密、替换底层存储等，不传时使用默认配置
    */
-  constructor({cookieStorageName='__cookie'}={}){
+  constructor({cookieStorageName='__cookie', storage}={}){
     this._cookieStorage = cookieStorageName;
+    this._storage = storage || new NamespacedStorage();
+
+    //登记实例，以便同一storage key的多个实例之间同步
+    let siblings = instanceMap.get(cookieStorageName) || [];
+    siblings.push(this);
+    instanceMap.set(cookieStorageName, siblings);
   }
 
   /**
    * 读取指定cookie
    * key未传时，返回全部cookie
    * @param {string} [key] 要读取的key
-   * @param {object} [options] 配置选项（暂未支持）
+   * @param {object} [options] 配置选项
+   * @param {string} [options.url] 只读取与该url匹配的cookie，不传时读取全部cookie
    * @return {string | object} cookie中key对应的value | 未传key时，返回全部key-value组成的对象
    * @example
    * //假设当前环境所有cookie为：a=1;b=2;c=3
@@ -27,8 +47,8 @@ class Cookie {
    * cookie.get('nonExist'); //返回值：'',  cookie中不存在指定key时，会返回空串
    * cookie.get(); //返回值：{a:'1', b:'2', c:'3'}，未传key时，会返回全部key-value组成的对象
    */
-  get(key, options){
-    let cookieStr = this.getCookie();
+  get(key, options={}){
+    let cookieStr = this.getCookie(options);
     let cookieObj = Cookie.cookieStrToObj(cookieStr);
     return key === undefined ? cookieObj : (cookieObj[key] || '');
   }
@@ -37,30 +57,66 @@ class Cookie {
    * 写入指定cookie
    * @param {string} key 要写入的key
    * @param {string} value 要写入的value
-   * @param {object} [options] 配置选项（暂未支持）
+   * @param {object} [options] 配置选项
+   * @param {string} [options.domain] 生效域名，不传时对所有域名生效
+   * @param {string} [options.path='/'] 生效路径
+   * @param {Date|number|string} [options.expires] 过期时间，不传时长期有效
+   * @param {number} [options.maxAge] 有效期，单位：s，优先级高于expires，<=0时删除该cookie
+   * @param {boolean} [options.secure=false] 是否只在https请求中携带
+   * @example
+   * cookie.set('lon', '120'); //对所有域名生效，长期有效
+   * cookie.set('token', 'xxx', {domain: 'a.com', maxAge: 3600}); //只对a.com及其子域名生效，1小时后过期
+   * cookie.set('token', '', {domain: 'a.com', maxAge: 0}); //删除
    */
-  set(key, value, options){
-    this.setCookie(`${key}=${value};`);
+  set(key, value, options={}){
+    let {domain, path, expires, maxAge, secure} = options;
+    let setStr = `${key}=${value}`;
+    if (domain)
+      setStr += `; Domain=${domain}`;
+    if (path)
+      setStr += `; Path=${path}`;
+    if (expires !== undefined)
+      setStr += `; Expires=${new Date(expires).toUTCString()}`;
+    if (maxAge !== undefined)
+      setStr += `; Max-Age=${Math.floor(maxAge)}`;
+    if (secure)
+      setStr += '; Secure';
+    this.setCookie(setStr);
   }
 
   /**
    * 获取当前可访问的cookie字符串
+   * 同名cookie有多条时（如不同路径），只返回最匹配的一条：路径更长的 > 指定了域名的 > 对所有域名生效的
+   * @param {object} [options] 配置选项
+   * @param {string} [options.url] 只返回与该url匹配的cookie，不传时返回全部cookie
    * @return {string} cookie字符串，形如：'key1=value1;key2=value2'（类似web中读取document.cookie）
    */
-  getCookie(){
-    // 优先尝试从内存中读取，尽量减少访问storage的开销
-    if(this._cookieStr)
-      return this._cookieStr;
-    
-    this._cookieStr = wx.getStorageSync(this._cookieStorage);
-    return this._cookieStr;
+  getCookie({url}={}){
+    let target = url ? parseUrl(url) : null;
+    let entries = this._getEntries();
+    if (target)
+      entries = entries.filter(entry=>matchEntry(entry, target));
+
+    //按匹配程度从低到高排序，合并时匹配程度高的覆盖匹配程度低的
+    entries = entries.slice().sort((e1, e2)=>(
+      (e1.path.length - e2.path.length) ||
+      ((e1.domain ? 1 : 0) - (e2.domain ? 1 : 0)) ||
+      (e1.createTime - e2.createTime)
+    ));
+
+    let cookieObj = {};
+    for (let entry of entries)
+      cookieObj[entry.name] = entry.value;
+    return Cookie.cookieObjToStr(cookieObj);
   }
 
   /**
    * 写入cookie
-   * @param {string} setStr 写入指令，格式形如：'key1=value1; path=/;'（类似web中document.cookie赋值）
+   * @param {string} setStr 写入指令，格式形如：'key1=value1; path=/;'（类似web中document.cookie赋值，或http返回头部中的Set-Cookie）
+   * @param {object} [options] 配置选项
+   * @param {string} [options.url] 返回该Set-Cookie的请求url，用于确定默认域名和路径，不传时对所有域名生效
    */
-  setCookie(setStr){
+  setCookie(setStr, {url}={}){
     //参数处理
     setStr = setStr.trim();
     
@@ -70,14 +126,14 @@ class Cookie {
     let configOptions = {}; //配置项：domain、path、expires等
     
     //字段解析
-    let fieldStrArr = setStr.split(/\s*;\s*/);
+    let fieldStrArr = setStr.split(/\s*;\s*/).filter(fieldStr=>!!fieldStr);
     for (let [fieldIdx, fieldStr] of fieldStrArr.entries()) {
       let sepIdx = fieldStr.indexOf('=');
-      let name = fieldStr.substring(0, sepIdx);
-      let value = fieldStr.substring(sepIdx+1);
+      let name = sepIdx < 0 ? fieldStr : fieldStr.substring(0, sepIdx); //secure、httponly等配置项没有值
+      let value = sepIdx < 0 ? '' : fieldStr.substring(sepIdx+1);
       
       if (fieldIdx === 0) { //第一个选项，认为是要赋值的key
-        setKey = name;
+        setKey = sepIdx < 0 ? '' : name;
         setValue = value;
       } else { //其它选项，认为是配置项
         configOptions[name.toLowerCase()] = value;
@@ -89,13 +145,313 @@ class Cookie {
       console.error('[setCookie] bad param, no key found:', setStr);
       return;
     }
-    
-    //更新cookie（配置项暂予忽略）
-    this._cookieStr = Cookie.mergeCookieStr(this._cookieStr, `${setKey}=${setValue};`);
-    wx.setStorage({
-      key: this._cookieStorage,
-      data: this._cookieStr,
-    });
+
+    let target = url ? parseUrl(url) : null;
+    let now = Date.now();
+
+    //域名：指定了domain时对该域名及其子域名生效，否则只对当前请求域名生效，未指定url时对所有域名生效
+    let domain = '';
+    let hostOnly = false;
+    if (configOptions.domain) {
+      domain = configOptions.domain.replace(/^\./, '').toLowerCase();
+      if (target && !matchDomain(target.host, domain)) {
+        console.warn('[setCookie] domain mismatch, ignored:', setStr, 'url:', url);
+        return;
+      }
+    } else if (target) {
+      domain = target.host;
+      hostOnly = true;
+    }
+
+    //路径：未指定时，取请求路径所在目录
+    let path = configOptions.path && configOptions.path[0] === '/' ? configOptions.path : (target ? defaultPath(target.path) : '/');
+
+    //过期时间：max-age优先于expires，都未指定时长期有效
+    let expires = null;
+    if ('max-age' in configOptions && /^-?\d+$/.test(configOptions['max-age'])) {
+      expires = now + Number(configOptions['max-age']) * 1000;
+    } else if (configOptions.expires) {
+      let time = new Date(configOptions.expires).getTime();
+      expires = isNaN(time) ? null : time;
+    }
+
+    //更新cookie：先删除同名同域名同路径的旧记录，未过期时再写入新记录
+    let jar = this._getEntries().filter(entry=>!(entry.name === setKey && entry.domain === domain && entry.path === path));
+    if (expires === null || expires > now) {
+      jar.push({
+        name: setKey,
+        value: setValue,
+        domain,
+        hostOnly,
+        path,
+        expires,
+        secure: 'secure' in configOptions,
+        httpOnly: 'httponly' in configOptions,
+        createTime: now,
+      });
+    }
+
+    this._updateJar(jar);
+  }
+
+  /**
+   * 删除指定cookie
+   * @param {string} key 要删除的key
+   * @param {object} [options] 配置选项
+   * @param {string} [options.domain] 只删除该域名下的cookie，不传时删除所有域名下的同名cookie
+   * @param {string} [options.path] 只删除该路径下的cookie，不传时删除所有路径下的同名cookie
+   */
+  remove(key, {domain, path}={}){
+    domain = domain === undefined ? undefined : domain.replace(/^\./, '').toLowerCase();
+    this._updateJar(this._getEntries().filter(entry=>!(
+      entry.name === key &&
+      (domain === undefined || entry.domain === domain) &&
+      (path === undefined || entry.path === path)
+    )));
+  }
+
+  /**
+   * 清空全部cookie
+   */
+  clear(){
+    this._updateJar([]);
+  }
+
+  /**
+   * 导出全部cookie（包括domain、path、过期时间等信息），可用于多账号切换时暂存当前账号的cookie
+   * @return {Array<Cookie~CookieEntry>}
+   */
+  exportJar(){
+    return this._getEntries().map(entry=>Object.assign({}, entry));
+  }
+
+  /**
+   * 以导出的cookie整体替换当前全部cookie，会正常触发变化监听
+   * @param {Array<Cookie~CookieEntry>} jar 通过{@link Cookie#exportJar}导出的cookie列表
+   */
+  importJar(jar){
+    this._updateJar((jar || []).map(entry=>Object.assign({}, entry)));
+  }
+
+  /**
+   * 监听cookie变化（包括写入、修改、删除、过期，以及同一storage key的其它实例中发生的变化）
+   * @param {string} [key] 要监听的key，不传时监听全部cookie
+   * @param {Cookie~ChangeHandler} handler 处理函数
+   * @example
+   * cookie.onChange('token', ({value, removed})=>{
+   *   console.log(removed ? 'token已删除' : 'token已更新：'+value);
+   * });
+   */
+  onChange(key, handler){
+    if (typeof key === 'function') {
+      handler = key;
+      key = undefined;
+    }
+    this._changeHandlers.push({key, handler});
+  }
+
+  /**
+   * 取消监听cookie变化
+   * @param {string} [key] 监听时指定的key
+   * @param {Cookie~ChangeHandler} handler 处理函数
+   */
+  offChange(key, handler){
+    if (typeof key === 'function') {
+      handler = key;
+      key = undefined;
+    }
+    this._changeHandlers = this._changeHandlers.filter(item=>!(item.key === key && item.handler === handler));
+  }
+
+  /**
+   * 销毁实例：取消登记，不再与同一storage key的其它实例同步，并移除全部变化监听
+   * 实例会被模块内部登记以便同步，临时创建的实例不再使用时需调用该函数，否则无法被回收
+   */
+  dispose(){
+    let siblings = (instanceMap.get(this._cookieStorage) || []).filter(instance=>instance !== this);
+    siblings.length ? instanceMap.set(this._cookieStorage, siblings) : instanceMap.delete(this._cookieStorage);
+    this._changeHandlers = [];
+  }
+
+  /**
+   * 将cookie拼入web-view页面url，供H5页面读取后写入document.cookie
+   * 只拼入与该url匹配的cookie
+   * @param {string} url web-view页面url
+   * @param {object} [options] 配置选项
+   * @param {string} [options.paramName='__cookie'] 参数名
+   * @param {Array<string>} [options.keys] 只拼入指定的cookie，不传时拼入全部匹配的cookie
+   * @return {string} 拼入cookie后的url
+   * @example
+   * //小程序页面
+   * this.webViewSrc = cookie.toWebViewUrl('https://m.a.com/page#/detail');
+   *
+   * //H5页面
+   * let cookieStr = decodeURIComponent(new URL(location.href).searchParams.get('__cookie') || '');
+   * cookieStr.split(';').filter(pair=>!!pair).forEach(pair=>document.cookie = `${pair}; path=/`);
+   */
+  toWebViewUrl(url, {paramName='__cookie', keys}={}){
+    let cookieObj = Cookie.cookieStrToObj(this.getCookie({url}));
+    if (keys) {
+      for (let key in cookieObj) {
+        if (!keys.includes(key))
+          delete cookieObj[key];
+      }
+    }
+
+    //hash部分不参与拼接，以免影响H5页面路由
+    let hashIndex = url.indexOf('#');
+    let hash = hashIndex < 0 ? '' : url.substring(hashIndex);
+    let mainUrl = hashIndex < 0 ? url : url.substring(0, hashIndex);
+
+    return appendUrlParam(mainUrl, {
+      [paramName]: encodeURIComponent(Cookie.cookieObjToStr(cookieObj)),
+    }) + hash;
+  }
+
+  /**
+   * 接收web-view页面回传的cookie
+   * H5页面通过wx.miniProgram.postMessage回传cookie，小程序在web-view的message事件中调用本函数
+   * 回传内容支持两种格式：document.cookie格式的字符串，或Set-Cookie格式的字符串数组
+   * @param {Array<object>|object} messages message事件中的e.detail.data，只处理其中携带了__cookie字段的消息
+   * @param {string} [url] web-view页面url，未指定domain时，cookie只对该url域名生效
+   * @param {string} [domain] 生效域名，e.g. 'a.com'，使H5写入的登录态对该域名及其子域名下的接口均生效
+   * @example
+   * //H5页面
+   * wx.miniProgram.postMessage({data: {__cookie: document.cookie}});
+   *
+   * //小程序页面：<web-view src="{{webViewSrc}}" bindmessage="onWebViewMessage"/>
+   * onWebViewMessage(e){
+   *   cookie.receiveFromWebView({messages: e.detail.data, url: this.webViewSrc, domain: 'a.com'});
+   * }
+   */
+  receiveFromWebView({messages, url, domain}){
+    messages = Array.isArray(messages) ? messages : [messages];
+
+    for (let msg of messages) {
+      let data = msg && msg.__cookie;
+      if (!data)
+        continue;
+
+      //document.cookie格式：'key1=value1; key2=value2'，不含配置项，按需补充domain
+      //Set-Cookie格式：['key1=value1; Max-Age=3600', ...]，按原样处理
+      let setStrs = Array.isArray(data) ?
+        data :
+        String(data).split(/\s*;\s*/).filter(pair=>pair.includes('=')).map(pair=>domain ? `${pair}; Domain=${domain}; Path=/` : `${pair}; Path=/`);
+
+      for (let setStr of setStrs)
+        this.setCookie(setStr, {url});
+    }
+  }
+
+  /**
+   * 更新cookie列表：写入storage，同步给同一storage key的其它实例，并通知变化
+   * @param {Array<Cookie~CookieEntry>} jar 新的cookie列表
+   * @private
+   */
+  _updateJar(jar){
+    let oldJar = this._jar || [];
+    let siblings = this._getSiblings();
+
+    this._jar = jar;
+    this._saveStorage();
+    for (let sibling of siblings)
+      sibling._jar = jar.slice();
+
+    let changes = diffJar(oldJar, jar);
+    if (!changes.length)
+      return;
+    for (let instance of [this, ...siblings])
+      instance._notifyChanges(changes);
+  }
+
+  /**
+   * 获取实际存储位置相同的其它实例
+   * @return {Array<Cookie>}
+   * @private
+   */
+  _getSiblings(){
+    let fullKey = this._storage.resolveKey(this._cookieStorage);
+    return (instanceMap.get(this._cookieStorage) || []).filter(instance=>
+      instance !== this && instance._storage.resolveKey(instance._cookieStorage) === fullKey
+    );
+  }
+
+  /**
+   * 通知cookie变化
+   * @param {Array<Cookie~ChangeInfo>} changes 变化列表
+   * @private
+   */
+  _notifyChanges(changes){
+    for (let change of changes) {
+      for (let {key, handler} of this._changeHandlers.slice()) {
+        if (key !== undefined && key !== change.key)
+          continue;
+        try {
+          handler(change);
+        } catch (e) {
+          console.error('[Cookie] onChange handler error:', e);
+        }
+      }
+    }
+  }
+
+  /**
+   * 获取未过期的cookie列表，过期的cookie会被清除
+   * @return {Array<Cookie~CookieEntry>}
+   * @private
+   */
+  _getEntries(){
+    // 优先尝试从内存中读取，尽量减少访问storage的开销
+    if (!this._jar) {
+      let sibling = this._getSiblings().find(instance=>instance._jar);
+      this._jar = sibling ? sibling._jar.slice() : this._loadStorage();
+    }
+
+    let now = Date.now();
+    let validEntries = this._jar.filter(entry=>entry.expires === null || entry.expires > now);
+    if (validEntries.length !== this._jar.length)
+      this._updateJar(validEntries);
+    return this._jar;
+  }
+
+  /**
+   * 从storage中读取cookie列表，兼容旧版本的'key1=value1;key2=value2'格式
+   * @return {Array<Cookie~CookieEntry>}
+   * @private
+   */
+  _loadStorage(){
+    let stored = this._storage.get(this._cookieStorage) || '';
+
+    //旧版本格式，转为对所有域名生效的cookie
+    if (typeof stored === 'string' && stored.trim()[0] !== '[') {
+      let cookieObj = Cookie.cookieStrToObj(stored);
+      return Object.keys(cookieObj).map(name=>({
+        name,
+        value: cookieObj[name],
+        domain: '',
+        hostOnly: false,
+        path: '/',
+        expires: null,
+        secure: false,
+        httpOnly: false,
+        createTime: 0,
+      }));
+    }
+
+    try {
+      return typeof stored === 'string' ? JSON.parse(stored) : stored;
+    } catch (e) {
+      console.error('[Cookie] failed to load cookies from storage:', e);
+      return [];
+    }
+  }
+
+  /**
+   * 将cookie列表写入storage
+   * @private
+   */
+  _saveStorage(){
+    this._storage.set(this._cookieStorage, this._jar);
   }
 
   /**
@@ -148,6 +504,138 @@ class Cookie {
   }
 }
 
+//各storage key对应的实例列表，用于多个实例之间同步，key: storage key，value: Array<Cookie>
+const instanceMap = new Map();
+
+/**
+ * 比较cookie列表的变化
+ * @ignore
+ * @param {Array<Cookie~CookieEntry>} oldJar 旧列表
+ * @param {Array<Cookie~CookieEntry>} newJar 新列表
+ * @return {Array<Cookie~ChangeInfo>} 变化列表
+ */
+function diffJar(oldJar, newJar) {
+  let makeId = entry=>`${entry.name};${entry.domain};${entry.path}`;
+  let oldMap = new Map(oldJar.map(entry=>[makeId(entry), entry]));
+  let newMap = new Map(newJar.map(entry=>[makeId(entry), entry]));
+  let changes = [];
+
+  for (let [id, entry] of newMap) {
+    let oldEntry = oldMap.get(id);
+    if (oldEntry && oldEntry.value === entry.value)
+      continue;
+    changes.push({key: entry.name, value: entry.value, oldValue: oldEntry ? oldEntry.value : '', domain: entry.domain, path: entry.path, removed: false});
+  }
+
+  for (let [id, entry] of oldMap) {
+    if (!newMap.has(id))
+      changes.push({key: entry.name, value: '', oldValue: entry.value, domain: entry.domain, path: entry.path, removed: true});
+  }
+
+  return changes;
+}
+
+/**
+ * 解析url
+ * @ignore
+ * @param {string} url
+ * @return {null|{secure: boolean, host: string, path: string}} 解析结果，非绝对路径时返回null
+ */
+function parseUrl(url) {
+  let match = /^([a-z][a-z0-9+.-]*):\/\/([^/?#:]+)(?::\d+)?([^?#]*)/i.exec(url);
+  if (!match)
+    return null;
+
+  let protocol = match[1].toLowerCase();
+  return {
+    secure: protocol === 'https' || protocol === 'wss',
+    host: match[2].toLowerCase(),
+    path: match[3] || '/',
+  };
+}
+
+/**
+ * 判断域名是否匹配cookie域名：相同，或为其子域名
+ * @ignore
+ * @param {string} host 请求域名
+ * @param {string} domain cookie域名
+ * @return {boolean}
+ */
+function matchDomain(host, domain) {
+  return host === domain || host.endsWith('.' + domain);
+}
+
+/**
+ * 判断路径是否匹配cookie路径：相同，或为其子路径
+ * @ignore
+ * @param {string} path 请求路径
+ * @param {string} cookiePath cookie路径
+ * @return {boolean}
+ */
+function matchPath(path, cookiePath) {
+  if (path === cookiePath)
+    return true;
+  if (path.indexOf(cookiePath) !== 0)
+    return false;
+  return cookiePath.endsWith('/') || path[cookiePath.length] === '/';
+}
+
+/**
+ * 判断cookie是否需要在指定请求中携带
+ * @ignore
+ * @param {Cookie~CookieEntry} entry cookie
+ * @param {{secure: boolean, host: string, path: string}} target 请求url解析结果
+ * @return {boolean}
+ */
+function matchEntry(entry, target) {
+  if (entry.secure && !target.secure)
+    return false;
+  if (entry.domain && !(entry.hostOnly ? target.host === entry.domain : matchDomain(target.host, entry.domain)))
+    return false;
+  return matchPath(target.path, entry.path);
+}
+
+/**
+ * 计算默认路径：请求路径所在目录，e.g. '/a/b/c' -> '/a/b'
+ * @ignore
+ * @param {string} path 请求路径
+ * @return {string}
+ */
+function defaultPath(path) {
+  if (path[0] !== '/')
+    return '/';
+  let index = path.lastIndexOf('/');
+  return index <= 0 ? '/' : path.substring(0, index);
+}
+
+/**
+ * @typedef {object} Cookie~CookieEntry cookie记录
+ * @property {string} name 名称
+ * @property {string} value 值
+ * @property {string} domain 生效域名，空表示对所有域名生效
+ * @property {boolean} hostOnly 是否只对domain本身生效（不含子域名），Set-Cookie未指定Domain时为true
+ * @property {string} path 生效路径
+ * @property {null|number} expires 过期时间戳，null表示长期有效
+ * @property {boolean} secure 是否只在https请求中携带
+ * @property {boolean} httpOnly 是否标记了HttpOnly（小程序中仅作记录）
+ * @property {number} createTime 写入时间戳
+ */
+
+/**
+ * @typedef {object} Cookie~ChangeInfo cookie变化信息
+ * @property {string} key 名称
+ * @property {string} value 新值，删除时为空串
+ * @property {string} oldValue 旧值，新增时为空串
+ * @property {string} domain 生效域名，空表示对所有域名生效
+ * @property {string} path 生效路径
+ * @property {boolean} removed 是否为删除（包括过期）
+ */
+
+/**
+ * @typedef {function} Cookie~ChangeHandler cookie变化处理函数
+ * @param {Cookie~ChangeInfo} change 变化信息
+ */
+
 export default Cookie;
 
 
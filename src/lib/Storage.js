@@ -0,0 +1,664 @@
+import WxStorageAdapter from './storage/WxStorageAdapter';
+
+/**
+ * 类型化存储
+ * 在底层存储（默认为小程序storage，参见{@link WxStorageAdapter}）之上，按命名空间管理草稿、缓存、引导标记等业务数据，详见{@tutorial 2.d-typedStorage}
+ * 1. 读写时可以通过JSON schema校验数据格式
+ * 2. 每个命名空间可以单独设置容量上限
+ * 3. 写入的数据可以标记为缓存类数据，容量接近上限（命名空间上限或小程序storage上限）时，按最近最少使用原则自动淘汰
+ * 4. 同时提供同步、异步两套接口，命名和用法与wx、{@link module:wxPromise}保持一致：xxxSync为同步接口，失败时抛出异常；xxx为异步接口，返回Promise，失败时reject；两者均同步写入数据及其数据信息，异步接口仅在调用形式上与wxPromise一致
+ * 5. 提供容量使用报告，便于排查存储占用问题
+ *
+ * 注：各条数据的大小、访问时间等信息记录在底层存储的单独key中，大小按key和JSON序列化结果估算，与小程序实际统计结果可能略有差异
+ * @example
+ * const draftStorage = new Storage({
+ *   namespace: 'draft',
+ *   quota: 1024*1024, //最多占用1MB
+ *   schemas: {
+ *     post: {
+ *       type: 'object',
+ *       properties: {
+ *         content: {type: 'string', maxLength: 5000},
+ *         images: {type: 'array', items: {type: 'string'}},
+ *       },
+ *       required: ['content'],
+ *     },
+ *   },
+ * });
+ *
+ * draftStorage.setSync('post', {content: 'xxx', images: []});
+ * draftStorage.getSync('post'); //{content: 'xxx', images: []}
+ *
+ * await draftStorage.set({key: 'post', data: {content: 'yyy'}});
+ * let {data} = await draftStorage.get({key: 'post'}); //{content: 'yyy'}
+ */
+class Storage {
+  _namespace = ''; //命名空间
+  _quota = 0; //容量上限，单位：字节
+  _schemas = {}; //各key对应的数据格式
+  _adapter = null; //底层存储适配器
+
+  /**
+   * 构造函数
+   * @param {string} namespace 命名空间，存储key会被转为'命名空间:key'
+   * @param {number} [quota=0] 容量上限，单位：字节，0表示不限制（但仍受底层存储整体容量限制）
+   * @param {Object<string, Storage~Schema>} [schemas] 各key对应的数据格式，读写时自动校验
+   * @param {Storage~Adapter} [adapter] 底层存储适配器，默认为使用同步接口的{@link WxStorageAdapter}；使用同一适配器的实例共享数据信息和整体容量
+   */
+  constructor({namespace, quota=0, schemas={}, adapter}={}){
+    if (!namespace)
+      console.error('[Storage] 必须指定命名空间namespace');
+
+    this._namespace = namespace;
+    this._quota = quota;
+    this._schemas = schemas;
+    this._adapter = adapter || getDefaultAdapter();
+
+    quotaMap.set(namespace, quota);
+  }
+
+  /**
+   * 读取（同步）
+   * @param {string} key
+   * @param {object} [options]
+   * @param {Storage~Schema} [options.schema] 数据格式，不传时使用构造函数中该key对应的配置
+   * @param {*} [options.defaultValue] 默认值，数据不存在、已过期或格式不符时返回
+   * @return {*} 存储的数据
+   */
+  getSync(key, {schema, defaultValue}={}){
+    return this._get({key, schema, defaultValue}).data;
+  }
+
+  /**
+   * 读取（异步）
+   * @param {object} options
+   * @param {string} options.key
+   * @param {Storage~Schema} [options.schema] 数据格式，不传时使用构造函数中该key对应的配置
+   * @param {*} [options.defaultValue] 默认值，数据不存在、已过期或格式不符时以该值resolve；不传时reject
+   * @return {Promise<{succeeded: boolean, data: *}>} 同wxPromise.getStorage
+   */
+  async get({key, schema, defaultValue}){
+    let result = this._get({key, schema, defaultValue});
+    if (result.errMsg && defaultValue === undefined)
+      throw {succeeded: false, errMsg: `get:fail ${result.errMsg}`};
+    return {succeeded: true, data: result.data};
+  }
+
+  /**
+   * 写入（同步）
+   * @param {string} key
+   * @param {*} data 要存储的数据
+   * @param {object} [options]
+   * @param {number} [options.ttl] 有效期，单位：ms，不传时长期有效
+   * @param {boolean} [options.cache=false] 是否为缓存类数据，缓存类数据在容量接近上限时会被自动淘汰
+   * @param {Storage~Schema} [options.schema] 数据格式，不传时使用构造函数中该key对应的配置
+   * @throws 数据格式不符、超出容量上限、底层存储写入失败时抛出异常
+   */
+  setSync(key, data, {ttl, cache=false, schema}={}){
+    let errMsg = this._set({key, data, ttl, cache, schema});
+    if (errMsg)
+      throw new Error(`[Storage] setSync:fail ${errMsg}`);
+  }
+
+  /**
+   * 写入（异步）
+   * @param {object} options
+   * @param {string} options.key
+   * @param {*} options.data 要存储的数据
+   * @param {number} [options.ttl] 有效期，单位：ms，不传时长期有效
+   * @param {boolean} [options.cache=false] 是否为缓存类数据，缓存类数据在容量接近上限时会被自动淘汰
+   * @param {Storage~Schema} [options.schema] 数据格式，不传时使用构造函数中该key对应的配置
+   * @return {Promise<{succeeded: boolean}>} 同wxPromise.setStorage，数据格式不符、超出容量上限、底层存储写入失败时reject
+   */
+  async set({key, data, ttl, cache=false, schema}){
+    let errMsg = this._set({key, data, ttl, cache, schema});
+    if (errMsg)
+      throw {succeeded: false, errMsg: `set:fail ${errMsg}`};
+    return {succeeded: true};
+  }
+
+  /**
+   * 删除（同步）
+   * @param {string} key
+   */
+  removeSync(key){
+    let fullKey = this._resolveKey(key);
+    this._adapter.removeItem(fullKey);
+    this._updateMeta({fullKey, entry: null});
+  }
+
+  /**
+   * 删除（异步）
+   * @param {object} options
+   * @param {string} options.key
+   * @return {Promise<{succeeded: boolean}>} 同wxPromise.removeStorage
+   */
+  async remove({key}){
+    this.removeSync(key);
+    return {succeeded: true};
+  }
+
+  /**
+   * 清空当前命名空间下的全部数据（同步）
+   */
+  clearSync(){
+    for (let {key} of this._getEntries())
+      this.removeSync(key);
+  }
+
+  /**
+   * 清空当前命名空间下的全部数据（异步）
+   * @return {Promise<{succeeded: boolean}>}
+   */
+  async clear(){
+    this.clearSync();
+    return {succeeded: true};
+  }
+
+  /**
+   * 获取当前命名空间的容量使用情况
+   * @return {Storage~Usage}
+   */
+  getUsage(){
+    let entries = this._getEntries();
+    return {
+      namespace: this._namespace,
+      quota: this._quota,
+      size: sumSize(entries),
+      cacheSize: sumSize(entries.filter(entry=>entry.cache)),
+      count: entries.length,
+      entries: entries
+        .map(({key, size, cache, lastAccess, expires})=>({key, size, cache, lastAccess, expires}))
+        .sort((e1, e2)=>e2.size - e1.size),
+    };
+  }
+
+  /**
+   * 获取底层存储整体的容量使用报告
+   * @param {Storage~Adapter} [adapter] 底层存储适配器，不传时为默认适配器
+   * @return {Storage~UsageReport}
+   */
+  static getUsageReport({adapter}={}){
+    adapter = adapter || getDefaultAdapter();
+    let info = adapter.getInfo ? adapter.getInfo() : {currentSize: 0, limitSize: 0};
+    let entries = Object.values(getMeta(adapter));
+    let namespaces = Array.from(new Set(entries.map(entry=>entry.namespace))).map(namespace=>{
+      let nsEntries = entries.filter(entry=>entry.namespace === namespace);
+      return {
+        namespace,
+        quota: quotaMap.get(namespace) || 0,
+        size: sumSize(nsEntries),
+        cacheSize: sumSize(nsEntries.filter(entry=>entry.cache)),
+        count: nsEntries.length,
+      };
+    });
+
+    return {
+      currentSize: info.currentSize,
+      limitSize: info.limitSize,
+      managedSize: sumSize(entries),
+      namespaces: namespaces.sort((ns1, ns2)=>ns2.size - ns1.size),
+    };
+  }
+
+  /**
+   * 获取实际存储key
+   * @param {string} key
+   * @return {string}
+   * @private
+   */
+  _resolveKey(key){
+    return `${this._namespace}:${key}`;
+  }
+
+  /**
+   * 获取当前命名空间下的全部数据信息
+   * @return {Array<Storage~Entry>}
+   * @private
+   */
+  _getEntries(){
+    return Object.values(getMeta(this._adapter)).filter(entry=>entry.namespace === this._namespace);
+  }
+
+  /**
+   * 判断数据是否已过期
+   * @param {string} fullKey 实际存储key
+   * @return {boolean}
+   * @private
+   */
+  _checkExpired(fullKey){
+    let entry = getMeta(this._adapter)[fullKey];
+    return !!entry && entry.expires > 0 && Date.now() >= entry.expires;
+  }
+
+  /**
+   * 读取：检查有效期，校验数据格式，记录访问时间
+   * @param {string} key
+   * @param {Storage~Schema} [schema] 数据格式
+   * @param {*} [defaultValue] 默认值
+   * @return {{data: *, errMsg: string}} 处理结果，errMsg非空时表示读取失败，data为默认值
+   * @private
+   */
+  _get({key, schema, defaultValue}){
+    let fullKey = this._resolveKey(key);
+    if (this._checkExpired(fullKey)) {
+      this.removeSync(key);
+      return {data: defaultValue, errMsg: 'data not found'};
+    }
+
+    let meta = getMeta(this._adapter);
+    let data = this._adapter.getItem(fullKey);
+    if (data === undefined) {
+      if (!meta[fullKey])
+        return {data: defaultValue, errMsg: 'data not found'};
+
+      //小程序storage中存储的''与数据不存在无法直接区分，按key是否仍存在判断
+      if (this._adapter.keys().includes(fullKey)) {
+        data = '';
+      } else { //数据已被外部清除
+        this._updateMeta({fullKey, entry: null});
+        return {data: defaultValue, errMsg: 'data not found'};
+      }
+    }
+
+    let schemaErr = validateSchema(data, schema || this._schemas[key]);
+    if (schemaErr) {
+      console.error('[Storage] 数据格式不符，key:', fullKey, 'err:', schemaErr);
+      return {data: defaultValue, errMsg: `schema mismatch, ${schemaErr}`};
+    }
+
+    if (meta[fullKey]) {
+      meta[fullKey].lastAccess = Date.now();
+      saveMeta({adapter: this._adapter, immediate: false});
+    }
+    return {data, errMsg: ''};
+  }
+
+  /**
+   * 写入：淘汰需要淘汰的数据，写入数据并同步写入数据信息
+   * @param {string} key
+   * @param {*} data
+   * @param {number} [ttl]
+   * @param {boolean} cache
+   * @param {Storage~Schema} [schema]
+   * @return {string} 错误信息，写入成功时返回''
+   * @private
+   */
+  _set({key, data, ttl, cache, schema}){
+    let {fullKey, entry, victims, errMsg} = this._prepareSet({key, data, ttl, cache, schema});
+    if (errMsg)
+      return errMsg;
+
+    try {
+      for (let victim of victims) {
+        this._adapter.removeItem(victim);
+        this._updateMeta({fullKey: victim, entry: null});
+      }
+
+      this._adapter.setItem(fullKey, data);
+    } catch (e) {
+      console.error('[Storage] 写入失败，key:', fullKey, 'err:', e);
+      return `write failed, ${e && e.message || e}`;
+    }
+
+    this._updateMeta({fullKey, entry});
+    return '';
+  }
+
+  /**
+   * 写入前处理：校验数据格式，检查容量，确定需要淘汰的数据
+   * @param {string} key
+   * @param {*} data
+   * @param {number} [ttl]
+   * @param {boolean} cache
+   * @param {Storage~Schema} [schema]
+   * @return {{fullKey: string, entry: Storage~Entry, victims: Array<string>, errMsg: string}} 处理结果，errMsg非空时表示无法写入，victims为需要淘汰的数据对应的实际存储key
+   * @private
+   */
+  _prepareSet({key, data, ttl, cache, schema}){
+    let fullKey = this._resolveKey(key);
+    let result = {fullKey, entry: null, victims: [], errMsg: ''};
+
+    let schemaErr = validateSchema(data, schema || this._schemas[key]);
+    if (schemaErr) {
+      result.errMsg = `schema mismatch, ${schemaErr}`;
+      return result;
+    }
+
+    let now = Date.now();
+    result.entry = {
+      namespace: this._namespace,
+      key,
+      size: byteLength(fullKey) + byteLength(JSON.stringify(data) || ''),
+      cache,
+      lastAccess: now,
+      expires: ttl > 0 ? now + ttl : -1,
+    };
+
+    let meta = getMeta(this._adapter);
+    let candidates = Object.values(meta).filter(entry=>entryKey(entry) !== fullKey); //当前key的旧数据会被覆盖，不计入
+
+    //命名空间容量
+    if (this._quota > 0) {
+      let nsCandidates = candidates.filter(entry=>entry.namespace === this._namespace);
+      let victims = pickVictims({
+        entries: nsCandidates,
+        need: sumSize(nsCandidates) + result.entry.size - this._quota * NEAR_QUOTA_RATIO,
+        limit: sumSize(nsCandidates) + result.entry.size - this._quota,
+      });
+      if (!victims) {
+        result.errMsg = `namespace quota exceeded, namespace: ${this._namespace}, quota: ${this._quota}`;
+        return result;
+      }
+      result.victims.push(...victims);
+    }
+
+    //底层存储整体容量，适配器未提供容量信息时不作限制
+    if (!this._adapter.getInfo)
+      return result;
+
+    let info = this._adapter.getInfo();
+    let oldEntry = meta[fullKey];
+    let expectSize = info.currentSize - (oldEntry ? oldEntry.size : 0) + result.entry.size - sumSize(candidates.filter(entry=>result.victims.includes(entryKey(entry))));
+    let victims = pickVictims({
+      entries: candidates.filter(entry=>!result.victims.includes(entryKey(entry))),
+      need: expectSize - info.limitSize * NEAR_QUOTA_RATIO,
+      limit: expectSize - info.limitSize,
+    });
+    if (!victims) {
+      result.errMsg = `storage limit exceeded, limitSize: ${Math.round(info.limitSize / 1024)}KB`;
+      return result;
+    }
+    result.victims.push(...victims);
+
+    return result;
+  }
+
+  /**
+   * 更新数据信息，并立即写入底层存储
+   * @param {string} fullKey 实际存储key
+   * @param {Storage~Entry|null} entry 数据信息，null表示数据已删除
+   * @private
+   */
+  _updateMeta({fullKey, entry}){
+    let meta = getMeta(this._adapter);
+    if (entry)
+      meta[fullKey] = entry;
+    else
+      delete meta[fullKey];
+    saveMeta({adapter: this._adapter, immediate: true});
+  }
+}
+
+const META_STORAGE_KEY = '__storageMeta'; //各条数据的大小、访问时间等信息存储到底层存储时使用的key
+const NEAR_QUOTA_RATIO = 0.9; //容量使用超过该比例时，视为接近上限，开始淘汰缓存类数据
+const SAVE_DELAY = 1000; //仅访问时间变化时，延迟写入数据信息，避免频繁写入storage
+
+const metaMap = new WeakMap(); //各适配器对应的数据信息，key: 适配器，value: {data: 数据信息（key: 实际存储key，value: {@link Storage~Entry}）, saveTimer: 延迟写入定时器}
+const quotaMap = new Map(); //各命名空间的容量上限，用于生成容量使用报告
+let defaultAdapter = null; //默认适配器，各实例共享
+
+/**
+ * 获取默认适配器
+ * @ignore
+ * @return {WxStorageAdapter}
+ */
+function getDefaultAdapter() {
+  if (!defaultAdapter)
+    defaultAdapter = new WxStorageAdapter({sync: true});
+  return defaultAdapter;
+}
+
+/**
+ * 获取数据信息
+ * @ignore
+ * @param {Storage~Adapter} adapter 底层存储适配器
+ * @return {Object<string, Storage~Entry>}
+ */
+function getMeta(adapter) {
+  if (!metaMap.has(adapter))
+    metaMap.set(adapter, {data: adapter.getItem(META_STORAGE_KEY) || {}, saveTimer: null});
+  return metaMap.get(adapter).data;
+}
+
+/**
+ * 将数据信息写入底层存储
+ * @ignore
+ * @param {Storage~Adapter} adapter 底层存储适配器
+ * @param {boolean} immediate 是否立即写入：true-立即同步写入 | false-延迟写入
+ */
+function saveMeta({adapter, immediate}) {
+  let record = metaMap.get(adapter);
+  if (!immediate) {
+    record.saveTimer = record.saveTimer || setTimeout(()=>{
+      record.saveTimer = null;
+      adapter.setItem(META_STORAGE_KEY, record.data);
+    }, SAVE_DELAY);
+    return;
+  }
+
+  clearTimeout(record.saveTimer);
+  record.saveTimer = null;
+  adapter.setItem(META_STORAGE_KEY, record.data);
+}
+
+/**
+ * 获取数据信息对应的实际存储key
+ * @ignore
+ * @param {Storage~Entry} entry
+ * @return {string}
+ */
+function entryKey(entry) {
+  return `${entry.namespace}:${entry.key}`;
+}
+
+/**
+ * 计算数据总大小
+ * @ignore
+ * @param {Array<Storage~Entry>} entries
+ * @return {number}
+ */
+function sumSize(entries) {
+  return entries.reduce((sum, entry)=>sum + entry.size, 0);
+}
+
+/**
+ * 挑选需要淘汰的数据：优先淘汰已过期的数据，其次按最近最少使用原则淘汰缓存类数据
+ * @ignore
+ * @param {Array<Storage~Entry>} entries 候选数据
+ * @param {number} need 期望释放的空间大小，不大于0时无需淘汰
+ * @param {number} limit 必须释放的空间大小
+ * @return {Array<string>|null} 需要淘汰的数据对应的实际存储key，无法释放足够空间时返回null
+ */
+function pickVictims({entries, need, limit}) {
+  if (need <= 0)
+    return [];
+
+  let now = Date.now();
+  let isExpired = entry=>entry.expires > 0 && now >= entry.expires;
+  let sorted = entries
+    .filter(entry=>entry.cache || isExpired(entry))
+    .sort((e1, e2)=>(isExpired(e2) - isExpired(e1)) || (e1.lastAccess - e2.lastAccess));
+
+  let victims = [];
+  let freed = 0;
+  for (let entry of sorted) {
+    if (freed >= need)
+      break;
+    victims.push(entryKey(entry));
+    freed += entry.size;
+  }
+  return freed >= limit ? victims : null;
+}
+
+/**
+ * 计算字符串utf8编码后的字节数
+ * @ignore
+ * @param {string} str
+ * @return {number}
+ */
+function byteLength(str) {
+  let len = 0;
+  for (let i = 0; i < str.length; i++) {
+    let code = str.charCodeAt(i);
+    if (code < 0x80)
+      len += 1;
+    else if (code < 0x800)
+      len += 2;
+    else if (code >= 0xd800 && code <= 0xdbff) { //代理对，共4字节
+      len += 4;
+      i++;
+    } else
+      len += 3;
+  }
+  return len;
+}
+
+/**
+ * 按JSON schema校验数据
+ * 支持type、enum、properties、required、additionalProperties、items、minimum、maximum、minLength、maxLength、minItems、maxItems、pattern
+ * @ignore
+ * @param {*} data 要校验的数据
+ * @param {Storage~Schema} [schema] 数据格式，不传时不校验
+ * @param {string} [path='data'] 当前校验位置，用于生成错误信息
+ * @return {string} 错误信息，校验通过时返回''
+ */
+function validateSchema(data, schema, path='data') {
+  if (!schema)
+    return '';
+
+  if (schema.type) {
+    let types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type=>matchType(data, type)))
+      return `${path} should be ${types.join('|')}`;
+  }
+
+  if (schema.enum && !schema.enum.some(item=>JSON.stringify(item) === JSON.stringify(data)))
+    return `${path} should be one of ${JSON.stringify(schema.enum)}`;
+
+  if (typeof data === 'number') {
+    if (schema.minimum !== undefined && data < schema.minimum)
+      return `${path} should be >= ${schema.minimum}`;
+    if (schema.maximum !== undefined && data > schema.maximum)
+      return `${path} should be <= ${schema.maximum}`;
+  }
+
+  if (typeof data === 'string') {
+    if (schema.minLength !== undefined && data.length < schema.minLength)
+      return `${path} should have at least ${schema.minLength} characters`;
+    if (schema.maxLength !== undefined && data.length > schema.maxLength)
+      return `${path} should have at most ${schema.maxLength} characters`;
+    if (schema.pattern && !new RegExp(schema.pattern).test(data))
+      return `${path} should match pattern ${schema.pattern}`;
+  }
+
+  if (Array.isArray(data)) {
+    if (schema.minItems !== undefined && data.length < schema.minItems)
+      return `${path} should have at least ${schema.minItems} items`;
+    if (schema.maxItems !== undefined && data.length > schema.maxItems)
+      return `${path} should have at most ${schema.maxItems} items`;
+    if (schema.items) {
+      for (let i = 0; i < data.length; i++) {
+        let err = validateSchema(data[i], schema.items, `${path}[${i}]`);
+        if (err)
+          return err;
+      }
+    }
+  }
+
+  if (matchType(data, 'object')) {
+    for (let field of (schema.required || [])) {
+      if (data[field] === undefined)
+        return `${path}.${field} is required`;
+    }
+
+    let properties = schema.properties || {};
+    for (let field of Object.keys(data)) {
+      let fieldSchema = properties[field];
+      if (!fieldSchema && schema.additionalProperties === false)
+        return `${path}.${field} is not allowed`;
+      if (!fieldSchema && typeof schema.additionalProperties === 'object')
+        fieldSchema = schema.additionalProperties;
+
+      let err = validateSchema(data[field], fieldSchema, `${path}.${field}`);
+      if (err)
+        return err;
+    }
+  }
+
+  return '';
+}
+
+/**
+ * 判断数据是否符合JSON schema中的类型
+ * @ignore
+ * @param {*} data
+ * @param {string} type string|number|integer|boolean|object|array|null
+ * @return {boolean}
+ */
+function matchType(data, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(data);
+    case 'array':
+      return Array.isArray(data);
+    case 'null':
+      return data === null;
+    case 'object':
+      return data !== null && typeof data === 'object' && !Array.isArray(data);
+    default:
+      return typeof data === type;
+  }
+}
+
+/**
+ * @typedef {object} Storage~Schema 数据格式，JSON schema的常用子集
+ * @property {string|Array<string>} [type] 类型：string|number|integer|boolean|object|array|null
+ * @property {Array} [enum] 可选值列表
+ * @property {Object<string, Storage~Schema>} [properties] 各字段的数据格式
+ * @property {Array<string>} [required] 必填字段列表
+ * @property {boolean|Storage~Schema} [additionalProperties] 未在properties中声明的字段：false-不允许 | 对象-按该格式校验
+ * @property {Storage~Schema} [items] 数组元素的数据格式
+ * @property {number} [minimum] 最小值
+ * @property {number} [maximum] 最大值
+ * @property {number} [minLength] 字符串最小长度
+ * @property {number} [maxLength] 字符串最大长度
+ * @property {number} [minItems] 数组最少元素个数
+ * @property {number} [maxItems] 数组最多元素个数
+ * @property {string} [pattern] 字符串需匹配的正则表达式
+ */
+
+/**
+ * @typedef {object} Storage~Adapter 底层存储适配器，格式同{@link NamespacedStorage~Adapter}，另外可以提供getInfo，用于按整体容量淘汰数据
+ * @property {function(): {currentSize: number, limitSize: number}} [getInfo] 获取底层存储整体已使用大小和容量上限，单位：字节；不提供时不限制整体容量
+ */
+
+/**
+ * @typedef {object} Storage~Entry 数据信息
+ * @property {string} namespace 命名空间
+ * @property {string} key 存储key（不含命名空间）
+ * @property {number} size 估算大小，单位：字节
+ * @property {boolean} cache 是否为缓存类数据
+ * @property {number} lastAccess 最近访问时间，相对1970的毫秒数
+ * @property {number} expires 过期时间，相对1970的毫秒数，-1表示长期有效
+ */
+
+/**
+ * @typedef {object} Storage~Usage 命名空间容量使用情况
+ * @property {string} namespace 命名空间
+ * @property {number} quota 容量上限，单位：字节，0表示不限制
+ * @property {number} size 已使用大小，单位：字节
+ * @property {number} cacheSize 其中缓存类数据的大小，单位：字节
+ * @property {number} count 数据条数
+ * @property {Array<{key: string, size: number, cache: boolean, lastAccess: number, expires: number}>} entries 各条数据信息，按大小降序排列
+ */
+
+/**
+ * @typedef {object} Storage~UsageReport 容量使用报告
+ * @property {number} currentSize 底层存储当前已使用大小，单位：字节，适配器未提供容量信息时为0
+ * @property {number} limitSize 底层存储容量上限，单位：字节，适配器未提供容量信息时为0
+ * @property {number} managedSize 其中通过本模块写入的数据大小，单位：字节
+ * @property {Array<{namespace: string, quota: number, size: number, cacheSize: number, count: number}>} namespaces 各命名空间的使用情况，按大小降序排列
+ */
+
+export default Storage;
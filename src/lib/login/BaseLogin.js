@@ -1,5 +1,7 @@
 import {deepClone, makeAssignableMethod, peerAssign, combineFuncs} from '../operationKit';
 import {mergingStep, errSafe} from '../decorators';
+import NamespacedStorage from '../storage/NamespacedStorage';
+import EventHub from '../EventHub';
 
 /**
  * 登录模块，详见{@tutorial 2.1-login}
@@ -15,13 +17,42 @@ class BaseLogin {
     isLogin: false, //是否已登录
     expireTime: -1, //过期时间，相对1970年的绝对毫秒数，-1表示长期有效
     authType: '', //使用的验证方式
+    tokenInfo: null, //token信息（token模式），格式参见{@link BaseAuth~TokenInfo}
     anonymousInfo: {}, //匿名信息（登录成功前使用的临时标识，成功后继续关联）
   };
   
   //状态（短期数据，仅本次会话使用）
   _stateInfo = {
     isConfigReady: false, //是否已完成模块配置
+    isForeground: true, //小程序是否处于前台
+    isAppListened: false, //是否已监听小程序前后台切换
+    renewTimer: null, //登录态续期定时器
+    renewTriedExpireTime: 0, //最近一次尝试续期时的过期时间
   };
+  
+  //存储管理器，负责登录信息的持久化
+  _storage = null;
+  
+  //已登录账号列表（长期数据，会被存储到storage中），key: 账号id，value: 格式参见{@link BaseLogin~AccountRecord}
+  _accounts = {};
+  
+  //事件中心
+  _events = new EventHub({
+    validEvents: [
+      'login', //登录成功（未登录=>已登录）
+      'logout', //退出登录/登录态被清除（已登录=>未登录）
+      'expired', //登录态过期（已登录=>未登录）
+      'userInfoUpdated', //用户信息发生变化
+      'authTypeChanged', //验证方式发生变化
+      'accountChange', //当前账号发生变化（添加、切换、删除账号）
+      'renewFailed', //登录态即将过期，自动续期失败
+    ],
+  });
+  
+  //页面级监听记录，页面卸载时自动取消监听，key: 页面实例，value: [{eventType, handler}]
+  _pageSubscriptions = new WeakMap();
+  //处理函数所绑定的页面，用于取消监听时同步清理页面级记录，key: 处理函数，value: Set<页面实例>
+  _handlerPages = new WeakMap();
 
   /**
    * 构造函数
@@ -35,6 +66,13 @@ class BaseLogin {
    * 模块配置
    * @param {Object} configOptions 
    * @param {String} [configOptions.loginInfoStorage] 登录相关信息存储到storage时使用的key
+   * @param {NamespacedStorage} [configOptions.storage] 存储管理器，可用于指定命名空间、开启加密、替换底层存储等，默认直接存储到小程序storage中，详见{@tutorial 2.c-storage}
+   * @param {String} [configOptions.accountsStorage] 多账号：已登录账号列表存储到storage时使用的key
+   * @param {Cookie} [configOptions.cookie] 多账号：切换账号时一并切换的cookie管理器，不传时只切换登录信息
+   * @param {BaseLogin~AccountIdGetter} [configOptions.accountIdGetter] 多账号：账号id获取函数，默认依次取userInfo中的uid、id、userId字段，均不存在时取登录方式（此时同一登录方式的不同账号会互相覆盖，使用多账号功能时请自行配置）
+   * @param {function} [configOptions.issuerPageResolver] 根据监听者的this对象获取其所在页面的函数，用于页面卸载时自动取消监听，默认实现同{@link Requester#config}
+   * @param {boolean} [configOptions.autoRenew=false] 是否自动续期：登录态即将过期时（小程序处于前台），使用当前验证方式悄悄重新静默登录
+   * @param {number} [configOptions.renewAhead=300000] 自动续期：登录态剩余有效期不足该值时开始续期，单位：ms
    * @param {Requester} configOptions.requester 请求管理器
    * @param {Function} [configOptions.onUserAuthFailed] 钩子函数，获取用户授权信息失败时触发
    * @param {Function} [configOptions.onUserAuthSucceeded] 钩子函数，获取用户授权信息成功时触发
@@ -73,6 +111,19 @@ class BaseLogin {
     //参数处理
     const defaultOpts = {
       loginInfoStorage: '__loginInfo',
+      storage: null,
+      
+      accountsStorage: '__loginAccounts',
+      cookie: null,
+      accountIdGetter({userInfo, authType}){
+        return String(userInfo.uid || userInfo.id || userInfo.userId || authType);
+      },
+      issuerPageResolver(thisIssuer){
+        return thisIssuer && (thisIssuer.$root || thisIssuer);
+      },
+      
+      autoRenew: false,
+      renewAhead: 5*60*1000,
       
       requester: null,
       
@@ -139,16 +190,49 @@ class BaseLogin {
    * @protected
    */
   _init(){
+    //存储管理器
+    this._storage = this._configOptions.storage || new NamespacedStorage();
+    
     //获取最近一次登录信息
-    let lastLoginInfo = JSON.parse(wx.getStorageSync(this._configOptions.loginInfoStorage) || 'null');
-    this._loginInfo = lastLoginInfo || this._loginInfo;
+    let lastLoginInfo = this._storage.get(this._configOptions.loginInfoStorage) || null;
+    if (typeof lastLoginInfo === 'string') { //旧版本直接存储的json字符串
+      try {
+        lastLoginInfo = JSON.parse(lastLoginInfo || 'null');
+      } catch (e) {
+        console.error('[BaseLogin] failed to load loginInfo from storage:', e);
+        lastLoginInfo = null;
+      }
+    }
+    this._loginInfo = (lastLoginInfo && typeof lastLoginInfo === 'object') ? lastLoginInfo : this._loginInfo;
+    
+    //获取已登录账号列表
+    this._accounts = this._storage.get(this._configOptions.accountsStorage) || {};
+    
+    //上次添加账号过程中退出了小程序：当前账号仍为原账号，恢复其cookie
+    let activeAccount = this._accounts[this.activeAccountId];
+    if (activeAccount && activeAccount.pendingRestore) {
+      delete activeAccount.pendingRestore;
+      let cookie = this._configOptions.cookie;
+      cookie && activeAccount.cookies && cookie.importJar(activeAccount.cookies);
+      this._storage.set(this._configOptions.accountsStorage, this._accounts);
+    }
     
     //无最近登录信息时，设置默认值
     this._loginInfo.authType = this._loginInfo.authType || this._configOptions.defaultAuthType;
     
     //有指定前端登录态过期时间时，进行过期处理
     if (this._loginInfo.expireTime>0 && Date.now()>this._loginInfo.expireTime)
-      this.clearLogin();
+      this.clearLogin({reason: 'expired'});
+    
+    //旧版本只存储了当前登录信息，补充到账号列表中
+    if (this._loginInfo.isLogin && !this._accounts[this.activeAccountId])
+      this._persistLoginInfo();
+    
+    //自动续期
+    if (this._configOptions.autoRenew) {
+      this._listenAppState();
+      this._scheduleRenew();
+    }
   }
   
   /**
@@ -205,6 +289,7 @@ class BaseLogin {
       configOptions.onLoginFailed && await configOptions.onLoginFailed.call(options.thisIssuer, loginRes, {failAction: options.failAction})
     }
     if (loginRes.code===0 && isNewlyLogin) { //钩子：刚刚登录
+      this._events.notify({eventType: 'login', data: {userInfo: this.userInfo, authType: this._loginInfo.authType}});
       configOptions.onNewlyLogin && await configOptions.onNewlyLogin.call(options.thisIssuer);
     }
     
@@ -360,6 +445,7 @@ class BaseLogin {
       isLogin: true,
       userInfo: silentRes.userInfo,
       expireTime: silentRes.expireTime,
+      tokenInfo: silentRes.tokenInfo || null,
       authType,
     });
   }
@@ -424,6 +510,7 @@ class BaseLogin {
       isLogin: true,
       userInfo: authRes.userInfo,
       expireTime: authRes.expireTime,
+      tokenInfo: authRes.tokenInfo || null,
       authType,
     });
   }
@@ -461,12 +548,43 @@ class BaseLogin {
    * @protected
    */
   _saveInfo(loginInfo){
+    let lastInfo = deepClone(this._loginInfo);
     Object.assign(this._loginInfo, loginInfo);
 
-    wx.setStorage({
-      key: this._configOptions.loginInfoStorage,
-      data: JSON.stringify(this._loginInfo)
-    });
+    this._persistLoginInfo();
+    this._notifyInfoChanges(lastInfo);
+    this._scheduleRenew();
+  }
+
+  /**
+   * 对比前后登录信息，触发userInfoUpdated、authTypeChanged事件
+   * 登录、退出登录本身由login、logout、expired事件表示，此时不再触发userInfoUpdated
+   * @param {BaseLogin~LoginInfo} lastInfo 变化前的登录信息
+   * @protected
+   */
+  _notifyInfoChanges(lastInfo){
+    let curInfo = this._loginInfo;
+    
+    if (lastInfo.isLogin && curInfo.isLogin && JSON.stringify(lastInfo.userInfo)!==JSON.stringify(curInfo.userInfo))
+      this._events.notify({eventType: 'userInfoUpdated', data: {userInfo: this.userInfo}});
+    
+    if (lastInfo.authType !== curInfo.authType)
+      this._events.notify({eventType: 'authTypeChanged', data: {fromType: lastInfo.authType, toType: curInfo.authType}});
+  }
+
+  /**
+   * 将登录信息写入存储
+   * @protected
+   */
+  _persistLoginInfo(){
+    this._storage.set(this._configOptions.loginInfoStorage, this._loginInfo);
+    
+    //同步更新账号列表中的当前账号
+    if (this._loginInfo.isLogin) {
+      let id = this.activeAccountId;
+      this._accounts[id] = Object.assign({}, this._accounts[id], {loginInfo: deepClone(this._loginInfo)});
+    }
+    this._storage.set(this._configOptions.accountsStorage, this._accounts);
   }
 
   /**
@@ -477,10 +595,7 @@ class BaseLogin {
   _saveAnonymousInfo(anonymousInfo){
     Object.assign(this._loginInfo.anonymousInfo, anonymousInfo);
     
-    wx.setStorage({
-      key: this._configOptions.loginInfoStorage,
-      data: JSON.stringify(this._loginInfo)
-    });
+    this._persistLoginInfo();
   }
   
   /**
@@ -524,24 +639,461 @@ class BaseLogin {
   /**
    * 清除前端登录态
    * @param {boolean} needClearAuth 是否需要清除鉴权信息：false-仅清除登录态，下次还可以静默登录 | true-同时清除鉴权信息，下次必须授权登录
+   * @param {string} [reason='logout'] 清除原因，同时也是触发的事件名称：logout-退出登录/登录态失效 | expired-登录态过期
    */
-  clearLogin({needClearAuth=false}={}){
+  clearLogin({needClearAuth=false, reason='logout'}={}){
+    let lastInfo = deepClone(this._loginInfo);
+    
+    //当前账号登录态失效，从账号列表中移除
+    if (this._loginInfo.isLogin)
+      delete this._accounts[this.activeAccountId];
+    
     this._loginInfo.isLogin = false;
     this._loginInfo.userInfo = {};
     this._loginInfo.expireTime = -1;
+    this._loginInfo.tokenInfo = null;
     this._loginInfo.authType = needClearAuth ? 'none' : this._loginInfo.authType;
     
-    wx.setStorage({
-      key: this._configOptions.loginInfoStorage,
-      data: JSON.stringify(this._loginInfo)
+    this._persistLoginInfo();
+    
+    //触发事件
+    if (lastInfo.isLogin)
+      this._events.notify({eventType: reason, data: {needClearAuth}});
+    this._notifyInfoChanges(lastInfo);
+    this._scheduleRenew();
+  }
+
+  /**
+   * 自动续期：监听小程序前后台切换
+   * 后台期间定时器可能被冻结，切回前台时重新检查登录态
+   * @protected
+   */
+  _listenAppState(){
+    if (this._stateInfo.isAppListened || typeof wx === 'undefined' || !wx.onAppShow)
+      return;
+    this._stateInfo.isAppListened = true;
+    
+    wx.onAppShow(()=>{
+      this._stateInfo.isForeground = true;
+      this._scheduleRenew();
+    });
+    wx.onAppHide(()=>{
+      this._stateInfo.isForeground = false;
+      clearTimeout(this._stateInfo.renewTimer);
+    });
+  }
+
+  /**
+   * 自动续期：根据过期时间安排续期
+   * 剩余有效期不足renewAhead时立即续期，否则定时到点续期；同一过期时间只尝试续期一次，之后改为到期时清除登录态
+   * @protected
+   */
+  _scheduleRenew(){
+    clearTimeout(this._stateInfo.renewTimer);
+    this._stateInfo.renewTimer = null;
+    
+    let {expireTime, isLogin} = this._loginInfo;
+    if (!this._configOptions.autoRenew || !this._stateInfo.isForeground || !isLogin || expireTime<=0)
+      return;
+    
+    //已尝试过续期（续期失败，或续期后过期时间未延长），到期时清除登录态；否则提前续期
+    let isRenewTried = this._stateInfo.renewTriedExpireTime === expireTime;
+    let delay = (isRenewTried ? expireTime : expireTime - this._configOptions.renewAhead) - Date.now();
+    if (delay < 0) {
+      isRenewTried ? this.checkLogin() : this._renew();
+      return;
+    }
+    
+    //超出定时器上限时，到点后重新计算
+    this._stateInfo.renewTimer = setTimeout(()=>this._scheduleRenew(), Math.min(delay+1, MAX_TIMER_DELAY));
+  }
+
+  /**
+   * 自动续期：使用当前验证方式重新静默登录
+   * 续期失败时触发renewFailed事件，并在到期时清除登录态（触发expired事件），便于界面提示用户重新登录
+   * @protected
+   */
+  @errSafe
+  async _renew(){
+    let {expireTime} = this._loginInfo;
+    this._stateInfo.renewTriedExpireTime = expireTime;
+    
+    let renewRes = await this._silentLogin({mode: 'forceSilent', thisIssuer: null}, this._configOptions);
+    
+    //续期成功，保存登录信息时已根据新的过期时间重新安排续期
+    if (renewRes.code === 0)
+      return;
+    
+    //期间已切换账号、退出登录等，以新的登录态为准
+    if (!this._loginInfo.isLogin || this._loginInfo.expireTime !== expireTime)
+      return;
+    
+    this._events.notify({eventType: 'renewFailed', data: {code: renewRes.code, errMsg: renewRes.errMsg, expireTime}});
+    this._scheduleRenew();
+  }
+
+  /**
+   * 刷新token（token模式）
+   * 使用refresh token换取新的access token，并发调用时只会发起一次刷新
+   * refresh token被后端拒绝（或已过期）时，会清除前端登录态，调用方需重新登录
+   * @return {BaseLogin~RefreshRes} 刷新结果
+   */
+  @mergingStep //步骤并合，避免多个请求同时发现token即将过期时重复刷新
+  async refreshToken(){
+    let tokenInfo = this._loginInfo.tokenInfo;
+    if (!this.checkLogin() || !tokenInfo || !tokenInfo.refreshToken)
+      return {code: -100, errMsg: 'refresh token not found'};
+
+    //refresh token已过期，无需请求后端
+    if (tokenInfo.refreshExpireTime>0 && Date.now()>tokenInfo.refreshExpireTime) {
+      this.clearLogin({reason: 'expired'});
+      return {code: -100, errMsg: 'refresh token expired'};
+    }
+
+    //获取验证方式对应的鉴权器
+    let authType = this._loginInfo.authType;
+    let authEngine = this._configOptions.authEngineMap[authType];
+    if (!authEngine || !authEngine.refreshToken) {
+      console.error('[login] refreshToken, cannot find authEngine supporting refreshToken for authType:', authType);
+      return {code: -500, errMsg: 'internal error'};
+    }
+
+    //刷新
+    let accountId = this.activeAccountId; //刷新期间可能切换账号，结果应归属于发起刷新的账号
+    let refreshRes = {};
+    try {
+      refreshRes = await authEngine.refreshToken({
+        refreshToken: tokenInfo.refreshToken,
+        tokenInfo: deepClone(tokenInfo),
+        configOptions: this._configOptions,
+      });
+    } catch (e) {
+      console.error('[login] caught error when try refreshToken of authType:', authType, 'err:', e);
+      refreshRes = {succeeded: false, rejected: false, errMsg: 'internal error'};
+    }
+
+    //刷新期间已切换账号，结果只作用于原账号，不影响当前账号
+    if (this.activeAccountId !== accountId)
+      return this._applyStaleRefresh({accountId, tokenInfo, refreshRes});
+
+    //refresh token被拒绝，清除前端登录态
+    if (!refreshRes.succeeded && refreshRes.rejected) {
+      this.clearLogin();
+      return {code: -100, errMsg: `refresh token rejected: ${refreshRes.errMsg}`};
+    }
+
+    //其它原因失败，保留原有token
+    if (!refreshRes.succeeded)
+      return {code: -200, errMsg: `refresh token failed: ${refreshRes.errMsg}`};
+
+    //刷新成功，保存新的token信息（未返回的字段沿用原有值，如refresh token未轮换）
+    this._saveInfo({
+      tokenInfo: Object.assign({}, tokenInfo, refreshRes.tokenInfo),
+      expireTime: refreshRes.expireTime || this._loginInfo.expireTime,
+    });
+    return {code: 0, errMsg: 'ok'};
+  }
+
+  /**
+   * 刷新token期间已切换账号时，将刷新结果写入原账号的记录
+   * @param {string} accountId 发起刷新的账号id
+   * @param {BaseAuth~TokenInfo} tokenInfo 刷新前的token信息
+   * @param {BaseAuth~RefreshRes} refreshRes 刷新结果
+   * @return {BaseLogin~RefreshRes} 刷新结果
+   * @protected
+   */
+  _applyStaleRefresh({accountId, tokenInfo, refreshRes}){
+    let account = this._accounts[accountId];
+    
+    //refresh token被拒绝，原账号登录态失效，从账号列表中移除
+    if (!refreshRes.succeeded && refreshRes.rejected) {
+      delete this._accounts[accountId];
+      this._persistLoginInfo();
+      return {code: -100, errMsg: `refresh token rejected: ${refreshRes.errMsg}`};
+    }
+    
+    if (!refreshRes.succeeded)
+      return {code: -200, errMsg: `refresh token failed: ${refreshRes.errMsg}`};
+    
+    //原账号已被移除，丢弃刷新结果
+    if (!account)
+      return {code: -100, errMsg: 'account removed during refresh'};
+    
+    account.loginInfo.tokenInfo = Object.assign({}, tokenInfo, refreshRes.tokenInfo);
+    account.loginInfo.expireTime = refreshRes.expireTime || account.loginInfo.expireTime;
+    this._persistLoginInfo();
+    return {code: 0, errMsg: 'ok'};
+  }
+
+  /**
+   * 多账号：获取已登录账号列表
+   * @return {Array<BaseLogin~AccountInfo>}
+   */
+  listAccounts(){
+    let activeId = this.activeAccountId;
+    return Object.keys(this._accounts).map(id=>{
+      let loginInfo = id === activeId ? this._loginInfo : this._accounts[id].loginInfo;
+      return {
+        id,
+        userInfo: deepClone(loginInfo.userInfo),
+        authType: loginInfo.authType,
+        isActive: id === activeId,
+      };
     });
   }
 
+  /**
+   * 多账号：添加账号
+   * 保留当前账号，以未登录状态重新发起登录，登录成功后切换为新账号；登录失败时恢复为原账号
+   * @param {Object} [options] 登录选项，格式同{@link BaseLogin#login}，默认mode为'forceAuth'，即展示登录界面
+   * @return {BaseLogin~LoginRes} 登录结果
+   */
+  async addAccount(options={}){
+    let fromId = this.activeAccountId;
+    let cookie = this._configOptions.cookie;
+    let lastCookies = cookie ? cookie.exportJar() : null; //未登录时的cookie（如匿名会话），登录失败时恢复
+    
+    //暂存当前账号，切换为未登录状态（不修改storage中的登录信息，以免中途退出小程序时丢失当前账号）
+    //清空cookie会立即写入storage，因而先将暂存的账号及其cookie写入storage，并标记待恢复，中途退出时下次启动据此恢复cookie
+    this._stashActiveAccount();
+    if (fromId) {
+      this._accounts[fromId].pendingRestore = true;
+      this._storage.set(this._configOptions.accountsStorage, this._accounts);
+    }
+    let existingAccounts = Object.assign({}, this._accounts);
+    Object.assign(this._loginInfo, {
+      isLogin: false,
+      userInfo: {},
+      expireTime: -1,
+      tokenInfo: null,
+    });
+    cookie && cookie.importJar([]);
+    
+    //登录
+    let loginRes = await this.login(Object.assign({mode: 'forceAuth'}, options));
+    let fromAccount = fromId && this._accounts[fromId];
+    fromAccount && delete fromAccount.pendingRestore;
+    
+    //登录失败，恢复为原账号
+    if (loginRes.code !== 0) {
+      if (fromAccount)
+        this._activateAccount(fromAccount);
+      else
+        cookie && cookie.importJar(lastCookies);
+      return loginRes;
+    }
+    this._persistLoginInfo(); //移除原账号的待恢复标记
+    
+    //新账号与已有账号id相同但用户信息不同，多半是accountIdGetter无法区分账号，原账号已被覆盖
+    let toId = this.activeAccountId;
+    let existing = existingAccounts[toId];
+    if (existing && JSON.stringify(existing.loginInfo.userInfo) !== JSON.stringify(this._loginInfo.userInfo))
+      console.warn('[BaseLogin] addAccount, 新账号与已有账号id相同，原账号已被覆盖，请配置accountIdGetter确保不同账号返回不同的id，id:', toId);
+    
+    this._events.notify({eventType: 'accountChange', data: {fromId, toId, reason: 'add'}});
+    return loginRes;
+  }
+
+  /**
+   * 多账号：切换账号
+   * 登录信息（含token）和cookie会一并切换
+   * @param {string} id 账号id
+   * @return {Object} res 切换结果，格式形如：{code:0, errMsg:'ok'}，code取值：0-成功 | -1-账号不存在 | -2-账号登录态已过期，已从账号列表中移除
+   */
+  switchAccount(id){
+    let fromId = this.activeAccountId;
+    if (id === fromId)
+      return {code: 0, errMsg: 'ok'};
+    
+    let account = this._accounts[id];
+    if (!account)
+      return {code: -1, errMsg: `account not found: ${id}`};
+    
+    let {expireTime} = account.loginInfo;
+    if (expireTime>0 && Date.now()>expireTime) {
+      delete this._accounts[id];
+      this._persistLoginInfo();
+      return {code: -2, errMsg: `account expired: ${id}`};
+    }
+    
+    this._stashActiveAccount();
+    this._activateAccount(account);
+    
+    this._events.notify({eventType: 'accountChange', data: {fromId, toId: id, reason: 'switch'}});
+    return {code: 0, errMsg: 'ok'};
+  }
+
+  /**
+   * 多账号：删除账号
+   * 删除当前账号时，等同于退出登录
+   * @param {string} id 账号id
+   * @return {Object} res 删除结果，格式形如：{code:0, errMsg:'ok'}，code取值：0-成功 | -1-账号不存在
+   */
+  removeAccount(id){
+    if (!this._accounts[id])
+      return {code: -1, errMsg: `account not found: ${id}`};
+    
+    if (id !== this.activeAccountId) {
+      delete this._accounts[id];
+      this._persistLoginInfo();
+      return {code: 0, errMsg: 'ok'};
+    }
+    
+    this.clearLogin();
+    this._configOptions.cookie && this._configOptions.cookie.clear();
+    this._events.notify({eventType: 'accountChange', data: {fromId: id, toId: '', reason: 'remove'}});
+    return {code: 0, errMsg: 'ok'};
+  }
+
+  /**
+   * 修改用户信息，如用户编辑资料后同步到前端，会触发userInfoUpdated事件
+   * @param {object} userInfo 要修改的用户信息字段，与原有信息合并
+   * @return {Object} res 修改结果，格式形如：{code:0, errMsg:'ok'}，code取值：0-成功 | -1-未登录
+   */
+  updateUserInfo(userInfo){
+    if (!this.checkLogin())
+      return {code: -1, errMsg: 'not login'};
+    
+    this._saveInfo({
+      userInfo: Object.assign({}, this._loginInfo.userInfo, userInfo),
+    });
+    return {code: 0, errMsg: 'ok'};
+  }
+
+  /**
+   * 监听事件，用法同{@link EventHub#subscribe}
+   * 事件列表：
+   * | 事件 | 触发时机 | 事件数据 |
+   * | --- | --- | --- |
+   * | login | 登录成功（未登录=>已登录） | {userInfo, authType} |
+   * | logout | 退出登录，或后端判定登录态失效等原因清除了前端登录态 | {needClearAuth} |
+   * | expired | 登录态过期 | {needClearAuth} |
+   * | userInfoUpdated | 已登录状态下用户信息发生变化（重新登录、切换账号、{@link BaseLogin#updateUserInfo}等） | {userInfo} |
+   * | authTypeChanged | 验证方式发生变化 | {fromType, toType} |
+   * | accountChange | 当前账号发生变化 | 参见{@link BaseLogin~AccountChangeData} |
+   *
+   * 传入thisIssuer时，监听与其所在页面绑定，页面卸载时自动取消监听（需使用框架工具集注册，参见{@link module:wepyKit.registerPageScopedLogin}、{@link module:uniAppKit.registerPageScopedLogin}）
+   * @param {string} eventType 事件名称
+   * @param {function} handler 处理函数
+   * @param {string} [persistType='always'] 持续策略：once-触发一次后自动移除监听 | always-每次都触发
+   * @param {Object} [thisIssuer] 监听者的this对象（页面/组件）
+   * @example
+   * //头像组件
+   * onLoad(){
+   *   loginCenter.subscribe({eventType: 'login', handler: ({userInfo})=>this.avatar = userInfo.avatar, thisIssuer: this});
+   *   loginCenter.subscribe({eventType: 'logout', handler: ()=>this.avatar = '', thisIssuer: this});
+   * }
+   */
+  subscribe({eventType, handler, persistType='always', thisIssuer}){
+    this._events.subscribe({eventType, handler, persistType});
+    
+    //记录页面级监听
+    let page = thisIssuer && this._configOptions.issuerPageResolver(thisIssuer);
+    if (!page)
+      return;
+    
+    if (!this._pageSubscriptions.has(page))
+      this._pageSubscriptions.set(page, []);
+    this._pageSubscriptions.get(page).push({eventType, handler});
+    
+    if (!this._handlerPages.has(handler))
+      this._handlerPages.set(handler, new Set());
+    this._handlerPages.get(handler).add(page);
+  }
+
+  /**
+   * 取消监听，用法同{@link EventHub#unsubscribe}
+   * @param {string} eventType 事件名称
+   * @param {function} handler 处理函数
+   */
+  unsubscribe({eventType, handler}){
+    this._events.unsubscribe({eventType, handler});
+    
+    //同步清理页面级监听记录
+    let pages = this._handlerPages.get(handler);
+    if (!pages)
+      return;
+    
+    for (let page of pages) {
+      let subscriptions = (this._pageSubscriptions.get(page) || []).filter(item=>!(item.eventType===eventType && item.handler===handler));
+      if (subscriptions.length)
+        this._pageSubscriptions.set(page, subscriptions);
+      else
+        this._pageSubscriptions.delete(page);
+      
+      if (!subscriptions.some(item=>item.handler===handler))
+        pages.delete(page);
+    }
+    
+    !pages.size && this._handlerPages.delete(handler);
+  }
+
+  /**
+   * 页面卸载处理，取消该页面及其组件的所有监听
+   * 
+   * 一般无需手动调用，使用框架工具集注册后，会在页面卸载时自动调用，参见{@link module:wepyKit.registerPageScopedLogin}、{@link module:uniAppKit.registerPageScopedLogin}
+   * @param {object} page 被卸载的页面实例
+   */
+  handlePageUnload(page){
+    let subscriptions = this._pageSubscriptions.get(page);
+    if (!subscriptions)
+      return;
+    
+    this._pageSubscriptions.delete(page);
+    
+    for (let {eventType, handler} of subscriptions) {
+      this._events.unsubscribe({eventType, handler});
+      
+      let pages = this._handlerPages.get(handler);
+      pages && pages.delete(page);
+      pages && !pages.size && this._handlerPages.delete(handler);
+    }
+  }
+
+  /**
+   * 多账号：将当前账号的登录信息和cookie暂存到账号列表中
+   * @protected
+   */
+  _stashActiveAccount(){
+    if (!this._loginInfo.isLogin)
+      return;
+    
+    let cookie = this._configOptions.cookie;
+    this._accounts[this.activeAccountId] = {
+      loginInfo: deepClone(this._loginInfo),
+      cookies: cookie ? cookie.exportJar() : null,
+    };
+  }
+
+  /**
+   * 多账号：将指定账号设为当前账号，登录信息和cookie一并替换
+   * @param {BaseLogin~AccountRecord} account 账号记录
+   * @protected
+   */
+  _activateAccount(account){
+    let lastInfo = deepClone(this._loginInfo);
+    
+    //匿名信息与设备相关，不随账号切换
+    this._loginInfo = Object.assign(deepClone(account.loginInfo), {anonymousInfo: this._loginInfo.anonymousInfo});
+    
+    let cookie = this._configOptions.cookie;
+    cookie && account.cookies && cookie.importJar(account.cookies);
+    
+    this._persistLoginInfo();
+    this._notifyInfoChanges(lastInfo);
+    this._scheduleRenew();
+  }
+
   /**
    * 检查是否登录
+   * 登录态已过期时，会清除前端登录态，并触发expired事件
    * @return {boolean}  是否登录
    */
   checkLogin(){
+    let {isLogin, expireTime} = this._loginInfo;
+    if (isLogin && expireTime>0 && Date.now()>expireTime)
+      this.clearLogin({reason: 'expired'});
+    
     return this._loginInfo.isLogin;
   }
 
@@ -568,8 +1120,31 @@ class BaseLogin {
   get userInfo(){
     return deepClone(this._loginInfo.userInfo);
   }
+
+  /**
+   * 获取token信息（token模式）
+   * @return {BaseAuth~TokenInfo|null} token信息，未登录或非token模式时返回null
+   */
+  get tokenInfo(){
+    return this._loginInfo.tokenInfo ? deepClone(this._loginInfo.tokenInfo) : null;
+  }
+
+  /**
+   * 多账号：获取当前账号id
+   * @return {string} 当前账号id，未登录时返回''
+   */
+  get activeAccountId(){
+    if (!this._loginInfo.isLogin)
+      return '';
+    return this._configOptions.accountIdGetter({
+      userInfo: this._loginInfo.userInfo,
+      authType: this._loginInfo.authType,
+    });
+  }
 }
 
+const MAX_TIMER_DELAY = 2147483647; //setTimeout支持的最大延时，超出时会立即执行
+
 /**
  * 类修饰器，确保调用API时已完成模块配置
  * @ignore
@@ -674,7 +1249,49 @@ function requireConfig(target) {
  * @property {object} userInfo 用户信息
  * @property {number} expireTime 过期时间，绝对毫秒数，-1表示长期有效
  * @property {string} authType 使用的验证方式
+ * @property {BaseAuth~TokenInfo|null} [tokenInfo] token信息（token模式）
  * @property {object} [anonymousInfo] 匿名信息（登录成功前使用的临时标识，成功后继续关联）
  */
 
+/**
+ * @typedef {Function} BaseLogin~AccountIdGetter 多账号：账号id获取函数，需保证不同账号返回不同的id
+ * @param {object} userInfo 用户信息
+ * @param {string} authType 使用的验证方式
+ * @return {string} 账号id
+ */
+
+/**
+ * @typedef {object} BaseLogin~AccountRecord 多账号：账号记录
+ * @property {BaseLogin~LoginInfo} loginInfo 登录信息
+ * @property {Array<Cookie~CookieEntry>|null} [cookies] 切换离开该账号时暂存的cookie
+ * @property {boolean} [pendingRestore] 正在以该账号为原账号添加新账号，中途退出小程序时，下次启动会恢复其cookie
+ */
+
+/**
+ * @typedef {object} BaseLogin~AccountInfo 多账号：账号信息
+ * @property {string} id 账号id
+ * @property {object} userInfo 用户信息
+ * @property {string} authType 使用的验证方式
+ * @property {boolean} isActive 是否为当前账号
+ */
+
+/**
+ * @typedef {object} BaseLogin~AccountChangeData 多账号：accountChange事件数据
+ * @property {string} fromId 原账号id，原先未登录时为''
+ * @property {string} toId 新账号id，删除当前账号后为''
+ * @property {string} reason 变化原因：add-添加账号 | switch-切换账号 | remove-删除当前账号
+ */
+
+/**
+ * @typedef {object} BaseLogin~RefreshRes token刷新结果
+ * @property {number} code 状态码
+  * | code | 语义 |
+  * | --- | --- |
+  * | 0 | 成功 |
+  * | -100 | refresh token不存在、已过期或被后端拒绝，已清除前端登录态，需要重新登录 |
+  * | -200 | 其它原因失败（如网络异常），原有token保持不变 |
+  * | -500 | 模块内部异常 |
+ * @property {string} errMsg 详细错误日志，debug用
+ */
+
 export default BaseLogin;
\ No newline at end of file
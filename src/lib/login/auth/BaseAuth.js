@@ -1,3 +1,5 @@
+import {wxResolve} from '../../wxPromise';
+
 /**
  * 鉴权模块基类
  * 负责根据用户提供的信息，完成校验过程，并返回对应的登录数据
@@ -18,6 +20,7 @@ class BaseAuth {
       toastMsg: '该授权方式未实现静默登录', //（若有）错误信息话术，展示给用户
       userInfo: {}, //（成功时）用户信息
       expireTime: -1, //（成功时）过期时间，绝对毫秒数，-1表示长期有效
+      tokenInfo: null, //（成功时，token模式）token信息
       anonymousInfo: null, //（不管成功失败）匿名信息，登录成功前使用的临时标识，成功后继续关联
     }
   }
@@ -49,9 +52,69 @@ class BaseAuth {
       toastMsg: '该授权方式未实现授权登录', //（若有）错误信息话术，展示给用户
       userInfo: {}, //（成功时）用户信息
       expireTime: -1, //（成功时）过期时间，绝对毫秒数，-1表示长期有效
+      tokenInfo: null, //（成功时，token模式）token信息
       anonymousInfo: null, //（不管成功失败）匿名信息，登录成功前使用的临时标识，成功后继续关联
     }
   }
+
+  /**
+   * 刷新token（token模式）
+   * 使用refresh token换取新的access token，支持同时轮换refresh token
+   * @async
+   * @param {string} refreshToken 当前的refresh token
+   * @param {BaseAuth~TokenInfo} tokenInfo 当前的token信息
+   * @param {Object} configOptions 登录模块配置参数，参见{@link BaseLogin#config}
+   * @return {BaseAuth~RefreshRes}
+   */
+  refreshToken({refreshToken, tokenInfo, configOptions}){
+    return {
+      succeeded: false, //是否成功
+      rejected: true, //（失败时）refresh token是否已被后端拒绝，拒绝时需要重新登录
+      errMsg: '该授权方式未实现token刷新', //详细错误信息，调试用
+      tokenInfo: null, //（成功时）新的token信息，未返回的字段沿用原有值
+    }
+  }
+
+  /**
+   * 微信登录：调用微信相关API，获取微信登录态
+   * @return {WechatAuth~WxLoginRes} wx.login执行结果
+   */
+  async wxLogin(){
+    return await wxResolve.login();
+  }
+
+  /**
+   * 生成登录失败结果
+   * @param {string} errMsg 详细错误信息
+   * @param {string} [toastMsg='登录失败，请稍后重试'] 错误信息话术
+   * @return {BaseAuth~LoginRes}
+   * @protected
+   */
+  _makeFailRes({errMsg, toastMsg='登录失败，请稍后重试'}){
+    return {
+      succeeded: false,
+      errMsg,
+      toastMsg,
+      userInfo: {},
+      expireTime: -1,
+      anonymousInfo: null,
+    };
+  }
+
+  /**
+   * 调用后端接口，捕获异常并转为登录失败结果
+   * @param {function(): Promise<BaseAuth~LoginRes>} func 调用函数
+   * @return {BaseAuth~LoginRes}
+   * @protected
+   */
+  async _callBackend(func){
+    try {
+      return await func();
+    } catch (e) {
+      console.error('[BaseAuth] backend error:', e);
+      return this._makeFailRes({errMsg: `backend error: ${e && e.message || e}`});
+    }
+  }
 }
 
 /**
@@ -60,8 +123,27 @@ class BaseAuth {
  * @property {string} errMsg 详细错误信息，调试用
  * @property {string} [toastMsg] 错误信息话术，向用户提示用
  * @property {Object} userInfo （成功时）用户信息
- * @property {number} expireTime （成功时）过期时间，绝对毫秒数，-1表示长期有效
+ * @property {number} expireTime （成功时）过期时间，绝对毫秒数，-1表示长期有效；token模式下建议设为refresh token的过期时间
+ * @property {BaseAuth~TokenInfo} [tokenInfo] （成功时，token模式）token信息
  * @property {Object} [anonymousInfo] （不管成功失败）匿名信息，登录成功前使用的临时标识，成功后继续关联
  */
 
+/**
+ * @typedef {Object} BaseAuth~TokenInfo token信息（token模式）
+ * @property {string} accessToken access token，请求时放入Authorization头部
+ * @property {number} [accessExpireTime=-1] access token过期时间，绝对毫秒数，-1表示长期有效
+ * @property {string} [refreshToken] refresh token，用于换取新的access token
+ * @property {number} [refreshExpireTime=-1] refresh token过期时间，绝对毫秒数，-1表示长期有效
+ * @property {string} [tokenType='Bearer'] token类型，Authorization头部的前缀
+ */
+
+/**
+ * @typedef {Object} BaseAuth~RefreshRes 鉴权模块token刷新结果
+ * @property {boolean} succeeded 是否成功
+ * @property {boolean} [rejected] （失败时）refresh token是否已被后端拒绝：true-需要重新登录 | false-其它原因失败（如网络异常），可稍后重试
+ * @property {string} errMsg 详细错误信息，调试用
+ * @property {BaseAuth~TokenInfo} [tokenInfo] （成功时）新的token信息，未返回的字段沿用原有值
+ * @property {number} [expireTime] （成功时）新的登录过期时间，不返回时沿用原有值
+ */
+
 export default BaseAuth;
\ No newline at end of file
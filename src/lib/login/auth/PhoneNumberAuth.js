@@ -0,0 +1,99 @@
+import BaseAuth from './BaseAuth';
+
+/**
+ * 手机号快捷登录鉴权模块
+ * 用户点击open-type="getPhoneNumber"按钮授权手机号后，将微信返回的手机号凭证交给后端解密，完成登录过程，详见{@tutorial 2.1-login}
+ *
+ * 后端接口通过backend适配器对接，参见{@link PhoneNumberAuth~Backend}
+ * @extends BaseAuth
+ * @example
+ * const phoneNumberAuth = new PhoneNumberAuth({
+ *   backend: {
+ *     async silentLogin({wxLoginRes}){ //可选，根据wx.login的code查询已绑定手机号的用户
+ *       let data = await requester.request({url: 'https://xxx/login/silent', data: {code: wxLoginRes.code}});
+ *       return {succeeded: data.isBound, errMsg: 'not bound', userInfo: data.userInfo, expireTime: data.expireTime};
+ *     },
+ *     async loginByPhoneNumber({wxLoginRes, phoneCode, encryptedData, iv}){ //根据手机号凭证登录/注册
+ *       let data = await requester.request({url: 'https://xxx/login/phone', method: 'POST', data: {code: wxLoginRes.code, phoneCode, encryptedData, iv}});
+ *       return {succeeded: true, errMsg: 'ok', userInfo: data.userInfo, expireTime: data.expireTime};
+ *     },
+ *   },
+ * });
+ *
+ * loginCenter.config({
+ *   authEngineMap: {
+ *     'phoneNumber': phoneNumberAuth,
+ *   },
+ *   //...其它配置
+ * });
+ *
+ * //登录界面：<button open-type="getPhoneNumber" bindgetphonenumber="onGetPhoneNumber">手机号快捷登录</button>
+ * onGetPhoneNumber(ev){
+ *   authEvents.notify({
+ *     eventType: 'userAuthFinish',
+ *     data: {succeeded: true, errMsg: 'ok', authType: 'phoneNumber', authData: ev.detail}, //将按钮事件详情作为authData返回
+ *   });
+ * }
+ */
+class PhoneNumberAuth extends BaseAuth{
+  _backend = null; //后端适配器
+
+  /**
+   * 构造函数
+   * @param {PhoneNumberAuth~Backend} backend 后端适配器
+   */
+  constructor({backend}){
+    super();
+    this._backend = backend;
+  }
+
+  async silentLogin({loginOptions, configOptions}){
+    //后端不支持静默登录
+    if (!this._backend.silentLogin)
+      return super.silentLogin({loginOptions, configOptions});
+
+    let wxLoginRes = await this.wxLogin();
+    if (!wxLoginRes.succeeded)
+      return this._makeFailRes({errMsg: `wx.login failed: ${wxLoginRes.errMsg}`});
+
+    return this._callBackend(()=>this._backend.silentLogin({wxLoginRes, loginOptions, configOptions}));
+  }
+
+  async beforeAuthLogin({loginOptions, configOptions}){
+    //在用户点击授权按钮前获取code，避免在按钮回调中调用wx.login导致session_key刷新，使手机号密文无法解密
+    let wxLoginRes = await this.wxLogin();
+    return {wxLoginRes};
+  }
+
+  async authLogin({loginOptions, configOptions, beforeRes, authData}){
+    //用户拒绝授权
+    if (!authData || !/:ok$/.test(authData.errMsg || ''))
+      return this._makeFailRes({
+        errMsg: `getPhoneNumber failed: ${authData && authData.errMsg}`,
+        toastMsg: '需要授权手机号才能登录',
+      });
+
+    let wxLoginRes = beforeRes && beforeRes.wxLoginRes;
+    if (!wxLoginRes || !wxLoginRes.succeeded)
+      return this._makeFailRes({errMsg: `wx.login failed: ${wxLoginRes && wxLoginRes.errMsg}`});
+
+    return this._callBackend(()=>this._backend.loginByPhoneNumber({
+      wxLoginRes,
+      phoneCode: authData.code,
+      encryptedData: authData.encryptedData,
+      iv: authData.iv,
+      loginOptions,
+      configOptions,
+    }));
+  }
+}
+
+/**
+ * @typedef {Object} PhoneNumberAuth~Backend 后端适配器
+ * @property {function({wxLoginRes: WechatAuth~WxLoginRes, loginOptions: Object, configOptions: Object}): Promise<BaseAuth~LoginRes>} [silentLogin]
+ *  静默登录，根据wx.login的code查询已绑定手机号的用户，不提供时不支持静默登录
+ * @property {function({wxLoginRes: WechatAuth~WxLoginRes, phoneCode: string, encryptedData: string, iv: string, loginOptions: Object, configOptions: Object}): Promise<BaseAuth~LoginRes>} loginByPhoneNumber
+ *  手机号登录，phoneCode为手机号获取凭证（新版接口），encryptedData、iv为手机号密文（旧版接口），由后端换取/解密手机号后完成登录或注册
+ */
+
+export default PhoneNumberAuth;
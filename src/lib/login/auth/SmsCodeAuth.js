@@ -0,0 +1,228 @@
+import BaseAuth from './BaseAuth';
+import EventHub from '../../EventHub';
+import Countdowner from '../../countdowner';
+
+/**
+ * 短信验证码登录鉴权模块
+ * 负责发送验证码、管理重新发送倒计时，并根据用户填写的手机号和验证码完成登录过程，详见{@tutorial 2.1-login}
+ *
+ * 发送验证码、登录等后端交互的格式参见{@link SmsCodeAuth~Backend}
+ * @extends BaseAuth
+ * @example
+ * const smsCodeAuth = new SmsCodeAuth({
+ *   backend: {
+ *     async sendCode({phone}){ //发送验证码
+ *       let data = await requester.request({url: 'https://xxx/sms/send', method: 'POST', data: {phone}});
+ *       return {succeeded: true, errMsg: 'ok', interval: data.interval};
+ *     },
+ *     async loginBySmsCode({phone, smsCode, wxLoginRes}){ //根据验证码登录/注册，可同时绑定微信账号
+ *       let data = await requester.request({url: 'https://xxx/login/sms', method: 'POST', data: {phone, smsCode, code: wxLoginRes.code}});
+ *       return {succeeded: true, errMsg: 'ok', userInfo: data.userInfo, expireTime: data.expireTime};
+ *     },
+ *   },
+ * });
+ *
+ * loginCenter.config({
+ *   authEngineMap: {
+ *     'smsCode': smsCodeAuth,
+ *   },
+ *   //...其它配置
+ * });
+ *
+ * //登录界面
+ * onLoad(){
+ *   smsCodeAuth.subscribe({eventType: 'countdown', handler: ({remainSeconds})=>this.remainSeconds = remainSeconds});
+ * }
+ * async onSendCode(){
+ *   let sendRes = await smsCodeAuth.sendCode({phone: this.phone});
+ *   if (!sendRes.succeeded)
+ *     wx.showToast({title: sendRes.toastMsg, icon: 'none'});
+ * }
+ * onSubmit(){
+ *   authEvents.notify({
+ *     eventType: 'userAuthFinish',
+ *     data: {succeeded: true, errMsg: 'ok', authType: 'smsCode', authData: {phone: this.phone, smsCode: this.smsCode}},
+ *   });
+ * }
+ */
+class SmsCodeAuth extends BaseAuth{
+  _backend = null; //后端适配器
+  _codeInterval = 0; //重新发送验证码的间隔，单位：ms
+  _phoneValidator = null; //手机号格式校验函数
+
+  _sentPhone = ''; //最近一次成功发送验证码的手机号
+  _isSending = false; //是否正在发送验证码
+  _remainSeconds = 0; //距离可以重新发送验证码的剩余秒数
+  _countdowner = null; //倒计时器
+  _events = null; //事件中心
+
+  /**
+   * 构造函数
+   * @param {SmsCodeAuth~Backend} backend 后端适配器
+   * @param {number} [codeInterval=60000] 重新发送验证码的间隔，单位：ms，后端在sendCode结果中返回interval时以后端为准
+   * @param {function(string): boolean} [phoneValidator] 手机号格式校验函数，默认校验是否为1开头的11位数字
+   */
+  constructor({backend, codeInterval=60*1000, phoneValidator=phone=>/^1\d{10}$/.test(phone)}){
+    super();
+    this._backend = backend;
+    this._codeInterval = codeInterval;
+    this._phoneValidator = phoneValidator;
+    this._events = new EventHub({
+      validEvents: [
+        'countdown', //倒计时变化，每秒触发一次
+        'countdownEnd', //倒计时结束，可以重新发送验证码
+      ],
+    });
+  }
+
+  async silentLogin({loginOptions, configOptions}){
+    //后端不支持静默登录
+    if (!this._backend.silentLogin)
+      return super.silentLogin({loginOptions, configOptions});
+
+    let wxLoginRes = await this.wxLogin();
+    if (!wxLoginRes.succeeded)
+      return this._makeFailRes({errMsg: `wx.login failed: ${wxLoginRes.errMsg}`});
+
+    return this._callBackend(()=>this._backend.silentLogin({wxLoginRes, loginOptions, configOptions}));
+  }
+
+  async beforeAuthLogin({loginOptions, configOptions}){
+    //获取code，供后端绑定微信账号使用
+    let wxLoginRes = await this.wxLogin();
+    return {wxLoginRes, time: Date.now()};
+  }
+
+  async authLogin({loginOptions, configOptions, beforeRes, authData}){
+    let {phone, smsCode} = authData || {};
+
+    //参数校验
+    if (!this._phoneValidator(phone))
+      return this._makeFailRes({errMsg: `invalid phone: ${phone}`, toastMsg: '请输入正确的手机号'});
+    if (!smsCode)
+      return this._makeFailRes({errMsg: 'empty smsCode', toastMsg: '请输入验证码'});
+    if (phone !== this._sentPhone)
+      return this._makeFailRes({errMsg: `smsCode not sent to phone: ${phone}`, toastMsg: '请先获取验证码'});
+
+    //用户填写表单耗时较长时，code可能已失效，重新获取
+    let wxLoginRes = beforeRes && beforeRes.wxLoginRes;
+    if (!wxLoginRes || !wxLoginRes.succeeded || Date.now() - beforeRes.time > WX_CODE_TTL)
+      wxLoginRes = await this.wxLogin();
+
+    let loginRes = await this._callBackend(()=>this._backend.loginBySmsCode({
+      phone,
+      smsCode,
+      wxLoginRes,
+      loginOptions,
+      configOptions,
+    }));
+
+    if (loginRes.succeeded)
+      this._sentPhone = '';
+    return loginRes;
+  }
+
+  /**
+   * 发送验证码
+   * 发送成功后开始倒计时，倒计时结束前不能重新发送
+   * @param {string} phone 手机号
+   * @return {SmsCodeAuth~SendRes} 发送结果
+   */
+  async sendCode({phone}){
+    if (!this._phoneValidator(phone))
+      return {succeeded: false, errMsg: `invalid phone: ${phone}`, toastMsg: '请输入正确的手机号'};
+    if (this._remainSeconds > 0)
+      return {succeeded: false, errMsg: 'send too frequently', toastMsg: `请${this._remainSeconds}秒后再试`};
+    if (this._isSending)
+      return {succeeded: false, errMsg: 'sending', toastMsg: '验证码发送中'};
+
+    let sendRes = {};
+    this._isSending = true;
+    try {
+      sendRes = await this._backend.sendCode({phone});
+    } catch (e) {
+      console.error('[SmsCodeAuth] backend error when sending code:', e);
+      sendRes = {succeeded: false, errMsg: `backend error: ${e && e.message || e}`};
+    }
+    this._isSending = false;
+
+    if (!sendRes.succeeded)
+      return {succeeded: false, errMsg: sendRes.errMsg, toastMsg: sendRes.toastMsg || '验证码发送失败，请稍后重试'};
+
+    this._sentPhone = phone;
+    this._startCountdown(sendRes.interval || this._codeInterval);
+    return {succeeded: true, errMsg: 'ok'};
+  }
+
+  /**
+   * 距离可以重新发送验证码的剩余秒数，0表示可以发送
+   * @return {number}
+   */
+  get remainSeconds(){
+    return this._remainSeconds;
+  }
+
+  /**
+   * 监听事件，用法同{@link EventHub#subscribe}
+   * 事件列表：
+   * countdown - 倒计时变化，每秒触发一次，事件数据：{remainSeconds} | countdownEnd - 倒计时结束，可以重新发送验证码
+   * @param {string} eventType 事件名称
+   * @param {function} handler 处理函数
+   * @param {string} [persistType='always'] 持续策略：once-触发一次后自动移除监听 | always-每次都触发
+   */
+  subscribe({eventType, handler, persistType='always'}){
+    this._events.subscribe({eventType, handler, persistType});
+  }
+
+  /**
+   * 取消监听，用法同{@link EventHub#unsubscribe}
+   * @param {string} eventType 事件名称
+   * @param {function} handler 处理函数
+   */
+  unsubscribe({eventType, handler}){
+    this._events.unsubscribe({eventType, handler});
+  }
+
+  /**
+   * 开始重新发送倒计时
+   * @param {number} ms 倒计时时长，单位：ms
+   * @private
+   */
+  _startCountdown(ms){
+    this._remainSeconds = Math.ceil(ms / 1000);
+    this._events.notify({eventType: 'countdown', data: {remainSeconds: this._remainSeconds}});
+
+    this._countdowner = new Countdowner({
+      countFromInMs: ms,
+      interval: 1000,
+      onTimeChange: ()=>{
+        this._remainSeconds = Math.ceil(this._countdowner.remainMs / 1000);
+        this._events.notify({eventType: 'countdown', data: {remainSeconds: this._remainSeconds}});
+      },
+      onTimeout: ()=>{
+        this._remainSeconds = 0;
+        this._events.notify({eventType: 'countdownEnd', data: {}});
+      },
+    });
+  }
+}
+
+const WX_CODE_TTL = 4 * 60 * 1000; //wx.login获取的code有效期为5分钟，留出余量
+
+/**
+ * @typedef {Object} SmsCodeAuth~Backend 后端适配器
+ * @property {function({phone: string}): Promise<SmsCodeAuth~SendRes>} sendCode 发送验证码，结果中可额外返回interval字段指定重新发送间隔（单位：ms）
+ * @property {function({phone: string, smsCode: string, wxLoginRes: WechatAuth~WxLoginRes, loginOptions: Object, configOptions: Object}): Promise<BaseAuth~LoginRes>} loginBySmsCode
+ *  验证码登录，由后端校验验证码后完成登录或注册，可根据wxLoginRes.code同时绑定微信账号
+ * @property {function({wxLoginRes: WechatAuth~WxLoginRes, loginOptions: Object, configOptions: Object}): Promise<BaseAuth~LoginRes>} [silentLogin]
+ *  静默登录，根据wx.login的code查询已绑定微信账号的用户，不提供时不支持静默登录
+ */
+
+/**
+ * @typedef {Object} SmsCodeAuth~SendRes 验证码发送结果
+ * @property {boolean} succeeded 是否成功
+ * @property {string} errMsg 详细错误信息，调试用
+ * @property {string} [toastMsg] 错误信息话术，向用户提示用
+ */
+
+export default SmsCodeAuth;
@@ -1,5 +1,4 @@
 import BaseAuth from './BaseAuth';
-import {wxPromise, wxResolve} from '../../wxPromise';
 
 /**
  * 微信登录鉴权模块
@@ -26,14 +25,6 @@ class WechatAuth extends BaseAuth{
     });
   }
 
-  /**
-   * 微信登录：调用微信相关API，获取微信登录态
-   * @return {WechatAuth~WxLoginRes} wx.login执行结果
-   */
-  async wxLogin(){
-    return await wxResolve.login();
-  }
-
   /**
    * 微信静默登录
    * 根据wxLoginRes.code调后端接口解密获得用户openid，根据openid查询用户表
@@ -251,6 +251,64 @@ export function appendUrlParam(url, extraParams) {
   return newQueries.length>0 ? path + '?' + newQueries.join('&') : url;
 }
 
+/**
+ * 判断url是否匹配指定模式
+ * @param {string} url 待判断的url
+ * @param {string|RegExp|Function|Array} pattern 匹配模式：
+ *   string - url中包含该字符串即视为匹配 |
+ *   RegExp - 正则匹配 |
+ *   Function - 以url为参数调用，返回true即视为匹配 |
+ *   Array - 满足其中任一模式即视为匹配
+ * @return {boolean} 是否匹配
+ * @example
+ * matchUrlPattern('https://a.com/bizA/list', '/bizA/'); //true
+ * matchUrlPattern('https://a.com/bizA/list', /\/list$/); //true
+ * matchUrlPattern('https://a.com/bizA/list', ['/bizB/', '/bizC/']); //false
+ */
+export function matchUrlPattern(url, pattern) {
+  if (Array.isArray(pattern))
+    return pattern.some(subPattern=>matchUrlPattern(url, subPattern));
+
+  if (typeof pattern === "string")
+    return url.includes(pattern);
+
+  if (pattern instanceof RegExp)
+    return pattern.test(url);
+
+  if (typeof pattern === "function")
+    return !!pattern(url);
+
+  console.error('[matchUrlPattern] unknown pattern:', pattern);
+  return false;
+}
+
+/**
+ * 将路由路径模式编译为正则，用于按路径分发请求
+ * @param {string} pattern 路由路径，首尾斜杠会被忽略；以冒号开头的片段为路径参数，单独的*匹配任意路径
+ * @return {{regExp: RegExp, keys: Array<string>}} 对应正则及路径参数名列表，正则第n个分组对应第n个路径参数
+ * @example
+ * let {regExp, keys} = compilePathPattern('/user/:id'); //keys: ['id']
+ * regExp.exec('user/12')[1]; //'12'
+ * compilePathPattern('shop/*').regExp.test('shop/items/1'); //true
+ */
+export function compilePathPattern(pattern) {
+  let keys = [];
+  let source = pattern.replace(/^\/+|\/+$/g, '').split('/').map(segment=>{
+    if (segment[0] === ':') {
+      keys.push(segment.substring(1));
+      return '([^/]+)';
+    }
+    if (segment === '*')
+      return '.*';
+    return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('/');
+
+  return {
+    regExp: new RegExp(`^${source}/?$`),
+    keys,
+  }
+}
+
 /**
  * 将小程序相对路径转为绝对路径
  * @param {string} relativePath 相对路径
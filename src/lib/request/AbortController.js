@@ -0,0 +1,107 @@
+/**
+ * 请求中止控制器，用于中止进行中的请求，用法类似web中的AbortController，详见{@tutorial 2.3-request}
+ * @example
+ * let controller = new AbortController();
+ *
+ * requester.request({
+ *   url: 'https://xxx',
+ *   signal: controller.signal, //额外定义一个保留字段signal，用于关联中止控制器
+ * }).catch(res=>{
+ *   if (res.aborted) //请求被中止
+ *     console.log('aborted, reason:', res.abortReason);
+ * });
+ *
+ * controller.abort('page unload'); //中止请求
+ */
+class AbortController {
+  /**
+   * 中止信号，在请求参数中传入，用于关联请求
+   * @type {AbortSignal}
+   */
+  signal = null;
+
+  /**
+   * 构造函数
+   */
+  constructor(){
+    this.signal = new AbortSignal();
+  }
+
+  /**
+   * 中止关联的请求
+   * 已发出的请求会被中止，尚未发出的请求不会再发出
+   * @param {string} [reason='abort'] 中止原因
+   */
+  abort(reason='abort'){
+    this.signal._abort(reason);
+  }
+}
+
+/**
+ * 中止信号，由{@link AbortController}创建，用于在请求流程中感知中止操作
+ */
+class AbortSignal {
+  /**
+   * 是否已中止
+   * @type {boolean}
+   */
+  aborted = false;
+  /**
+   * 中止原因
+   * @type {string}
+   */
+  reason = '';
+
+  _handlers = []; //监听函数列表
+
+  /**
+   * 监听中止操作
+   * 若已中止，则立即触发
+   * @param {function} handler 监听函数，参数：中止原因
+   */
+  onAbort(handler){
+    if (this.aborted) {
+      handler(this.reason);
+      return;
+    }
+
+    this._handlers.push(handler);
+  }
+
+  /**
+   * 取消监听
+   * @param {function} handler 监听函数
+   */
+  offAbort(handler){
+    this._handlers = this._handlers.filter(item=>item!==handler);
+  }
+
+  /**
+   * 触发中止
+   * @param {string} reason 中止原因
+   * @private
+   */
+  _abort(reason){
+    if (this.aborted) //已中止，无需重复处理
+      return;
+
+    this.aborted = true;
+    this.reason = reason;
+
+    let handlers = this._handlers;
+    this._handlers = [];
+    for (let handler of handlers) {
+      try {
+        handler(reason);
+      } catch (e) {
+        console.error('[AbortSignal] caught err when exec handler, err:', e);
+      }
+    }
+  }
+}
+
+export {
+  AbortSignal
+}
+
+export default AbortController;
@@ -0,0 +1,357 @@
+import Cookie from '../Cookie';
+import {compilePathPattern} from '../operationKit';
+
+/**
+ * 云函数路由
+ * 在云函数（或node环境）中使用，按 请求方法+路径 将{@link CloudFuncPlugin}转发的请求分发给对应处理函数，详见{@tutorial 2.3-request}
+ *
+ * 负责处理云函数插件约定的协议细节：
+ * 1. 解析reqMethod、reqPath、reqHeader等保留字段，cookie统一解析为对象格式
+ * 2. 处理函数通过res设置状态码、头部、cookie，路由负责生成resStatusCode、resHeader、Set-Cookie等保留字段
+ * 3. 处理函数返回非对象数据（如数组）时，通过保留字段resBody返回
+ * 4. 未匹配到路由时返回404，路径匹配但请求方法不匹配时返回405，处理函数抛出异常时返回500
+ *
+ * 按路径分发依赖reqMethod、reqPath字段，需开启云函数插件的类型保留模式（typed: true）
+ * @example
+ * //云函数 api/index.js
+ * const CloudRouter = require('fancy-mini/lib/request/CloudRouter').default;
+ *
+ * const router = new CloudRouter({
+ *   basePath: 'api', //路径前缀，e.g. 云函数插件中配置了路由 {path: 'api/*', funcName: 'api'}
+ * });
+ *
+ * router.get('user/:id', async (req, res)=>{
+ *   if (!req.cookies.uid) {
+ *     res.status(401);
+ *     return {errMsg: '请登录'};
+ *   }
+ *   return {id: req.params.id, name: 'fancy'};
+ * });
+ *
+ * router.post('login', async (req, res)=>{
+ *   res.setCookie('uid', '123', {maxAge: 7*24*3600, httpOnly: true});
+ *   return {succeeded: true};
+ * });
+ *
+ * exports.main = (event, context)=>router.handle(event, context);
+ *
+ * @example node环境中测试
+ * let result = await router.handle({
+ *   reqMethod: 'GET',
+ *   reqPath: 'api/user/12',
+ *   reqHeader: {cookie: 'uid=123'}, //cookie也可以是字符串格式
+ * });
+ * //result: {id: '12', name: 'fancy', resStatusCode: 200, resHeader: {}}
+ */
+class CloudRouter {
+  _basePath = ''; //路径前缀
+  _routes = []; //路由列表，元素格式：{method, path, handler, pathRegExp}
+  _onError = null; //异常处理函数
+
+  /**
+   * 构造函数
+   * @param {string} [basePath=''] 路径前缀，匹配路由前会先从请求路径中去除
+   * @param {CloudRouter~ErrorHandler} [onError] 异常处理函数，默认返回状态码为500的结果
+   */
+  constructor({basePath='', onError=null}={}){
+    this._basePath = basePath.replace(/^\/+|\/+$/g, '');
+    this._onError = onError;
+  }
+
+  /**
+   * 注册路由
+   * @param {string} [method] 请求方法，空表示匹配所有方法
+   * @param {string} path 路由路径，以冒号开头的片段为路径参数，e.g. 'user/:id'；单独的*匹配任意路径
+   * @param {CloudRouter~Handler} handler 处理函数
+   * @return {CloudRouter} 路由对象本身，便于链式调用
+   */
+  route({method='', path, handler}){
+    this._routes.push({
+      method: method.toUpperCase(),
+      path,
+      handler,
+      pathRegExp: compilePathPattern(path),
+    });
+    return this;
+  }
+
+  /**
+   * 注册GET路由，参见{@link CloudRouter#route}
+   * @param {string} path 路由路径
+   * @param {CloudRouter~Handler} handler 处理函数
+   * @return {CloudRouter}
+   */
+  get(path, handler){
+    return this.route({method: 'GET', path, handler});
+  }
+
+  /**
+   * 注册POST路由，参见{@link CloudRouter#route}
+   * @param {string} path 路由路径
+   * @param {CloudRouter~Handler} handler 处理函数
+   * @return {CloudRouter}
+   */
+  post(path, handler){
+    return this.route({method: 'POST', path, handler});
+  }
+
+  /**
+   * 注册PUT路由，参见{@link CloudRouter#route}
+   * @param {string} path 路由路径
+   * @param {CloudRouter~Handler} handler 处理函数
+   * @return {CloudRouter}
+   */
+  put(path, handler){
+    return this.route({method: 'PUT', path, handler});
+  }
+
+  /**
+   * 注册DELETE路由，参见{@link CloudRouter#route}
+   * @param {string} path 路由路径
+   * @param {CloudRouter~Handler} handler 处理函数
+   * @return {CloudRouter}
+   */
+  delete(path, handler){
+    return this.route({method: 'DELETE', path, handler});
+  }
+
+  /**
+   * 注册匹配所有请求方法的路由，参见{@link CloudRouter#route}
+   * @param {string} path 路由路径
+   * @param {CloudRouter~Handler} handler 处理函数
+   * @return {CloudRouter}
+   */
+  all(path, handler){
+    return this.route({path, handler});
+  }
+
+  /**
+   * 处理请求，可直接作为云函数入口
+   * @param {object} event 云函数入参，即云函数插件转发的请求参数
+   * @param {object} [context] 云函数上下文
+   * @return {Promise<object>} 云函数返回结果，携带resStatusCode、resHeader等保留字段
+   */
+  async handle(event, context){
+    let req = this._parseReq({event, context});
+    let res = createResponse();
+
+    let data;
+    try {
+      data = await this._dispatch({req, res});
+    } catch (err) {
+      data = await this._handleError({err, req, res});
+    }
+
+    return this._buildResult({res, data});
+  }
+
+  /**
+   * 解析云函数入参
+   * @param {object} event 云函数入参
+   * @param {object} [context] 云函数上下文
+   * @return {CloudRouter~Request} 请求对象
+   * @private
+   */
+  _parseReq({event={}, context}){
+    let {reqMethod, reqPath, pathParams, reqHeader, ...data} = event;
+
+    let header = Object.assign({}, reqHeader);
+    let cookies = typeof header.cookie === 'string' ? Cookie.cookieStrToObj(header.cookie) : Object.assign({}, header.cookie);
+
+    //去除路径前缀
+    let path = (reqPath || '').replace(/^\/+/, '');
+    if (this._basePath && (path === this._basePath || path.indexOf(this._basePath + '/') === 0))
+      path = path.substring(this._basePath.length).replace(/^\/+/, '');
+
+    return {
+      method: (reqMethod || 'GET').toUpperCase(),
+      path,
+      params: {},
+      data,
+      header,
+      cookies,
+      event,
+      context,
+    };
+  }
+
+  /**
+   * 匹配路由并调用处理函数
+   * @param {CloudRouter~Request} req 请求对象
+   * @param {CloudRouter~Response} res 响应对象
+   * @return {Promise<*>} 返回数据
+   * @private
+   */
+  async _dispatch({req, res}){
+    let pathMatched = false;
+
+    for (let route of this._routes) {
+      let match = route.pathRegExp.regExp.exec(req.path);
+      if (!match)
+        continue;
+
+      pathMatched = true;
+      if (route.method && route.method !== req.method)
+        continue;
+
+      route.pathRegExp.keys.forEach((key, index)=>{
+        req.params[key] = match[index+1];
+      });
+      return route.handler(req, res);
+    }
+
+    //未匹配到路由
+    res.status(pathMatched ? 405 : 404);
+    return {errMsg: pathMatched ? 'method not allowed' : 'not found'};
+  }
+
+  /**
+   * 处理异常
+   * @param {*} err 处理函数抛出的异常
+   * @param {CloudRouter~Request} req 请求对象
+   * @param {CloudRouter~Response} res 响应对象
+   * @return {Promise<*>} 返回数据
+   * @private
+   */
+  async _handleError({err, req, res}){
+    if (this._onError) {
+      try {
+        return await this._onError(err, req, res);
+      } catch (e) {
+        err = e;
+      }
+    }
+
+    console.error('[CloudRouter] handler error, method:', req.method, 'path:', req.path, 'err:', err);
+    res.status((err && err.statusCode) || 500);
+    return {errMsg: (err && err.message) || String(err)};
+  }
+
+  /**
+   * 生成云函数返回结果
+   * @param {CloudRouter~Response} res 响应对象
+   * @param {*} data 返回数据
+   * @return {object} 携带保留字段的返回结果
+   * @private
+   */
+  _buildResult({res, data}){
+    let resHeader = Object.assign({}, res.header);
+    if (res.cookies.length)
+      resHeader['Set-Cookie'] = res.cookies.slice();
+
+    let httpFields = {
+      resStatusCode: res.statusCode,
+      resHeader,
+    };
+
+    //对象数据直接拼入保留字段，其它数据通过resBody返回
+    if (data === undefined)
+      data = {};
+    if (data && typeof data === 'object' && !Array.isArray(data))
+      return Object.assign({}, data, httpFields);
+
+    return Object.assign({resBody: data}, httpFields);
+  }
+}
+
+/**
+ * 生成响应对象
+ * @ignore
+ * @return {CloudRouter~Response}
+ */
+function createResponse() {
+  return {
+    statusCode: 200,
+    header: {},
+    cookies: [],
+    status(statusCode){
+      this.statusCode = statusCode;
+      return this;
+    },
+    setHeader(name, value){
+      this.header[name] = value;
+      return this;
+    },
+    setCookie(name, value, options={}){
+      this.cookies.push(makeSetCookieStr(name, value, options));
+      return this;
+    },
+    clearCookie(name, options={}){
+      this.cookies.push(makeSetCookieStr(name, '', Object.assign({}, options, {maxAge: 0, expires: 0})));
+      return this;
+    },
+  };
+}
+
+/**
+ * 生成Set-Cookie头部内容
+ * @ignore
+ * @param {string} name cookie名称
+ * @param {string} value cookie值
+ * @param {CloudRouter~CookieOptions} options 配置选项
+ * @return {string} e.g. 'uid=123; Path=/; Max-Age=3600; HttpOnly'
+ */
+function makeSetCookieStr(name, value, {path='/', domain, expires, maxAge, secure, httpOnly, sameSite}) {
+  let parts = [`${name}=${value}`];
+  path && parts.push(`Path=${path}`);
+  domain && parts.push(`Domain=${domain}`);
+  if (expires !== undefined)
+    parts.push(`Expires=${new Date(expires).toUTCString()}`);
+  if (maxAge !== undefined)
+    parts.push(`Max-Age=${Math.floor(maxAge)}`);
+  secure && parts.push('Secure');
+  httpOnly && parts.push('HttpOnly');
+  sameSite && parts.push(`SameSite=${sameSite}`);
+  return parts.join('; ');
+}
+
+/**
+ * @typedef {object} CloudRouter~Request 请求对象
+ * @property {string} method 请求方法（大写）
+ * @property {string} path 请求路径（已去除路径前缀）
+ * @property {object} params 路径参数
+ * @property {object} data 请求参数（已去除reqMethod、reqPath、pathParams、reqHeader等保留字段）
+ * @property {object} header 请求头部
+ * @property {object} cookies 请求cookie，对象格式，形如：{uid: 'xxx'}
+ * @property {object} event 云函数原始入参
+ * @property {object} context 云函数上下文
+ */
+
+/**
+ * @typedef {object} CloudRouter~Response 响应对象
+ * @property {number} statusCode 状态码，默认为200
+ * @property {object} header 响应头部
+ * @property {Array<string>} cookies Set-Cookie列表
+ * @property {function(number): CloudRouter~Response} status 设置状态码
+ * @property {function(string, *): CloudRouter~Response} setHeader 设置头部
+ * @property {function(string, string, CloudRouter~CookieOptions=): CloudRouter~Response} setCookie 设置cookie
+ * @property {function(string, CloudRouter~CookieOptions=): CloudRouter~Response} clearCookie 清除cookie
+ */
+
+/**
+ * @typedef {object} CloudRouter~CookieOptions cookie配置选项
+ * @property {string} [path='/'] 路径
+ * @property {string} [domain] 域名
+ * @property {Date|number|string} [expires] 过期时间
+ * @property {number} [maxAge] 有效期，单位：s
+ * @property {boolean} [secure] 是否仅https
+ * @property {boolean} [httpOnly] 是否禁止脚本访问
+ * @property {string} [sameSite] SameSite策略
+ */
+
+/**
+ * @typedef {function} CloudRouter~Handler 处理函数
+ * @param {CloudRouter~Request} req 请求对象
+ * @param {CloudRouter~Response} res 响应对象
+ * @return {*|Promise<*>} 返回数据
+ */
+
+/**
+ * @typedef {function} CloudRouter~ErrorHandler 异常处理函数
+ * @param {*} err 处理函数抛出的异常
+ * @param {CloudRouter~Request} req 请求对象
+ * @param {CloudRouter~Response} res 响应对象
+ * @return {*|Promise<*>} 返回数据
+ */
+
+export default CloudRouter;
@@ -0,0 +1,105 @@
+/**
+ * 请求错误，请求结果经错误规整阶段处理后，失败时会在{@link Requester~ReqRes}的error字段中携带该对象，详见{@tutorial 2.3-request}
+ * 便于调用方按错误类型统一处理，而不必分别判断网络异常、http状态码、业务错误码等各种情形
+ * @example
+ * requester.request({url: 'https://xxx'}).catch(res=>{
+ *   switch (res.error.type) {
+ *     case RequestError.TYPE.ABORTED: //请求被中止，无需提示
+ *       return;
+ *     case RequestError.TYPE.BUSINESS: //业务错误，展示后端返回的提示文案
+ *       wx.showToast({title: res.error.message, icon: 'none'});
+ *       return;
+ *     default: //其它错误
+ *       wx.showToast({title: '网络异常，请稍后重试', icon: 'none'});
+ *   }
+ * });
+ */
+class RequestError {
+  /**
+   * 错误类型
+   * | 类型 | 取值 | 说明 |
+   * | --- | --- | --- |
+   * | NETWORK | 'network' | 网络异常等导致请求未正常返回 |
+   * | TIMEOUT | 'timeout' | 请求超时 |
+   * | ABORTED | 'aborted' | 请求被中止 |
+   * | CANCELLED | 'cancelled' | 请求被插件取消 |
+   * | HTTP | 'http' | 服务端返回了异常的http状态码，由插件根据需要生成 |
+   * | BUSINESS | 'business' | 服务端返回了业务错误码，由插件根据需要生成 |
+   * @type {{NETWORK: string, TIMEOUT: string, ABORTED: string, CANCELLED: string, HTTP: string, BUSINESS: string}}
+   */
+  static TYPE = {
+    NETWORK: 'network',
+    TIMEOUT: 'timeout',
+    ABORTED: 'aborted',
+    CANCELLED: 'cancelled',
+    HTTP: 'http',
+    BUSINESS: 'business',
+  };
+
+  /**
+   * 错误名称，便于日志中识别
+   * @type {string}
+   */
+  name = 'RequestError';
+  /**
+   * 错误类型，取值参见{@link RequestError.TYPE}
+   * @type {string}
+   */
+  type = '';
+  /**
+   * 错误码，如http状态码、业务错误码等
+   * @type {number|string}
+   */
+  code = '';
+  /**
+   * 错误信息
+   * @type {string}
+   */
+  message = '';
+  /**
+   * 附加数据，如业务错误时后端返回的完整数据
+   * @type {*}
+   */
+  data = null;
+
+  /**
+   * 构造函数
+   * @param {string} type 错误类型，取值参见{@link RequestError.TYPE}
+   * @param {number|string} [code=''] 错误码
+   * @param {string} [message=''] 错误信息
+   * @param {*} [data=null] 附加数据
+   */
+  constructor({type, code='', message='', data=null}){
+    this.type = type;
+    this.code = code;
+    this.message = message;
+    this.data = data;
+  }
+
+  /**
+   * 根据失败的请求结果生成对应的请求错误
+   * @param {Requester~ReqRes} reqRes 请求结果
+   * @return {RequestError}
+   */
+  static fromReqRes(reqRes){
+    let type = RequestError.TYPE.NETWORK;
+    if (reqRes.aborted)
+      type = RequestError.TYPE.ABORTED;
+    else if (reqRes.timeout)
+      type = RequestError.TYPE.TIMEOUT;
+    else if (reqRes.cancelled)
+      type = RequestError.TYPE.CANCELLED;
+
+    return new RequestError({
+      type,
+      code: reqRes.errno || '',
+      message: reqRes.errMsg || '',
+    });
+  }
+
+  toString(){
+    return `${this.name}[${this.type}${this.code==='' ? '' : `:${this.code}`}]: ${this.message}`;
+  }
+}
+
+export default RequestError;
@@ -0,0 +1,139 @@
+/**
+ * 请求调度器，控制同时进行的请求数量，超出上限的请求按优先级排队等待
+ * 供{@link Requester}内部使用
+ * @ignore
+ */
+class RequestScheduler {
+  _maxConcurrent = 0; //同时进行的请求数上限
+  _lowPriorityConcurrent = 0; //低优先级（priority<0）请求同时进行的数量上限，为高优先级请求预留通道
+  _running = 0; //正在进行的请求数
+  _runningLow = 0; //正在进行的低优先级请求数
+  _queue = []; //排队中的请求，按优先级从高到低排列，同优先级按先后顺序排列
+  _stats = { //排队统计
+    scheduledCount: 0, //累计调度的请求数
+    queuedCount: 0, //累计需要排队的请求数
+    totalQueueTime: 0, //累计排队时长，单位：ms
+    maxQueueTime: 0, //最长排队时长，单位：ms
+  };
+
+  /**
+   * 构造函数
+   * @param {number} maxConcurrent 同时进行的请求数上限
+   * @param {number} lowPriorityConcurrent 低优先级请求同时进行的数量上限
+   */
+  constructor({maxConcurrent, lowPriorityConcurrent}){
+    this._maxConcurrent = maxConcurrent;
+    this._lowPriorityConcurrent = Math.min(lowPriorityConcurrent, maxConcurrent);
+  }
+
+  /**
+   * 申请发送通道，有空闲通道时立即返回，否则排队等待
+   * @param {number} [priority=0] 优先级，数值越大越优先
+   * @param {AbortSignal} [signal] 中止信号，排队期间被中止时放弃排队
+   * @return {null|{release: function, queueTime: number}} 通道，使用完毕后需调用release释放；排队期间被中止时返回null
+   */
+  async acquire({priority=0, signal}){
+    let isLow = priority < 0;
+    let enqueueTime = Date.now();
+    ++ this._stats.scheduledCount;
+
+    //有空闲通道，直接使用（排队中的请求只可能因低优先级通道已满而等待，不影响可用通道的判断）
+    if (this._hasSlot(isLow))
+      return this._occupy({isLow, queueTime: 0});
+
+    //排队等待
+    ++ this._stats.queuedCount;
+    let onAbort = null;
+    let slot = await new Promise(resolve=>{
+      let item = {priority, isLow, enqueueTime, resolve};
+      let idx = this._queue.findIndex(queued=>queued.priority < priority);
+      idx === -1 ? this._queue.push(item) : this._queue.splice(idx, 0, item);
+
+      onAbort = ()=>{
+        this._queue = this._queue.filter(queued=>queued!==item);
+        resolve(null);
+      };
+      signal && signal.onAbort(onAbort);
+    });
+    signal && signal.offAbort(onAbort);
+
+    if (!slot) { //排队期间被中止
+      -- this._stats.queuedCount;
+      return null;
+    }
+
+    this._stats.totalQueueTime += slot.queueTime;
+    this._stats.maxQueueTime = Math.max(this._stats.maxQueueTime, slot.queueTime);
+    return slot;
+  }
+
+  /**
+   * 获取调度统计信息
+   * @return {Requester~SchedulerStats}
+   */
+  getStats(){
+    let {scheduledCount, queuedCount, totalQueueTime, maxQueueTime} = this._stats;
+    return {
+      running: this._running,
+      waiting: this._queue.length,
+      scheduledCount,
+      queuedCount,
+      avgQueueTime: queuedCount ? Math.round(totalQueueTime/queuedCount) : 0,
+      maxQueueTime,
+    };
+  }
+
+  /**
+   * 判断是否有空闲通道
+   * @param {boolean} isLow 是否为低优先级请求
+   * @return {boolean}
+   * @private
+   */
+  _hasSlot(isLow){
+    if (this._running >= this._maxConcurrent)
+      return false;
+    return !isLow || this._runningLow < this._lowPriorityConcurrent;
+  }
+
+  /**
+   * 占用通道
+   * @param {boolean} isLow 是否为低优先级请求
+   * @param {number} queueTime 排队时长
+   * @return {{release: function, queueTime: number}}
+   * @private
+   */
+  _occupy({isLow, queueTime}){
+    ++ this._running;
+    isLow && ++ this._runningLow;
+
+    let isReleased = false;
+    return {
+      queueTime,
+      release: ()=>{
+        if (isReleased)
+          return;
+        isReleased = true;
+
+        -- this._running;
+        isLow && -- this._runningLow;
+        this._dispatch();
+      }
+    };
+  }
+
+  /**
+   * 将空闲通道分配给排队中的请求
+   * @private
+   */
+  _dispatch(){
+    while (this._queue.length && this._hasSlot(this._queue[0].isLow)) {
+      let item = this._queue.shift();
+      item.resolve(this._occupy({ //同步占用通道，避免在排队方真正恢复执行前被重复分配
+        isLow: item.isLow,
+        queueTime: Date.now() - item.enqueueTime,
+      }));
+    }
+  }
+}
+
+export default RequestScheduler;
@@ -1,11 +1,59 @@
-import {makeAssignableMethod} from '../operationKit';
+import {makeAssignableMethod, delay, matchUrlPattern} from '../operationKit';
+import AbortController from './AbortController';
+import RequestScheduler from './RequestScheduler';
+import RequestError from './RequestError';
+import EventHub from '../EventHub';
 
 /**
  * 请求管理器，负责对接口请求进行各种封装处理，详见{@tutorial 2.3-request}
  */
 class Requester{
-  _underlayRequest = null; //底层网络api，功能格式同wx.request
-  _plugins = []; //插件列表
+  /**
+   * 常用优先级，数值越大越优先，也可以直接使用任意数值
+   * | 优先级 | 取值 | 适用场景 |
+   * | --- | --- | --- |
+   * | HIGH | 10 | 用户操作直接触发的请求，如提交表单、点击加载 |
+   * | NORMAL | 0 | 默认值，页面常规数据请求 |
+   * | LOW | -10 | 预加载、埋点上报等不紧急的请求，小于0的优先级均视为低优先级，同时进行的数量受lowPriorityConcurrent限制 |
+   * @type {{HIGH: number, NORMAL: number, LOW: number}}
+   */
+  static PRIORITY = {
+    HIGH: 10,
+    NORMAL: 0,
+    LOW: -10,
+  };
+  
+  _underlays = {}; //各传输类型对应的底层网络api，key: 传输类型，value: 功能格式同wx.request/wx.uploadFile/wx.downloadFile
+  _plugins = []; //插件列表，按执行顺序排列
+  _issuerPageResolver = null; //根据发起请求的this对象获取其所在页面的函数
+  _pageUnloadAction = ''; //页面卸载时，对该页面未完成请求的默认处理方式
+  _schedulers = {}; //各传输类型对应的请求调度器，控制同时进行的请求数量，key: 传输类型，value: RequestScheduler
+  _pageRequests = new WeakMap(); //各页面未完成的请求，key: 页面实例，value: Set<{controller: AbortController, action: string, dropped: boolean}>
+  _enableTrace = false; //是否记录请求链路
+  _traceSeq = 0; //请求链路记录自增编号
+
+  /**
+   * 请求链路事件，需在配置中开启enableTrace，可用于性能统计、调试面板等
+   * | eventType | 语义 | 参数 |
+   * | --- | --- | --- |
+   * | requestStart | 请求开始 | 链路记录（此时只有基本信息），类型：{@link Requester~Trace} |
+   * | requestEnd | 请求结束 | 完整链路记录，类型：{@link Requester~Trace} |
+   * @type {EventHub}
+   * @example
+   * requester.traceEvents.subscribe({
+   *   eventType: 'requestEnd',
+   *   handler(trace){
+   *     console.log(`${trace.method} ${trace.url} ${trace.outcome.type} ${trace.duration}ms`);
+   *   },
+   *   persistType: 'always',
+   * });
+   */
+  traceEvents = new EventHub({
+    validEvents: [
+      'requestStart', //请求开始
+      'requestEnd', //请求结束
+    ]
+  });
 
   /**
    * 构造函数
@@ -19,31 +67,115 @@ class Requester{
    * 配置
    * @param {object} configOptions
    * @param {function} [configOptions.underlayRequest] 底层网络api，功能格式同[wx.request]{@link https://developers.weixin.qq.com/miniprogram/dev/api/network/request/wx.request.html}
-   * @param {Array<BasePlugin>} [configOptions.plugins] 插件列表
+   * @param {function} [configOptions.underlayUploadFile] 底层上传api，功能格式同[wx.uploadFile]{@link https://developers.weixin.qq.com/miniprogram/dev/api/network/upload/wx.uploadFile.html}
+   * @param {function} [configOptions.underlayDownloadFile] 底层下载api，功能格式同[wx.downloadFile]{@link https://developers.weixin.qq.com/miniprogram/dev/api/network/download/wx.downloadFile.html}
+   * @param {Array<BasePlugin|Requester~PluginEntry>} [configOptions.plugins] 插件列表，可以直接传入插件，也可以同时指定其适用范围和执行顺序；按各插件的order字段排序执行，order相同时按列表顺序执行，参见{@link BasePlugin#order}
+   * @param {function} [configOptions.issuerPageResolver] 根据发起请求的this对象获取其所在页面的函数，用于页面级请求管理，默认实现：
+   * ```js
+   *   function issuerPageResolver(thisIssuer){
+   *     //页面/组件的$root即为其所在页面（wepy、uni-app均适用）
+   *     return thisIssuer && (thisIssuer.$root || thisIssuer);
+   *   }
+   * ```
+   * @param {string} [configOptions.pageUnloadAction='abort'] 页面卸载时，对该页面未完成请求的默认处理方式，参见{@link Requester~ManageOptions}
+   * @param {number} [configOptions.maxConcurrent=10] 同时进行的请求数上限，超出时按优先级排队等待（小程序限制wx.request、wx.uploadFile、wx.downloadFile最大并发数各为10，各传输类型分别计数）
+   * @param {number} [configOptions.lowPriorityConcurrent=6] 低优先级请求同时进行的数量上限，为高优先级请求预留通道，避免被预加载、埋点等请求占满
+   * @param {boolean} [configOptions.enableTrace=false] 是否记录请求链路（各插件钩子耗时、网络耗时、重试、最终结果、数据大小等），并通过{@link Requester#traceEvents}通知
    */
   config(configOptions){
     const defaultOpts = {
-      underlayRequest: wx.request,
+      underlayRequest: typeof wx !== 'undefined' ? wx.request : null, //非小程序环境（如node下运行测试）无默认值
+      underlayUploadFile: typeof wx !== 'undefined' ? wx.uploadFile : null,
+      underlayDownloadFile: typeof wx !== 'undefined' ? wx.downloadFile : null,
       plugins: [],
+      issuerPageResolver(thisIssuer){
+        return thisIssuer && (thisIssuer.$root || thisIssuer);
+      },
+      pageUnloadAction: 'abort',
+      maxConcurrent: 10,
+      lowPriorityConcurrent: 6,
+      enableTrace: false,
     };
 
     configOptions = Object.assign({}, defaultOpts, configOptions);
 
-    this._underlayRequest = configOptions.underlayRequest;
-    this._plugins = configOptions.plugins;
-    
-    for (let plugin of this._plugins) {
-      plugin.mount({
-        requester: this,
+    this._underlays = {
+      request: configOptions.underlayRequest,
+      uploadFile: configOptions.underlayUploadFile,
+      downloadFile: configOptions.underlayDownloadFile,
+    };
+    this._plugins = [];
+    this._issuerPageResolver = configOptions.issuerPageResolver;
+    this._pageUnloadAction = configOptions.pageUnloadAction;
+    this._enableTrace = configOptions.enableTrace;
+    this._schedulers = {};
+    for (let transport of TRANSPORTS) {
+      this._schedulers[transport] = new RequestScheduler({
+        maxConcurrent: configOptions.maxConcurrent,
+        lowPriorityConcurrent: configOptions.lowPriorityConcurrent,
       });
     }
+    
+    for (let entry of configOptions.plugins) {
+      let {plugin, ...scopeOptions} = entry.plugin ? entry : {plugin: entry};
+      this.addPlugin(plugin, scopeOptions);
+    }
+  }
+
+  /**
+   * 添加插件，可以在config之后调用，便于各功能模块按需安装插件
+   * 只影响之后发起的请求，进行中的请求仍使用发起时的插件列表
+   * @param {BasePlugin} plugin 插件
+   * @param {Requester~PluginScope} [scopeOptions] 适用范围和执行顺序，指定的字段会覆盖插件自身的声明
+   * @example
+   * //业务模块初始化时，为其接口安装专用插件
+   * requester.addPlugin(new BizAPlugin(), {
+   *   include: '/bizA/',
+   *   methods: ['POST'],
+   *   order: 10,
+   * });
+   */
+  addPlugin(plugin, scopeOptions={}){
+    if (this._plugins.includes(plugin)) {
+      console.error('[Requester] addPlugin, plugin already added, pluginName:', plugin.pluginName);
+      return;
+    }
+    
+    //覆盖插件自身声明的适用范围和执行顺序
+    for (let field of ['include', 'exclude', 'methods', 'order']) {
+      if (scopeOptions[field] !== undefined)
+        plugin[field] = scopeOptions[field];
+    }
+    
+    this._plugins = sortPlugins([...this._plugins, plugin]); //生成新列表而不是原地修改，以免影响进行中的请求
+    plugin.mount({
+      requester: this,
+    });
+  }
+
+  /**
+   * 移除插件
+   * 只影响之后发起的请求，进行中的请求仍使用发起时的插件列表
+   * @param {BasePlugin|string} plugin 插件，或插件名称
+   * @return {boolean} 是否移除成功，插件不存在时返回false
+   */
+  removePlugin(plugin){
+    let target = this._plugins.find(item=>item===plugin || item.pluginName===plugin);
+    if (!target)
+      return false;
+    
+    this._plugins = this._plugins.filter(item=>item!==target);
+    target.unmount && target.unmount({
+      requester: this,
+    });
+    return true;
   }
 
   /**
    * 发送请求
    * @param {Requester~ReqOptions} reqOptions
    * @param {Requester~ManageOptions} [manageOptions]
-   * @return {*|Requester~ReqRes} 成功时resolve接口数据，失败时reject完整请求结果
+   * @return {*|Requester~ReqRes} 成功时resolve接口数据（经各插件transformResponse转换），失败时（含请求结果携带错误，参见{@link BasePlugin#normalizeError}）reject完整请求结果
    * 
    * @example
    * let fetchData = requester.request({
@@ -59,22 +191,118 @@ class Requester{
    * });
    */
   async request(reqOptions, manageOptions={}){
+    return this._run({transport: 'request', reqOptions, manageOptions});
+  }
+
+  /**
+   * 上传文件，与{@link Requester#request}经过相同的插件流程（cookie、登录态、网络异常处理等）
+   * 插件可以通过钩子函数参数中的transport字段（值为'uploadFile'）区分传输类型
+   * @param {Requester~ReqOptions} reqOptions 上传参数，格式同[wx.uploadFile]{@link https://developers.weixin.qq.com/miniprogram/dev/api/network/upload/wx.uploadFile.html}，另外支持timeout、signal、onProgress等模块补充字段；method默认为'POST'，仅用于插件判断，不影响实际请求
+   * @param {Requester~ManageOptions} [manageOptions]
+   * @return {*|Requester~ReqRes} 成功时resolve接口数据（dataType不为'text'时，会尝试将其解析为json），失败时reject完整请求结果
+   * @example
+   * let resp = await requester.uploadFile({
+   *   url: 'https://xxx/upload',
+   *   filePath: tempFilePath,
+   *   name: 'file',
+   *   formData: {type: 'avatar'},
+   *   onProgress(res){ //额外定义一个保留字段onProgress，用于监听上传进度
+   *     console.log('progress:', res.progress);
+   *   },
+   * });
+   */
+  async uploadFile(reqOptions, manageOptions={}){
+    reqOptions = Object.assign({}, reqOptions, {method: reqOptions.method || 'POST'}); //在副本上补充默认值，不修改调用方传入的对象
+    return this._run({transport: 'uploadFile', reqOptions, manageOptions});
+  }
+
+  /**
+   * 下载文件，与{@link Requester#request}经过相同的插件流程（cookie、登录态、网络异常处理等）
+   * 插件可以通过钩子函数参数中的transport字段（值为'downloadFile'）区分传输类型
+   * @param {Requester~ReqOptions} reqOptions 下载参数，格式同[wx.downloadFile]{@link https://developers.weixin.qq.com/miniprogram/dev/api/network/download/wx.downloadFile.html}，另外支持timeout、signal、onProgress等模块补充字段
+   * @param {Requester~ManageOptions} [manageOptions]
+   * @return {{tempFilePath: string, filePath: string}|Requester~ReqRes} 成功时resolve文件路径信息（即请求结果的data字段），失败时reject完整请求结果
+   * @example
+   * let {tempFilePath} = await requester.downloadFile({
+   *   url: 'https://xxx/report.pdf',
+   *   onProgress(res){ //额外定义一个保留字段onProgress，用于监听下载进度
+   *     console.log('progress:', res.progress);
+   *   },
+   * });
+   */
+  async downloadFile(reqOptions, manageOptions={}){
+    return this._run({transport: 'downloadFile', reqOptions, manageOptions});
+  }
+
+  /**
+   * 执行请求流程
+   * @param {string} transport 传输类型：'request' | 'uploadFile' | 'downloadFile'
+   * @param {Requester~ReqOptions} reqOptions 请求参数
+   * @param {Requester~ManageOptions} manageOptions 管理参数
+   * @return {*|Requester~ReqRes} 成功时resolve接口数据，失败时reject完整请求结果
+   * @private
+   */
+  async _run({transport, reqOptions, manageOptions={}}){
+    //复制请求参数，后续流程（删除回调、设置中止信号、插件修改header等）不影响调用方传入的对象
+    reqOptions = copyReqOptions(reqOptions);
+    
     //保存回调（兼容起见支持回调，但更建议以Promise形式使用）
     let {success, fail, complete} = reqOptions;
     delete reqOptions.success;
     delete reqOptions.fail;
     delete reqOptions.complete;
     
+    let innerManageOptions = {
+      transport,
+      thisIssuer: manageOptions.thisIssuer,
+      priority: manageOptions.priority,
+      skipPlugins: manageOptions.skipPlugins || [],
+      plugins: this._plugins, //记录发起时的插件列表，请求过程中增删插件不影响本次请求
+      attempts: [],
+      trace: this._enableTrace ? this._startTrace({transport, reqOptions}) : null,
+      originalOptions: copyReqOptions(reqOptions), //调用方传入的原始请求参数，供需要重新发起请求的插件使用
+    };
+    
+    //数据转换：请求参数
+    reqOptions = await this._transformRequest({reqOptions, manageOptions: innerManageOptions});
+    
+    //页面级请求管理：记录请求所在页面，页面卸载时自动中止请求/丢弃结果
+    let pageRecord = this._trackPageRequest({reqOptions, manageOptions});
+    
     //发出请求
     let reqRes = await this._request({
       reqOptions,
-      manageOptions: {
-        thisIssuer: manageOptions.thisIssuer,
-      }
+      manageOptions: innerManageOptions,
+    });
+    
+    //请求结束，通知各插件
+    await this._requestEnd({reqOptions, reqRes, manageOptions: innerManageOptions});
+    
+    //错误规整&数据转换：返回数据
+    let rawRes = reqRes;
+    reqRes = await this._normalizeError({reqOptions, reqRes, manageOptions: innerManageOptions});
+    if (!reqRes.error)
+      reqRes = await this._transformResponse({reqOptions, reqRes, manageOptions: innerManageOptions});
+    
+    //请求结束，移除页面级记录
+    pageRecord && pageRecord.release();
+    
+    //请求结束，记录链路
+    innerManageOptions.trace && this._endTrace({
+      trace: innerManageOptions.trace,
+      reqOptions,
+      rawRes,
+      reqRes,
+      dropped: !!(pageRecord && pageRecord.dropped),
     });
     
+    //页面已卸载且要求丢弃结果，则不再回调，也不再resolve/reject
+    if (pageRecord && pageRecord.dropped)
+      return new Promise(()=>{});
+    
     //处理回调
-    if (reqRes.succeeded) {
+    let isSucceeded = reqRes.succeeded && !reqRes.error;
+    if (isSucceeded) {
       success && success(reqRes);
       complete && complete(reqRes);
     } else {
@@ -83,7 +311,150 @@ class Requester{
     }
     
     //返回结果
-    return reqRes.succeeded ? Promise.resolve(reqRes.data) : Promise.reject(reqRes);
+    return isSucceeded ? Promise.resolve(reqRes.data) : Promise.reject(reqRes);
+  }
+
+  /**
+   * 获取请求调度统计信息，可用于监控请求排队情况
+   * @param {string} [transport='request'] 传输类型：'request' | 'uploadFile' | 'downloadFile'，各传输类型分别调度
+   * @return {Requester~SchedulerStats}
+   */
+  getSchedulerStats(transport='request'){
+    return this._schedulers[transport].getStats();
+  }
+  
+  /**
+   * 页面卸载处理，对该页面及其组件发出的未完成请求，按各请求指定的方式进行处理：
+   * abort - 中止请求 | drop - 丢弃结果 | none - 不作处理
+   * 
+   * 一般无需手动调用，使用框架工具集注册后，会在页面卸载时自动调用，参见{@link module:wepyKit.registerPageScopedRequester}、{@link module:uniAppKit.registerPageScopedRequester}
+   * @param {object} page 被卸载的页面实例
+   */
+  handlePageUnload(page){
+    let records = this._pageRequests.get(page);
+    if (!records)
+      return;
+    
+    this._pageRequests.delete(page);
+    
+    for (let record of records) {
+      switch (record.action) {
+        case 'abort':
+          record.controller.abort('page unload');
+          break;
+        case 'drop':
+          record.dropped = true;
+          break;
+        case 'none':
+          break;
+        default:
+          console.error('[Requester] handlePageUnload, unknown pageUnloadAction:', record.action);
+      }
+    }
+  }
+  
+  /**
+   * 开始记录请求链路
+   * @param {string} transport 传输类型
+   * @param {Requester~ReqOptions} reqOptions 请求参数
+   * @return {Requester~Trace} 链路记录
+   * @private
+   */
+  _startTrace({transport, reqOptions}){
+    let trace = {
+      id: ++ this._traceSeq,
+      transport,
+      url: reqOptions.url,
+      method: (reqOptions.method || 'GET').toUpperCase(),
+      startTime: Date.now(),
+      endTime: 0,
+      duration: 0,
+      timeline: [],
+      attemptCount: 0,
+      retryCount: 0,
+      outcome: null,
+      reqSize: 0,
+      resSize: 0,
+      dropped: false,
+    };
+    this.traceEvents.notify({eventType: 'requestStart', data: trace});
+    return trace;
+  }
+
+  /**
+   * 结束记录请求链路，并通知监听方
+   * @param {Requester~Trace} trace 链路记录
+   * @param {Requester~ReqOptions} reqOptions 请求参数（经数据转换后）
+   * @param {Requester~ReqRes} rawRes 数据转换前的请求结果
+   * @param {Requester~ReqRes} reqRes 最终请求结果
+   * @param {boolean} dropped 结果是否被丢弃
+   * @private
+   */
+  _endTrace({trace, reqOptions, rawRes, reqRes, dropped}){
+    let error = reqRes.error;
+    let retrySteps = trace.timeline.filter(step=>step.stage==='retry');
+    let cancelStep = trace.timeline.find(step=>step.stage==='cancel');
+    let feedStep = trace.timeline.filter(step=>step.stage==='feed').pop();
+    
+    Object.assign(trace, {
+      url: reqOptions.url, //以数据转换后的为准
+      method: (reqOptions.method || 'GET').toUpperCase(),
+      endTime: Date.now(),
+      attemptCount: retrySteps.length + 1,
+      retryCount: retrySteps.length,
+      outcome: {
+        type: error ? error.type : 'success',
+        statusCode: rawRes.statusCode,
+        errMsg: error ? error.message : '',
+        errCode: error ? error.code : '',
+        cancelledBy: cancelStep ? cancelStep.pluginName : '',
+        fedBy: feedStep ? feedStep.pluginName : '',
+      },
+      reqSize: estimateSize(reqOptions.data),
+      resSize: estimateSize(rawRes.data),
+      dropped,
+    });
+    trace.duration = trace.endTime - trace.startTime;
+    
+    this.traceEvents.notify({eventType: 'requestEnd', data: trace});
+  }
+
+  /**
+   * 记录请求所在页面，以便页面卸载时进行处理
+   * @param {Requester~ReqOptions} reqOptions 请求参数
+   * @param {Requester~ManageOptions} manageOptions 管理参数
+   * @return {null|{dropped: boolean, release: function}} 页面级记录，null表示无需页面级管理
+   * @private
+   */
+  _trackPageRequest({reqOptions, manageOptions}){
+    //获取请求所在页面
+    let action = manageOptions.pageUnloadAction || this._pageUnloadAction;
+    let page = action==='none' ? null : this._issuerPageResolver(manageOptions.thisIssuer);
+    if (!page)
+      return null;
+    
+    //创建中止控制器，调用方自行指定的中止信号也继续生效
+    let controller = new AbortController();
+    let outerSignal = reqOptions.signal;
+    let forwardAbort = reason=>controller.abort(reason);
+    outerSignal && outerSignal.onAbort(forwardAbort);
+    reqOptions.signal = controller.signal;
+    
+    //记录
+    let records = this._pageRequests.get(page) || new Set();
+    let record = {
+      controller,
+      action,
+      dropped: false,
+      release: ()=>{
+        records.delete(record);
+        outerSignal && outerSignal.offAbort(forwardAbort);
+      },
+    };
+    records.add(record);
+    this._pageRequests.set(page, records);
+    
+    return record;
   }
 
   /**
@@ -101,6 +472,19 @@ class Requester{
     
     this[methodName] = methodFunc;
   }
+
+  /**
+   * 移除通过{@link Requester#registerToThis}注册的方法，用于插件卸载时清理
+   * 仅当当前方法仍为注册时的函数时才会移除，避免误删被其它模块覆盖的同名方法
+   * @param {string} methodName 方法名
+   * @param {Function} methodFunc 注册时传入的方法函数
+   */
+  unregisterFromThis({methodName, methodFunc}){
+    if (this[methodName] !== methodFunc)
+      return;
+    
+    delete this[methodName];
+  }
   
   /**
    * 发出请求
@@ -113,19 +497,27 @@ class Requester{
     //参数处理
     const defaultManageOpts = {
       disableRetry: false,
+      attempts: [],
     };
     manageOptions = Object.assign({}, defaultManageOpts, manageOptions);
     
-    //执行各插件的beforeRequest/beforeRequestAsync钩子函数
-    let beforeRes = await this._beforeRequest({reqOptions, manageOptions});
+    //记录本次尝试
+    let attempt = {
+      startTime: Date.now(),
+    };
+    
+    //执行各插件的beforeRequest/beforeRequestAsync钩子函数（请求已被中止时跳过）
+    let beforeRes = isAborted(reqOptions) ? {action: 'continue'} : await this._beforeRequest({reqOptions, manageOptions});
     switch (beforeRes.action) {
       case 'cancel': //取消接口请求
         let errMsg = `cancelled by plugin "${beforeRes.plugin.pluginName}" before request issued，reason: ${beforeRes.errMsg}`;
         console.warn('[Requester] 接口请求被取消，errMsg:', errMsg, 'url:', reqOptions.url);
+        traceStep(manageOptions, {stage: 'cancel', pluginName: beforeRes.plugin.pluginName, errMsg: beforeRes.errMsg});
         
         return {
           succeeded: false, 
           errMsg,
+          cancelled: true,
         };
       case 'continue': //继续默认流程
         break;
@@ -136,18 +528,49 @@ class Requester{
     } 
     
     //调用接口
-    let reqRes = beforeRes.action==='feed' ? beforeRes.feedRes : await this._doRequest({reqOptions, manageOptions});
+    let reqRes = null;
+    if (isAborted(reqOptions)) { //请求已被中止（包括在插件异步处理期间被中止），不再发出请求，也不采用插件指定的内容
+      reqRes = makeAbortedRes({transport: manageOptions.transport || 'request', reason: reqOptions.signal.reason});
+    } else if (beforeRes.action==='feed') { //返回指定内容
+      reqRes = beforeRes.feedRes;
+      traceStep(manageOptions, {stage: 'feed', pluginName: beforeRes.plugin.pluginName});
+    } else {
+      let networkStartTime = Date.now();
+      reqRes = await this._doRequest({reqOptions, manageOptions, attempt});
+      traceStep(manageOptions, {
+        stage: 'network',
+        startTime: networkStartTime,
+        duration: Date.now() - networkStartTime,
+        queueTime: attempt.queueTime,
+        succeeded: reqRes.succeeded,
+        statusCode: reqRes.statusCode,
+        errMsg: reqRes.succeeded ? '' : reqRes.errMsg,
+      });
+    }
     
     //执行各插件的afterRequest/afterRequestAsync钩子函数
     let afterRes = await this._afterRequest({reqOptions, reqRes, manageOptions});
+    
+    //记录本次尝试结果
+    Object.assign(attempt, {
+      endTime: Date.now(),
+      reqRes,
+      retryBy: afterRes.action==='retry' ? afterRes.plugin : null,
+    });
+    
     switch (afterRes.action) {
       case 'retry':
-        return manageOptions.disableRetry ? reqRes : this._request({
+        //各插件分别计数，单个插件的重试次数不得超过其上限，避免死循环
+        let retriedTimes = manageOptions.attempts.filter(item=>item.retryBy===afterRes.plugin).length;
+        if (manageOptions.disableRetry || isAborted(reqOptions) || retriedTimes >= afterRes.plugin.retryLimit)
+          return reqRes;
+        
+        traceStep(manageOptions, {stage: 'retry', pluginName: afterRes.plugin.pluginName, retryDelay: afterRes.retryDelay || 0});
+        manageOptions.attempts.push(attempt);
+        afterRes.retryDelay>0 && await delay(afterRes.retryDelay);
+        return this._request({
           reqOptions,
-          manageOptions: {
-            ...manageOptions,
-            disableRetry: true, //只允许重试一次，避免死循环
-          }
+          manageOptions,
         });
       case 'override':
         return afterRes.overrideRes;
@@ -169,7 +592,7 @@ class Requester{
   async _beforeRequest({reqOptions, manageOptions}){
     let finalRes = {action: 'continue'};
 
-    for (let plugin of this._plugins) {
+    for (let plugin of this._getPlugins({reqOptions, manageOptions})) {
       //调用钩子函数
       let pluginRes = await this._execPluginHook({
         plugin,
@@ -218,21 +641,76 @@ class Requester{
    * 调用接口
    * @param {Requester~ReqOptions} reqOptions 请求参数
    * @param {Requester~ManageOptions} manageOptions 管理参数
+   * @param {Requester~AttemptInfo} attempt 本次尝试信息，用于记录排队时长
    * @return {Requester~ReqRes} 请求结果
    * @private
    */
-  async _doRequest({reqOptions, manageOptions}){
+  async _doRequest({reqOptions, manageOptions, attempt}){
+    let {signal, onProgress, ...underlayOptions} = reqOptions;
+    let timeout = reqOptions.timeout;
+    let transport = manageOptions.transport || 'request';
+    
+    //排队等待发送通道
+    let slot = await this._schedulers[transport].acquire({priority: manageOptions.priority, signal});
+    if (!slot) //排队期间被中止
+      return makeAbortedRes({transport, reason: signal.reason});
+    attempt.queueTime = slot.queueTime;
+    
     return await new Promise((resolve)=>{
-      this._underlayRequest({
-        ...reqOptions,
-        success(res){
-          resolve(Object.assign({succeeded: true}, res))
-        },
-        fail(res){
-          resolve(Object.assign({succeeded: false}, res))
-        },
-        complete: null,
-      });
+      let task = null; //底层网络api返回的任务对象
+      let isFinished = false; //是否已结束，中止/超时/正常返回 只处理最先发生的一个
+      let timer = null; //超时定时器
+      
+      let finish = (res)=>{
+        if (isFinished)
+          return;
+        isFinished = true;
+        
+        clearTimeout(timer);
+        signal && signal.offAbort(onAbort);
+        slot.release();
+        resolve(res);
+      };
+      
+      let onAbort = (reason)=>{
+        finish(makeAbortedRes({transport, reason})); //先结束，再中止底层任务，以免其fail回调抢先返回普通的失败结果
+        task && task.abort && task.abort();
+      };
+      
+      //发出请求
+      try {
+        task = this._underlays[transport]({
+          ...underlayOptions,
+          success(res){
+            finish(normalizeSuccessRes({transport, reqOptions, res}));
+          },
+          fail(res){
+            finish(Object.assign({succeeded: false}, res));
+          },
+          complete: null,
+        });
+      } catch (e) {
+        console.error('[Requester] underlay api, caught error:', e, 'transport:', transport, 'reqOptions:', reqOptions);
+        finish({succeeded: false, errMsg: `${transport}:fail internal error`});
+      }
+      
+      //进度监听
+      !isFinished && onProgress && task && task.onProgressUpdate && task.onProgressUpdate(onProgress);
+      
+      //中止处理
+      !isFinished && signal && signal.onAbort(onAbort);
+      
+      //超时处理，独立于app.json中的全局超时配置
+      if (!isFinished && timeout > 0) {
+        timer = setTimeout(()=>{
+          finish({
+            succeeded: false,
+            errMsg: `${transport}:fail timeout`,
+            timeout: true,
+          });
+          task && task.abort && task.abort();
+        }, timeout);
+      }
     });
   }
 
@@ -247,7 +725,7 @@ class Requester{
   async _afterRequest({reqOptions, reqRes, manageOptions}){
     let finalRes = {action: 'continue'};
     
-    for (let plugin of this._plugins) {
+    for (let plugin of this._getPlugins({reqOptions, manageOptions})) {
       //调用钩子函数
       let pluginRes = await this._execPluginHook({
         plugin,
@@ -286,7 +764,7 @@ class Requester{
           reqRes = finalRes.overrideRes;
           break;
         case 'retry':
-          finalRes = {action: 'retry'};
+          finalRes = {action: 'retry', plugin, retryDelay: pluginRes.retryDelay};
           return finalRes;
         default:
           console.error('[Requester] afterRequest/afterRequestAsync, unknown action:', pluginRes.action, 'pluginName:', plugin.pluginName);
@@ -296,6 +774,137 @@ class Requester{
     return finalRes;
   }
 
+  /**
+   * 处理 请求流程结束时 的各种扩展逻辑
+   * @param {Requester~ReqOptions} reqOptions 请求参数
+   * @param {Requester~ReqRes} reqRes 最终请求结果
+   * @param {Requester~ManageOptions} manageOptions 管理参数
+   * @private
+   */
+  async _requestEnd({reqOptions, reqRes, manageOptions}){
+    for (let plugin of this._getPlugins({reqOptions, manageOptions})) {
+      await this._execPluginHook({
+        plugin,
+        hook: 'onRequestEnd',
+        args: {reqOptions, reqRes},
+        defaultRes: {},
+        manageOptions,
+      });
+    }
+  }
+
+  /**
+   * 数据转换：请求参数，依次执行各插件的transformRequest/transformRequestAsync钩子函数
+   * @param {Requester~ReqOptions} reqOptions 请求参数
+   * @param {Requester~ManageOptions} manageOptions 管理参数
+   * @return {Requester~ReqOptions} 转换后的请求参数
+   * @private
+   */
+  async _transformRequest({reqOptions, manageOptions}){
+    for (let plugin of this._getPlugins({reqOptions, manageOptions})) {
+      let transformed = await this._execTransformHook({
+        plugin,
+        hook: 'transformRequest',
+        field: 'reqOptions',
+        args: {reqOptions},
+        manageOptions,
+      });
+      
+      //格式检查，不正确时无视该转换
+      if (!(transformed && typeof transformed.url === "string")) {
+        console.error(
+          '[Requester] transformRequest返回的请求参数格式不正确，该转换已被忽略。',
+          'pluginName:', plugin.pluginName,
+          'transformed:', transformed,
+          'reqOptions:', reqOptions
+        );
+        continue;
+      }
+      reqOptions = transformed;
+    }
+    return reqOptions;
+  }
+
+  /**
+   * 错误规整，为失败的请求结果生成默认错误，再依次执行各插件的normalizeError钩子函数
+   * @param {Requester~ReqOptions} reqOptions 请求参数
+   * @param {Requester~ReqRes} reqRes 最终请求结果
+   * @param {Requester~ManageOptions} manageOptions 管理参数
+   * @return {Requester~ReqRes} 规整后的请求结果，有错误时携带error字段
+   * @private
+   */
+  async _normalizeError({reqOptions, reqRes, manageOptions}){
+    let error = reqRes.succeeded ? null : RequestError.fromReqRes(reqRes);
+    
+    for (let plugin of this._getPlugins({reqOptions, manageOptions})) {
+      error = await this._execTransformHook({
+        plugin,
+        hook: 'normalizeError',
+        field: 'error',
+        args: {reqOptions, reqRes, error},
+        manageOptions,
+      });
+      
+      //允许插件直接返回错误信息对象，统一转为RequestError
+      if (error && !(error instanceof RequestError))
+        error = new RequestError(error);
+    }
+    
+    return error ? {...reqRes, error} : reqRes;
+  }
+
+  /**
+   * 数据转换：返回数据，依次执行各插件的transformResponse/transformResponseAsync钩子函数
+   * @param {Requester~ReqOptions} reqOptions 请求参数
+   * @param {Requester~ReqRes} reqRes 最终请求结果
+   * @param {Requester~ManageOptions} manageOptions 管理参数
+   * @return {Requester~ReqRes} 转换后的请求结果
+   * @private
+   */
+  async _transformResponse({reqOptions, reqRes, manageOptions}){
+    let data = reqRes.data;
+    for (let plugin of this._getPlugins({reqOptions, manageOptions})) {
+      data = await this._execTransformHook({
+        plugin,
+        hook: 'transformResponse',
+        field: 'data',
+        args: {reqOptions, reqRes, data},
+        manageOptions,
+      });
+    }
+    return data===reqRes.data ? reqRes : {...reqRes, data};
+  }
+
+  /**
+   * 获取对指定请求生效的插件，按执行顺序排列
+   * @param {Requester~ReqOptions} reqOptions 请求参数
+   * @param {Requester~ManageOptions} manageOptions 管理参数
+   * @return {Array<BasePlugin>}
+   * @private
+   */
+  _getPlugins({reqOptions, manageOptions}){
+    let method = (reqOptions.method || 'GET').toUpperCase();
+    let skipPlugins = manageOptions.skipPlugins || [];
+    
+    return (manageOptions.plugins || this._plugins).filter(plugin=>{
+      //调用方指定跳过
+      if (skipPlugins.some(item=>item===plugin || item===plugin.pluginName))
+        return false;
+      
+      //url不在适用范围内
+      if (plugin.include && !matchUrlPattern(reqOptions.url, plugin.include))
+        return false;
+      if (plugin.exclude && matchUrlPattern(reqOptions.url, plugin.exclude))
+        return false;
+      
+      //请求方法不在适用范围内
+      if (plugin.methods && !plugin.methods.some(item=>item.toUpperCase()===method))
+        return false;
+      
+      return true;
+    });
+  }
+
   /**
    * 执行插件的钩子函数
    * @param {BasePlugin} plugin 插件
@@ -310,10 +919,14 @@ class Requester{
     //补充公共参数
     args = {
       ...args,
+      transport: manageOptions.transport,
       thisIssuer: manageOptions.thisIssuer,
+      attempts: manageOptions.attempts,
+      originalOptions: manageOptions.originalOptions,
     };
     
     //执行插件钩子
+    let startTime = Date.now();
     let syncRes = null, asyncRes = null;
     try {
       syncRes = plugin[hook] ? plugin[hook](args) : null;
@@ -323,9 +936,68 @@ class Requester{
       syncRes = null;
       asyncRes = null;
     }
+    let finalRes = Object.assign({}, defaultRes, syncRes, asyncRes);
+    
+    //记录链路
+    traceStep(manageOptions, {
+      stage: hook,
+      pluginName: plugin.pluginName,
+      startTime,
+      duration: Date.now() - startTime,
+      action: finalRes.action,
+    });
     
     //返回执行结果
-    return Object.assign({}, defaultRes, syncRes, asyncRes);
+    return finalRes;
+  }
+
+  /**
+   * 执行插件的数据转换类钩子函数，同步、异步钩子依次执行，后者接收前者的转换结果
+   * @param {BasePlugin} plugin 插件
+   * @param {string} hook 钩子
+   * @param {string} field 被转换的字段，即args中的哪个字段
+   * @param {object} args 传给钩子函数的参数
+   * @param {Requester~ManageOptions} manageOptions 管理选项
+   * @return {*} 转换后的值，钩子函数返回undefined或执行出错时，保持原值
+   * @private
+   */
+  async _execTransformHook({plugin, hook, field, args, manageOptions}){
+    //补充公共参数
+    args = {
+      ...args,
+      transport: manageOptions.transport,
+      thisIssuer: manageOptions.thisIssuer,
+      attempts: manageOptions.attempts,
+      originalOptions: manageOptions.originalOptions,
+    };
+    
+    //执行插件钩子
+    let startTime = Date.now();
+    let original = args[field];
+    for (let hookName of [hook, `${hook}Async`]) {
+      if (!plugin[hookName])
+        continue;
+      
+      try {
+        let res = await plugin[hookName](args);
+        if (res !== undefined)
+          args[field] = res;
+      } catch (e) {
+        console.error(`[Requester] ${hookName}, caught error:`, e, 'pluginName:', plugin.pluginName, 'args:', args);
+      }
+    }
+    
+    //记录链路
+    traceStep(manageOptions, {
+      stage: hook,
+      pluginName: plugin.pluginName,
+      startTime,
+      duration: Date.now() - startTime,
+      action: args[field]===original ? 'continue' : 'transform',
+    });
+    
+    //返回转换结果
+    return args[field];
   }
 
   /**
@@ -353,6 +1025,9 @@ class Requester{
  * @property {string} [method='GET'] HTTP 请求方法
  * @property {string} [dataType='json'] 返回的数据格式
  * @property {string} [responseType='text'] 响应的数据类型
+ * @property {number} [timeout] 超时时间，单位：ms，独立于app.json中的全局超时配置，超时后请求会被中止并按失败处理；仅对实际发出的网络请求计时，不包括排队等待及插件处理（如登录、重试间隔）的耗时
+ * @property {AbortSignal} [signal] 模块补充字段，中止信号，由{@link AbortController}创建，用于中止请求
+ * @property {function} [onProgress] 模块补充字段，（uploadFile/downloadFile）进度监听函数，参数同底层任务的onProgressUpdate回调
  * @property {function} [success] 兼容起见支持回调，但更建议以Promise形式使用
  * @property {function} [fail] 兼容起见支持回调，但更建议以Promise形式使用
  * @property {function} [complete] 兼容起见支持回调，但更建议以Promise形式使用
@@ -360,17 +1035,70 @@ class Requester{
 
 /**
  * @typedef {object} Requester~ManageOptions 接口请求管理选项
+ * @property {string} transport 模块内部使用，传输类型：'request' | 'uploadFile' | 'downloadFile'
  * @property {object} thisIssuer 发起接口请求的this对象
- * @property {boolean} disableRetry 是否禁止重试（避免无限次重试接口调用导致死循环）
+ * @property {string} [pageUnloadAction] 发起请求的页面卸载时，若请求尚未完成，如何处理：
+ *   abort - 中止请求，以中止结果（aborted: true）reject |
+ *   drop - 继续请求，但丢弃结果：不再触发回调，返回的Promise也不再resolve/reject |
+ *   none - 不作处理；
+ *   默认为{@link Requester#config}中指定的pageUnloadAction
+ * @property {number} [priority=0] 优先级，数值越大越优先，请求数超出并发上限时，优先发送高优先级请求，常用取值参见{@link Requester.PRIORITY}
+ * @property {Array<BasePlugin|string>} [skipPlugins=[]] 本次请求跳过的插件，可以传入插件或插件名称
+ * @property {boolean} disableRetry 是否禁止重试
+ * @property {Array<BasePlugin>} plugins 模块内部使用，本次请求发起时的插件列表
+ * @property {Requester~Trace|null} trace 模块内部使用，本次请求的链路记录，未开启链路记录时为null
+ * @property {Array<Requester~AttemptInfo>} attempts 本次请求中已完成的各次尝试（不含当前尝试），按时间先后排列
+ */
+
+/**
+ * @typedef {object} Requester~PluginScope 插件的适用范围和执行顺序，各字段含义同插件中的同名字段
+ * @property {null|string|RegExp|Function|Array} [include] 适用范围，参见{@link BasePlugin#include}
+ * @property {null|string|RegExp|Function|Array} [exclude] 排除范围，参见{@link BasePlugin#exclude}
+ * @property {null|Array<string>} [methods] 适用的请求方法，参见{@link BasePlugin#methods}
+ * @property {number} [order] 执行顺序，参见{@link BasePlugin#order}
+ */
+
+/**
+ * @typedef {object} Requester~PluginEntry 插件注册项，用于在注册时指定插件的适用范围和执行顺序
+ * @property {BasePlugin} plugin 插件
+ * @property {null|string|RegExp|Function|Array} [include] 适用范围，参见{@link BasePlugin#include}
+ * @property {null|string|RegExp|Function|Array} [exclude] 排除范围，参见{@link BasePlugin#exclude}
+ * @property {null|Array<string>} [methods] 适用的请求方法，参见{@link BasePlugin#methods}
+ * @property {number} [order] 执行顺序，参见{@link BasePlugin#order}
+ * @example
+ * requester.config({
+ *   plugins: [
+ *     new FormPlugin(), //直接传入插件，使用插件自身声明的适用范围和执行顺序
+ *     { //同时指定适用范围和执行顺序
+ *       plugin: new CloudFuncPlugin(),
+ *       include: 'https://cloud.function/',
+ *       order: -10,
+ *     },
+ *   ]
+ * });
+ */
+
+/**
+ * @typedef {object} Requester~AttemptInfo 单次尝试信息，插件要求重试时，每次重新发送请求即为一次新的尝试
+ * @property {number} startTime 开始时间，绝对毫秒数
+ * @property {number} endTime 结束时间，绝对毫秒数
+ * @property {number} [queueTime] 排队等待发送的时长，单位：ms，未实际发送请求时（如插件直接返回指定内容）为undefined
+ * @property {Requester~ReqRes} reqRes 该次尝试的请求结果
+ * @property {BasePlugin|null} retryBy 要求重试的插件，null表示该次尝试未触发重试
  */
 
 /**
  * @typedef {object} Requester~ReqRes 接口请求结果，除标注了“模块补充”的字段外，格式同[wx.request]{@link https://developers.weixin.qq.com/miniprogram/dev/api/network/request/wx.request.html}
  * @property {boolean} succeeded 模块补充字段，请求是否成功（服务器返回即算成功，包括404/500等，网络异常等导致请求未正常返回才算失败）
- * @property {string|Object|ArrayBuffer} [data]	（成功时）开发者服务器返回的数据
+ * @property {string|Object|ArrayBuffer} [data]	（成功时）开发者服务器返回的数据；downloadFile时为模块补充的文件路径信息：{tempFilePath, filePath}
  * @property {number} [statusCode] （成功时）开发者服务器返回的 HTTP 状态码
  * @property {Object} [header]	（成功时）开发者服务器返回的 HTTP Response Header
  * @property {string} [errMsg] （失败时）错误信息
+ * @property {boolean} [aborted] 模块补充字段，（失败时）是否由于请求被中止而失败
+ * @property {string} [abortReason] 模块补充字段，（请求被中止时）中止原因
+ * @property {boolean} [timeout] 模块补充字段，（失败时）是否由于请求超时而失败
+ * @property {boolean} [cancelled] 模块补充字段，（失败时）是否由于被插件取消而失败
+ * @property {RequestError} [error] 模块补充字段，请求错误，由错误规整阶段生成，参见{@link BasePlugin#normalizeError}；携带该字段时，即使succeeded为true，也会按失败处理
  */
 /**
  * 格式检查，判断传入的数据是否符合Requester~ReqRes格式要求
@@ -406,6 +1134,186 @@ function formatCheckReqRes(res) {
   }
 }
 
+/**
+ * @typedef {object} Requester~Trace 请求链路记录
+ * @property {number} id 编号，同一requester内自增
+ * @property {string} transport 传输类型：'request' | 'uploadFile' | 'downloadFile'
+ * @property {string} url 请求url（经数据转换后）
+ * @property {string} method 请求方法
+ * @property {number} startTime 开始时间，绝对毫秒数
+ * @property {number} endTime 结束时间，绝对毫秒数
+ * @property {number} duration 总耗时，单位：ms
+ * @property {Array<Requester~TraceStep>} timeline 各步骤，按时间先后排列
+ * @property {number} attemptCount 尝试次数（含首次请求）
+ * @property {number} retryCount 重试次数
+ * @property {object} outcome 最终结果
+ * @property {string} outcome.type 结果类型：'success'-成功 | 其它-失败，取值同{@link RequestError.TYPE}
+ * @property {number} [outcome.statusCode] http状态码
+ * @property {string} outcome.errMsg 错误信息
+ * @property {number|string} outcome.errCode 错误码
+ * @property {string} outcome.cancelledBy 取消请求的插件名称，未被取消时为空串
+ * @property {string} outcome.fedBy 返回指定内容（如缓存、mock数据）的插件名称，未被指定时为空串
+ * @property {number} reqSize 请求数据大小，单位：字节（估算值）
+ * @property {number} resSize 返回数据大小（数据转换前），单位：字节（估算值）
+ * @property {boolean} dropped 结果是否因页面卸载而被丢弃
+ */
+
+/**
+ * @typedef {object} Requester~TraceStep 请求链路步骤
+ * @property {string} stage 步骤：
+ *   transformRequest/beforeRequest/afterRequest/onRequestEnd/normalizeError/transformResponse - 插件钩子（含对应的Async钩子） |
+ *   network - 网络请求 | feed - 插件返回指定内容 | cancel - 插件取消请求 | retry - 插件要求重试
+ * @property {number} attemptIdx 所属尝试的序号，从0开始
+ * @property {number} startTime 开始时间，绝对毫秒数
+ * @property {number} duration 耗时，单位：ms
+ * @property {string} [pluginName] （插件相关步骤）插件名称
+ * @property {string} [action] （插件钩子）返回的处理方式，数据转换类钩子为：'transform'-进行了转换 | 'continue'-未转换
+ * @property {number} [queueTime] （network）排队等待时长，单位：ms
+ * @property {boolean} [succeeded] （network）请求是否成功
+ * @property {number} [statusCode] （network）http状态码
+ * @property {string} [errMsg] （network/cancel）错误信息
+ * @property {number} [retryDelay] （retry）重试延迟，单位：ms
+ */
+
+/**
+ * @typedef {object} Requester~SchedulerStats 请求调度统计信息
+ * @property {number} running 正在进行的请求数
+ * @property {number} waiting 正在排队的请求数
+ * @property {number} scheduledCount 累计发送的请求数
+ * @property {number} queuedCount 累计需要排队的请求数
+ * @property {number} avgQueueTime 需要排队的请求平均排队时长，单位：ms
+ * @property {number} maxQueueTime 最长排队时长，单位：ms
+ */
+
+/**
+ * 按执行顺序对插件排序，order相同时保持原有顺序
+ * @param {Array<BasePlugin>} plugins 插件列表
+ * @return {Array<BasePlugin>} 排序后的插件列表
+ * @ignore
+ */
+function sortPlugins(plugins) {
+  return plugins
+    .map((plugin, idx)=>({plugin, idx}))
+    .sort((a, b)=>((a.plugin.order || 0) - (b.plugin.order || 0)) || (a.idx - b.idx))
+    .map(item=>item.plugin);
+}
+
+/**
+ * 传输类型列表
+ * @ignore
+ */
+const TRANSPORTS = ['request', 'uploadFile', 'downloadFile'];
+
+/**
+ * 规整底层api的成功结果，使各传输类型的结果均可通过data字段获取
+ * @param {string} transport 传输类型
+ * @param {Requester~ReqOptions} reqOptions 请求参数
+ * @param {object} res 底层api的成功结果
+ * @return {Requester~ReqRes}
+ * @ignore
+ */
+function normalizeSuccessRes({transport, reqOptions, res}) {
+  let reqRes = Object.assign({succeeded: true}, res);
+  
+  switch (transport) {
+    case 'uploadFile': //wx.uploadFile不会解析返回数据，按wx.request的dataType规则处理
+      if (reqOptions.dataType!=='text' && typeof reqRes.data === "string") {
+        try {
+          reqRes.data = JSON.parse(reqRes.data);
+        } catch (e) {
+          //不是json格式，保留原始字符串
+        }
+      }
+      break;
+    case 'downloadFile': //wx.downloadFile没有data字段，以文件路径信息作为返回数据
+      reqRes.data = {
+        tempFilePath: res.tempFilePath,
+        filePath: res.filePath,
+      };
+      break;
+    default:
+  }
+  
+  return reqRes;
+}
+
+/**
+ * 记录链路步骤，未开启链路记录时不作处理
+ * @param {Requester~ManageOptions} manageOptions 管理参数
+ * @param {Requester~TraceStep} step 链路步骤，attemptIdx、startTime缺省时自动补充
+ * @ignore
+ */
+function traceStep(manageOptions, step) {
+  if (!manageOptions.trace)
+    return;
+  
+  manageOptions.trace.timeline.push(Object.assign({
+    attemptIdx: manageOptions.attempts.length,
+    startTime: Date.now(),
+    duration: 0,
+  }, step));
+}
+
+/**
+ * 估算数据大小
+ * @param {*} data 数据
+ * @return {number} 字节数，字符串按utf-8编码计算，对象按json序列化后计算
+ * @ignore
+ */
+function estimateSize(data) {
+  if (data === undefined || data === null)
+    return 0;
+  
+  if (typeof ArrayBuffer !== "undefined" && data instanceof ArrayBuffer)
+    return data.byteLength;
+  
+  try {
+    let str = typeof data === "string" ? data : JSON.stringify(data);
+    return encodeURIComponent(str).replace(/%[0-9A-F]{2}/g, '_').length;
+  } catch (e) {
+    return 0;
+  }
+}
+
+/**
+ * 判断请求是否已被中止
+ * @param {Requester~ReqOptions} reqOptions 请求参数
+ * @return {boolean}
+ * @ignore
+ */
+function isAborted(reqOptions) {
+  return !!(reqOptions.signal && reqOptions.signal.aborted);
+}
+
+/**
+ * 复制请求参数，header一并复制，避免插件直接修改header时影响副本
+ * @param {Requester~ReqOptions} reqOptions 请求参数
+ * @return {Requester~ReqOptions}
+ * @ignore
+ */
+function copyReqOptions(reqOptions) {
+  let copy = Object.assign({}, reqOptions);
+  if (reqOptions.header)
+    copy.header = Object.assign({}, reqOptions.header);
+  return copy;
+}
+
+/**
+ * 生成请求被中止时的请求结果
+ * @param {string} transport 传输类型
+ * @param {string} reason 中止原因
+ * @return {Requester~ReqRes}
+ * @ignore
+ */
+function makeAbortedRes({transport, reason}) {
+  return {
+    succeeded: false,
+    errMsg: `${transport}:fail abort, reason: ${reason}`,
+    aborted: true,
+    abortReason: reason,
+  };
+}
+
 /**
  * @typedef {object} Requester~BeforeRequestRes 请求发起前的各种扩展逻辑处理结果
  * @property {string} action 期望的后续处理：'continue'-继续 | 'cancel'-终止该请求 | 'feed'-返回指定内容（如接口缓存、mock数据等）
@@ -418,5 +1326,7 @@ function formatCheckReqRes(res) {
  * @typedef {object} Requester~AfterRequestRes 请求返回后的各种扩展逻辑处理结果
  * @property {string} action 期望的后续处理：'continue'-继续 | 'override'-以指定内容作为请求结果返回 | 'retry'-重新发送请求，并以重试结果作为本次请求结果返回
  * @property {Requester~ReqRes} [overrideRes] action==='override'时，作为请求结果的指定内容
+ * @property {number} [retryDelay] action==='retry'时，延迟多久后重新发送请求，单位：ms
+ * @property {BasePlugin} plugin 决定该处理方式的插件（该字段会自动添加，插件钩子函数中无需返回）
  */
 export default Requester;
\ No newline at end of file
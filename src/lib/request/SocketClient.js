@@ -0,0 +1,566 @@
+import EventHub from '../EventHub';
+import Cookie from '../Cookie';
+import RequestError from './RequestError';
+
+/**
+ * WebSocket客户端，在wx.connectSocket基础上提供与{@link Requester}一致的cookie、登录态处理，以及断线重连、心跳、离线消息队列等能力，详见{@tutorial 2.3-request}
+ *
+ * 1. cookie：建立连接时自动携带cookie，握手返回的Set-Cookie会写回cookie管理器
+ * 2. 登录态：建立连接前确保已登录；服务端因登录态失效关闭连接时，自动清除前端登录态，重新登录后重连
+ * 3. 断线重连：非主动关闭时，按指数退避自动重连
+ * 4. 心跳：定时发送心跳消息，超时未收到任何消息时视为连接已失效，主动断开重连
+ * 5. 离线消息队列：连接未建立时发送的消息会暂存，连接建立后按顺序发出
+ * 6. 请求-响应：按消息id关联请求与响应，以Promise形式获取响应结果；连接非主动断开时，等待响应中的请求会以网络错误reject
+ * 7. token模式：建立连接时在头部携带access token，即将过期时先刷新，规则同{@link LoginPlugin}的token模式
+ */
+class SocketClient {
+  _configOptions = {}; //配置，格式参见构造函数
+  _events = null; //事件中心
+  _task = null; //当前连接对应的SocketTask
+  _status = 'idle'; //连接状态：idle-未连接 | connecting-连接中 | open-已连接 | closed-已关闭
+  _manualClosed = false; //是否为主动关闭，主动关闭时不再自动重连
+  _connectSeq = 0; //连接序号，每次发起连接或主动关闭时递增，用于识别已失效的连接流程
+  _reconnectAttempts = 0; //连续重连次数，连接成功后清零
+  _authFailCount = 0; //连续因登录态失效而被关闭的次数，收到消息后清零
+  _reconnectTimer = null; //重连定时器
+  _heartbeatTimer = null; //心跳定时器
+  _lastReceiveTime = 0; //最近一次收到消息的时间
+  _queue = []; //离线消息队列，连接建立后发出
+  _pendingMap = new Map(); //等待响应的请求，key: 消息id，value: {resolve, reject, timer}
+  _idSeq = 0; //消息id自增序号
+
+  /**
+   * 构造函数
+   * @param {string} url 服务端地址，wss协议
+   * @param {object} [header={}] 建立连接时的header
+   * @param {Array<string>} [protocols] 子协议
+   * @param {Cookie} [cookie] cookie管理器，指定时建立连接会自动携带cookie
+   * @param {BaseLogin} [loginCenter] 登录中心，指定时建立连接前会确保已登录
+   * @param {object} [loginOpts={}] 登录参数，格式同{@link BaseLogin#login}
+   * @param {SocketClient~AuthFailChecker} [authFailChecker] 登录态失效校验函数，根据连接关闭信息判断是否由于登录态失效而被关闭
+   * @param {boolean} [tokenMode=false] 是否开启token模式，开启后建立连接时在头部携带登录中心的access token，需同时指定loginCenter
+   * @param {string} [authHeaderName='Authorization'] （token模式）携带access token的头部字段名
+   * @param {object|boolean} [heartbeat] 心跳配置，false表示不发送心跳
+   * @param {number} [heartbeat.interval=30000] 心跳间隔，单位：ms
+   * @param {number} [heartbeat.timeout=10000] 发出心跳后多久仍未收到任何消息，视为连接已失效，单位：ms
+   * @param {*|function} [heartbeat.message={type: 'ping'}] 心跳消息，或生成心跳消息的函数
+   * @param {object|boolean} [reconnect] 重连配置，false表示不自动重连
+   * @param {number} [reconnect.maxAttempts=Infinity] 最大连续重连次数
+   * @param {number} [reconnect.baseDelay=1000] 首次重连的间隔时间，单位：ms
+   * @param {number} [reconnect.maxDelay=30000] 重连间隔时间上限，单位：ms
+   * @param {number} [reconnect.factor=2] 间隔时间增长倍数
+   * @param {number} [reconnect.jitter=0.5] 随机抖动比例，取值0~1
+   * @param {number} [queueLimit=100] 离线消息队列长度上限，超出时丢弃最早的消息
+   * @param {string} [idField='id'] 消息中用于关联请求与响应的id字段
+   * @param {number} [requestTimeout=10000] 请求默认超时时间，单位：ms
+   * @param {function} [underlayConnect] 底层连接api，功能格式同[wx.connectSocket]{@link https://developers.weixin.qq.com/miniprogram/dev/api/network/websocket/wx.connectSocket.html}
+   * @example
+   * const socket = new SocketClient({
+   *   url: 'wss://xxx/chat',
+   *   cookie,
+   *   loginCenter,
+   *   authFailChecker({code}){ //与服务端约定：登录态失效时以4001关闭连接
+   *     return code === 4001;
+   *   },
+   * });
+   *
+   * socket.subscribe({
+   *   eventType: 'message',
+   *   handler(msg){
+   *     console.log('receive:', msg);
+   *   },
+   * });
+   *
+   * socket.connect();
+   * socket.send({type: 'chat', text: 'hello'}); //未连接时会暂存，连接建立后发出
+   * let reply = await socket.request({type: 'bid', price: 100}); //按id关联响应
+   */
+  constructor({
+    url,
+    header={},
+    protocols,
+    cookie=null,
+    loginCenter=null,
+    loginOpts={},
+    authFailChecker=null,
+    tokenMode=false,
+    authHeaderName='Authorization',
+    heartbeat={},
+    reconnect={},
+    queueLimit=100,
+    idField='id',
+    requestTimeout=10000,
+    underlayConnect=(typeof wx !== 'undefined' ? wx.connectSocket : null),
+  }){
+    this._configOptions = {
+      url,
+      header,
+      protocols,
+      cookie,
+      loginCenter,
+      loginOpts,
+      authFailChecker,
+      tokenMode,
+      authHeaderName,
+      heartbeat: heartbeat===false ? null : Object.assign({
+        interval: 30000,
+        timeout: 10000,
+        message: {type: 'ping'},
+      }, heartbeat),
+      reconnect: reconnect===false ? null : Object.assign({
+        maxAttempts: Infinity,
+        baseDelay: 1000,
+        maxDelay: 30000,
+        factor: 2,
+        jitter: 0.5,
+      }, reconnect),
+      queueLimit,
+      idField,
+      requestTimeout,
+      underlayConnect,
+    };
+
+    this._events = new EventHub({
+      validEvents: [
+        'open', //连接建立
+        'message', //收到消息（请求的响应消息不会触发）
+        'close', //连接关闭
+        'error', //连接出错
+        'reconnecting', //即将重连
+      ]
+    });
+  }
+
+  /**
+   * 建立连接
+   * 已连接或连接中时不作处理
+   * @return {boolean} 是否成功发起连接（登录失败等情况下不会发起连接）
+   */
+  async connect(){
+    if (['connecting', 'open'].includes(this._status))
+      return true;
+
+    this._manualClosed = false;
+    this._status = 'connecting';
+    clearTimeout(this._reconnectTimer);
+    let seq = ++this._connectSeq;
+
+    //确保已登录（token模式下同时确保access token有效）
+    let {loginCenter, loginOpts, tokenMode} = this._configOptions;
+    if (loginCenter) {
+      let loginRes = await loginCenter.login(loginOpts);
+      if (seq !== this._connectSeq) //登录期间被主动关闭，或已重新发起连接
+        return false;
+      if (tokenMode && (loginRes.code===0 || loginRes.code===-200))
+        loginRes = await this._prepareToken();
+      if (seq !== this._connectSeq)
+        return false;
+      if (!(loginRes.code===0 || loginRes.code===-200)) { //登录失败，稍后重试
+        this._status = 'closed';
+        this._events.notify({eventType: 'error', data: {errMsg: 'connect:fail login failed'}});
+        this._scheduleReconnect();
+        return false;
+      }
+    }
+
+    //发起连接
+    try {
+      this._task = this._configOptions.underlayConnect({
+        url: this._configOptions.url,
+        header: this._makeHeader(),
+        protocols: this._configOptions.protocols,
+      });
+    } catch (e) {
+      console.error('[SocketClient] connect, caught error:', e);
+      this._status = 'closed';
+      this._events.notify({eventType: 'error', data: {errMsg: 'connect:fail internal error'}});
+      this._scheduleReconnect();
+      return false;
+    }
+
+    this._bindTask(this._task);
+    return true;
+  }
+
+  /**
+   * 主动关闭连接，关闭后不再自动重连，如需恢复请重新调用{@link SocketClient#connect}
+   * 等待响应中的请求会以中止错误reject
+   * @param {number} [code=1000] 关闭码
+   * @param {string} [reason=''] 关闭原因
+   */
+  close({code=1000, reason=''}={}){
+    this._manualClosed = true;
+    this._connectSeq++; //使进行中的连接流程失效
+    clearTimeout(this._reconnectTimer);
+    this._stopHeartbeat();
+
+    this._task && this._task.close({code, reason});
+    this._task = null;
+    this._status = 'closed';
+
+    this._rejectPending(new RequestError({type: RequestError.TYPE.ABORTED, message: 'socket closed'}));
+  }
+
+  /**
+   * 发送消息
+   * 连接未建立时，消息会暂存到离线消息队列，连接建立后按顺序发出
+   * @param {*} data 消息内容，对象会被序列化为json
+   */
+  send(data){
+    if (this._status === 'open') {
+      this._doSend(data);
+      return;
+    }
+
+    this._queue.push(data);
+    if (this._queue.length > this._configOptions.queueLimit) {
+      let dropped = this._queue.shift();
+      console.warn('[SocketClient] 离线消息队列已满，丢弃最早的消息：', dropped);
+    }
+  }
+
+  /**
+   * 发送请求，并等待服务端响应
+   * 响应消息通过idField字段与请求关联，服务端需原样返回请求中的id
+   * @param {object} data 请求内容，未指定id时会自动生成
+   * @param {number} [timeout] 超时时间，单位：ms，默认为构造函数中指定的requestTimeout
+   * @param {AbortSignal} [signal] 中止信号，由{@link AbortController}创建
+   * @return {Promise<*>} 成功时resolve响应消息，超时、中止、连接非主动断开时以{@link RequestError}reject
+   */
+  request(data, {timeout, signal}={}){
+    let idField = this._configOptions.idField;
+    let id = data[idField]!==undefined ? data[idField] : `${Date.now()}_${++this._idSeq}`;
+    data = Object.assign({}, data, {[idField]: id});
+    timeout = timeout===undefined ? this._configOptions.requestTimeout : timeout;
+
+    return new Promise((resolve, reject)=>{
+      let onAbort = null;
+      let settle = (callback, res)=>{
+        if (!this._pendingMap.has(id))
+          return;
+        clearTimeout(this._pendingMap.get(id).timer);
+        this._pendingMap.delete(id);
+        signal && signal.offAbort(onAbort);
+        callback(res);
+      };
+
+      this._pendingMap.set(id, {
+        resolve: res=>settle(resolve, res),
+        reject: err=>settle(reject, err),
+        timer: timeout>0 ? setTimeout(()=>{
+          settle(reject, new RequestError({type: RequestError.TYPE.TIMEOUT, message: 'socket request timeout'}));
+        }, timeout) : null,
+      });
+
+      if (signal) {
+        onAbort = reason=>settle(reject, new RequestError({type: RequestError.TYPE.ABORTED, message: `socket request abort, reason: ${reason}`}));
+        signal.onAbort(onAbort);
+      }
+
+      this._pendingMap.has(id) && this.send(data);
+    });
+  }
+
+  /**
+   * 监听事件，用法同{@link EventHub#subscribe}
+   * | eventType | 语义 | 参数 |
+   * | --- | --- | --- |
+   * | open | 连接建立 | 底层onOpen回调参数 |
+   * | message | 收到消息（请求的响应消息不会触发） | 消息内容，json格式时会被自动解析 |
+   * | close | 连接关闭 | {code, reason} |
+   * | error | 连接出错 | {errMsg} |
+   * | reconnecting | 即将重连 | {attempt: 第几次重连, delay: 重连间隔} |
+   * @param {string} eventType 事件类型
+   * @param {function} handler 监听函数
+   * @param {string} [persistType='always'] 持续策略：once-触发一次后自动移除监听 | always-每次都触发
+   */
+  subscribe({eventType, handler, persistType='always'}){
+    this._events.subscribe({eventType, handler, persistType});
+  }
+
+  /**
+   * 取消监听，用法同{@link EventHub#unsubscribe}
+   * @param {string} eventType 事件类型
+   * @param {function} handler 监听函数
+   */
+  unsubscribe({eventType, handler}){
+    this._events.unsubscribe({eventType, handler});
+  }
+
+  /**
+   * 获取连接状态
+   * @return {string} idle-未连接 | connecting-连接中 | open-已连接 | closed-已关闭
+   */
+  get status(){
+    return this._status;
+  }
+
+  /**
+   * 生成建立连接时的header，拼入cookie
+   * @return {object}
+   * @private
+   */
+  _makeHeader(){
+    let {cookie, loginCenter, tokenMode, authHeaderName} = this._configOptions;
+    let header = Object.assign({}, this._configOptions.header);
+    if (cookie)
+      header.cookie = Cookie.mergeCookieStr(cookie.getCookie({url: this._configOptions.url}), header.cookie);
+
+    let tokenInfo = tokenMode && loginCenter && loginCenter.tokenInfo;
+    if (tokenInfo)
+      header[authHeaderName] = `${tokenInfo.tokenType || 'Bearer'} ${tokenInfo.accessToken}`;
+    return header;
+  }
+
+  /**
+   * （token模式）建立连接前，确保access token有效：即将过期时先刷新，refresh token被拒绝时重新登录
+   * @return {BaseLogin~LoginRes} 处理结果
+   * @private
+   */
+  async _prepareToken(){
+    let {loginCenter, loginOpts} = this._configOptions;
+    let tokenInfo = loginCenter.tokenInfo;
+    if (!(tokenInfo && tokenInfo.accessExpireTime>0 && Date.now()+TOKEN_REFRESH_AHEAD>=tokenInfo.accessExpireTime))
+      return {code: 0, errMsg: 'ok'};
+
+    let refreshRes = await loginCenter.refreshToken();
+    if (refreshRes.code === -100) //refresh token被拒绝，重新完整登录
+      return loginCenter.login(loginOpts);
+    return {code: 0, errMsg: 'ok'};
+  }
+
+  /**
+   * 以指定错误reject全部等待响应中的请求，并移除其尚未发出的请求消息
+   * @param {RequestError} error 错误信息
+   * @private
+   */
+  _rejectPending(error){
+    let idField = this._configOptions.idField;
+    let ids = Array.from(this._pendingMap.keys());
+    for (let pending of Array.from(this._pendingMap.values())) {
+      clearTimeout(pending.timer);
+      pending.reject(error);
+    }
+    this._pendingMap.clear();
+    this._queue = this._queue.filter(data=>!(data && typeof data === "object" && ids.includes(data[idField])));
+  }
+
+  /**
+   * 监听SocketTask各事件
+   * @param {object} task SocketTask
+   * @private
+   */
+  _bindTask(task){
+    task.onOpen(res=>{
+      if (task !== this._task) //已被新连接替代
+        return;
+
+      this._status = 'open';
+      this._reconnectAttempts = 0;
+      this._lastReceiveTime = Date.now();
+      this._receiveCookies(res);
+      this._startHeartbeat();
+
+      //发出离线消息
+      let queue = this._queue;
+      this._queue = [];
+      for (let data of queue)
+        this._doSend(data);
+
+      this._events.notify({eventType: 'open', data: res});
+    });
+
+    task.onMessage(res=>{
+      if (task !== this._task)
+        return;
+
+      this._lastReceiveTime = Date.now();
+      this._authFailCount = 0; //能收到消息，说明登录态有效
+
+      let msg = deserialize(res.data);
+      let id = msg && typeof msg === "object" ? msg[this._configOptions.idField] : undefined;
+      if (id!==undefined && this._pendingMap.has(id)) { //请求的响应
+        this._pendingMap.get(id).resolve(msg);
+        return;
+      }
+
+      this._events.notify({eventType: 'message', data: msg});
+    });
+
+    task.onError(res=>{
+      if (task !== this._task)
+        return;
+
+      this._events.notify({eventType: 'error', data: res});
+    });
+
+    task.onClose(res=>{
+      if (task !== this._task)
+        return;
+
+      this._task = null;
+      this._status = 'closed';
+      this._stopHeartbeat();
+      this._events.notify({eventType: 'close', data: res});
+
+      if (this._manualClosed)
+        return;
+
+      //连接已断开，等待中的请求无法再收到响应
+      this._rejectPending(new RequestError({type: RequestError.TYPE.NETWORK, message: `socket closed unexpectedly, code: ${res && res.code}`}));
+
+      //因登录态失效被关闭：清除前端登录态，首次立即重新登录重连，连续失效时按常规间隔重连，避免死循环
+      let {authFailChecker, loginCenter} = this._configOptions;
+      if (loginCenter && authFailChecker && authFailChecker(res)) {
+        loginCenter.clearLogin();
+        if (++ this._authFailCount === 1) {
+          this.connect();
+          return;
+        }
+      }
+
+      this._scheduleReconnect();
+    });
+  }
+
+  /**
+   * 安排重连，间隔时间按指数退避计算
+   * @private
+   */
+  _scheduleReconnect(){
+    let reconnect = this._configOptions.reconnect;
+    if (!reconnect || this._manualClosed)
+      return;
+
+    if (this._reconnectAttempts >= reconnect.maxAttempts) {
+      console.warn('[SocketClient] 已达到最大重连次数，不再重连，url:', this._configOptions.url);
+      return;
+    }
+
+    let retryDelay = Math.min(reconnect.maxDelay, reconnect.baseDelay * Math.pow(reconnect.factor, this._reconnectAttempts));
+    retryDelay = Math.round(retryDelay * (1 - reconnect.jitter*Math.random()));
+    ++ this._reconnectAttempts;
+
+    this._events.notify({eventType: 'reconnecting', data: {attempt: this._reconnectAttempts, delay: retryDelay}});
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = setTimeout(()=>{
+      this._status = 'idle';
+      this.connect();
+    }, retryDelay);
+  }
+
+  /**
+   * 开始发送心跳
+   * @private
+   */
+  _startHeartbeat(){
+    let heartbeat = this._configOptions.heartbeat;
+    if (!heartbeat)
+      return;
+
+    this._stopHeartbeat();
+    this._heartbeatTimer = setInterval(()=>{
+      //上次心跳后超时未收到任何消息，视为连接已失效，断开重连
+      if (Date.now() - this._lastReceiveTime > heartbeat.interval + heartbeat.timeout) {
+        console.warn('[SocketClient] 心跳超时，断开重连，url:', this._configOptions.url);
+        let task = this._task;
+        this._task = null;
+        this._status = 'closed';
+        this._stopHeartbeat();
+        task && task.close({code: 4000, reason: 'heartbeat timeout'});
+        this._events.notify({eventType: 'close', data: {code: 4000, reason: 'heartbeat timeout'}});
+        this._rejectPending(new RequestError({type: RequestError.TYPE.NETWORK, message: 'socket heartbeat timeout'}));
+        this._scheduleReconnect();
+        return;
+      }
+
+      this._doSend(typeof heartbeat.message === "function" ? heartbeat.message() : heartbeat.message);
+    }, heartbeat.interval);
+  }
+
+  /**
+   * 停止发送心跳
+   * @private
+   */
+  _stopHeartbeat(){
+    clearInterval(this._heartbeatTimer);
+    this._heartbeatTimer = null;
+  }
+
+  /**
+   * 通过当前连接发送消息
+   * @param {*} data 消息内容
+   * @private
+   */
+  _doSend(data){
+    this._task.send({
+      data: serialize(data),
+      fail: res=>{
+        console.error('[SocketClient] send failed, res:', res, 'data:', data);
+      },
+    });
+  }
+
+  /**
+   * 接收握手返回结果中的cookie信息
+   * @param {object} res onOpen回调参数
+   * @private
+   */
+  _receiveCookies(res){
+    let cookie = this._configOptions.cookie;
+    let header = res && res.header;
+    if (!(cookie && header))
+      return;
+
+    let setCookie = header['Set-Cookie'] || header['set-cookie'];
+    if (!setCookie)
+      return;
+
+    let setStrs = Array.isArray(setCookie) ? setCookie : [setCookie];
+    for (let setStr of setStrs)
+      cookie.setCookie(setStr, {url: this._configOptions.url});
+  }
+}
+
+const TOKEN_REFRESH_AHEAD = 60 * 1000; //（token模式）access token剩余有效期不足该值时，先刷新再建立连接，单位：ms
+
+/**
+ * 序列化消息
+ * @param {*} data 消息内容
+ * @return {string|ArrayBuffer}
+ * @ignore
+ */
+function serialize(data) {
+  if (typeof data === "string" || (typeof ArrayBuffer !== "undefined" && data instanceof ArrayBuffer))
+    return data;
+  return JSON.stringify(data);
+}
+
+/**
+ * 反序列化消息，json格式的字符串会被解析，其它格式原样返回
+ * @param {string|ArrayBuffer} data 消息内容
+ * @return {*}
+ * @ignore
+ */
+function deserialize(data) {
+  if (typeof data !== "string")
+    return data;
+
+  try {
+    return JSON.parse(data);
+  } catch (e) {
+    return data;
+  }
+}
+
+/**
+ * @typedef {function} SocketClient~AuthFailChecker 登录态失效校验函数，根据连接关闭信息判断是否由于登录态失效而被关闭
+ * @param {{code: number, reason: string}} closeRes 连接关闭信息，即onClose回调参数
+ * @return {boolean} 是否由于登录态失效而被关闭
+ * @example
+ * function authFailChecker({code, reason}){
+ *   return code === 4001; //与服务端约定的关闭码
+ * }
+ */
+
+export default SocketClient;
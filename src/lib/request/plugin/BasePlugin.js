@@ -13,13 +13,49 @@ class BasePlugin {
    * @type {Requester}
    */
   requester = null;
+  /**
+   * 单次请求中，本插件最多可以要求重试的次数，超出时重试要求会被忽略，避免无限重试导致死循环
+   * 各插件分别计数，互不影响
+   * @type {number}
+   */
+  retryLimit = 1;
+  /**
+   * 执行顺序，数值小的先执行，相同时按注册顺序执行
+   * 各阶段（transformRequest、beforeRequest、afterRequest、normalizeError、transformResponse等）均按此顺序执行
+   * @type {number}
+   */
+  order = 0;
+  /**
+   * 适用范围，只对url匹配的请求生效，null表示对所有请求生效，格式参见{@link module:operationKit.matchUrlPattern}
+   * @type {null|string|RegExp|Function|Array}
+   */
+  include = null;
+  /**
+   * 排除范围，对url匹配的请求不生效，null表示不排除，格式参见{@link module:operationKit.matchUrlPattern}
+   * @type {null|string|RegExp|Function|Array}
+   */
+  exclude = null;
+  /**
+   * 适用的请求方法，e.g. ['GET', 'POST']，null表示对所有请求方法生效
+   * @type {null|Array<string>}
+   */
+  methods = null;
 
   /**
    * 构造函数
+   * 适用范围和执行顺序也可以在注册插件时指定，参见{@link Requester~PluginEntry}
    * @param {string} pluginName 插件名称，主要用于打印日志和调试，便于追溯操作源
+   * @param {number} [order] 执行顺序，参见{@link BasePlugin#order}
+   * @param {null|string|RegExp|Function|Array} [include] 适用范围，参见{@link BasePlugin#include}
+   * @param {null|string|RegExp|Function|Array} [exclude] 排除范围，参见{@link BasePlugin#exclude}
+   * @param {null|Array<string>} [methods] 适用的请求方法，参见{@link BasePlugin#methods}
    */
-  constructor({pluginName}){
+  constructor({pluginName, order, include, exclude, methods}){
     this.pluginName = pluginName || this.pluginName;
+    this.order = order===undefined ? this.order : order;
+    this.include = include===undefined ? this.include : include;
+    this.exclude = exclude===undefined ? this.exclude : exclude;
+    this.methods = methods===undefined ? this.methods : methods;
     
     if (!this.pluginName) {
       console.warn('[requester plugin] 建议为插件设置一个pluginName，便于出现问题时排查追溯：',this);
@@ -33,46 +69,159 @@ class BasePlugin {
   mount({requester}){
     this.requester = requester;
   }
+
+  /**
+   * 钩子函数，插件被从requester对象上移除时触发，参见{@link Requester#removePlugin}
+   * @param {Requester} requester 被移除自的requester对象
+   */
+  unmount({requester}){
+    this.requester = null;
+  }
   
+  /**
+   * 钩子函数，数据转换-请求参数，在请求流程开始前调用一次，同步
+   * 返回新的请求参数，供后续各插件及实际请求使用；插件要求重试时，直接复用转换后的参数，不会再次转换
+   * 请勿直接修改传入的reqOptions，以免影响调用方
+   * @param {Requester~ReqOptions} reqOptions 请求参数（已经过之前插件转换）
+   * @param {string} transport 传输类型：'request'-普通请求 | 'uploadFile'-上传文件 | 'downloadFile'-下载文件
+   * @param {object} thisIssuer 发起接口请求的this对象
+   * @return {undefined | Requester~ReqOptions} 转换后的请求参数，undefined表示不作转换
+   * @example
+   * transformRequest({reqOptions}){
+   *   return {
+   *     ...reqOptions,
+   *     url: reqOptions.url.replace(/^\/api\//, 'https://xxx.com/api/'), //补全域名
+   *   };
+   * }
+   */
+  transformRequest({reqOptions, transport, thisIssuer}){};
+
+  /**
+   * 钩子函数，数据转换-请求参数，异步，功能同{@link BasePlugin#transformRequest}
+   * @async
+   * @param {Requester~ReqOptions} reqOptions 请求参数（已经过之前插件转换）
+   * @param {string} transport 传输类型：'request'-普通请求 | 'uploadFile'-上传文件 | 'downloadFile'-下载文件
+   * @param {object} thisIssuer 发起接口请求的this对象
+   * @return {undefined | Requester~ReqOptions} 转换后的请求参数，undefined表示不作转换
+   */
+  transformRequestAsync({reqOptions, transport, thisIssuer}){};
+
   /**
    * 钩子函数，发请求之前调用，同步
    * 不会等待异步操作返回，如需等待异步逻辑，请改用{@link BasePlugin#beforeRequestAsync}
    * @param {Requester~ReqOptions} reqOptions  请求参数
+   * @param {string} transport 传输类型：'request'-普通请求 | 'uploadFile'-上传文件 | 'downloadFile'-下载文件
    * @param {object} thisIssuer 发起接口请求的this对象
+   * @param {Array<Requester~AttemptInfo>} attempts 本次请求中已完成的各次尝试（不含当前尝试）
+   * @param {Requester~ReqOptions} originalOptions 调用方传入的原始请求参数（未经transformRequest转换，也未被beforeRequest修改），供需要重新发起请求的插件使用，请勿修改
    * @return {undefined | Requester~BeforeRequestRes} 期望的后续处理，undefined表示继续执行默认流程
    */
-  beforeRequest({reqOptions, thisIssuer}){};
+  beforeRequest({reqOptions, transport, thisIssuer, attempts, originalOptions}){};
 
   /**
    * 钩子函数，发请求之前调用，异步
    * 会等待async函数resolve，若无异步逻辑，建议使用{@link BasePlugin#beforeRequest}
    * @async
    * @param {Requester~ReqOptions} reqOptions  请求参数
+   * @param {string} transport 传输类型：'request'-普通请求 | 'uploadFile'-上传文件 | 'downloadFile'-下载文件
    * @param {object} thisIssuer 发起接口请求的this对象
+   * @param {Array<Requester~AttemptInfo>} attempts 本次请求中已完成的各次尝试（不含当前尝试）
+   * @param {Requester~ReqOptions} originalOptions 调用方传入的原始请求参数，同{@link BasePlugin#beforeRequest}
    * @return {undefined | Requester~BeforeRequestRes} 期望的后续处理，undefined表示继续执行默认流程
    */
-  beforeRequestAsync({reqOptions, thisIssuer}){};
+  beforeRequestAsync({reqOptions, transport, thisIssuer, attempts, originalOptions}){};
 
   /**
    * 钩子函数，请求返回之后调用，同步
    * 不会等待异步操作返回，如需等待异步逻辑，请改用{@link BasePlugin#afterRequestAsync}
    * @param {Requester~ReqOptions} reqOptions  请求参数
+   * @param {string} transport 传输类型：'request'-普通请求 | 'uploadFile'-上传文件 | 'downloadFile'-下载文件
    * @param {object} thisIssuer 发起接口请求的this对象
+   * @param {Array<Requester~AttemptInfo>} attempts 本次请求中已完成的各次尝试（不含当前尝试）
+   * @param {Requester~ReqOptions} originalOptions 调用方传入的原始请求参数，同{@link BasePlugin#beforeRequest}
    * @param {Requester~ReqRes} reqRes 请求结果
    * @return {undefined | Requester~AfterRequestRes} 期望的后续处理，undefined表示继续执行默认流程
    */
-  afterRequest({reqOptions, thisIssuer, reqRes}){};
+  afterRequest({reqOptions, transport, thisIssuer, attempts, reqRes, originalOptions}){};
   
   /**
    * 钩子函数，请求返回之后调用，异步
    * 会等待async函数resolve，若无异步逻辑，建议使用{@link BasePlugin#afterRequest}
    * @async
    * @param {Requester~ReqOptions} reqOptions  请求参数
+   * @param {string} transport 传输类型：'request'-普通请求 | 'uploadFile'-上传文件 | 'downloadFile'-下载文件
    * @param {object} thisIssuer 发起接口请求的this对象
+   * @param {Array<Requester~AttemptInfo>} attempts 本次请求中已完成的各次尝试（不含当前尝试）
+   * @param {Requester~ReqOptions} originalOptions 调用方传入的原始请求参数，同{@link BasePlugin#beforeRequest}
    * @param {Requester~ReqRes} reqRes 请求结果
    * @return {undefined | Requester~AfterRequestRes} 期望的后续处理，undefined表示继续执行默认流程
    */
-  afterRequestAsync({reqOptions, thisIssuer, reqRes}){};
+  afterRequestAsync({reqOptions, transport, thisIssuer, attempts, reqRes, originalOptions}){};
+
+  /**
+   * 钩子函数，请求流程结束时调用（不论成功、失败还是被取消），仅用于通知，返回值会被忽略
+   * 插件要求重试时，多次尝试整体视为一次请求，只会在最终结束时调用一次
+   * @param {Requester~ReqOptions} reqOptions  请求参数
+   * @param {string} transport 传输类型：'request'-普通请求 | 'uploadFile'-上传文件 | 'downloadFile'-下载文件
+   * @param {object} thisIssuer 发起接口请求的this对象
+   * @param {Array<Requester~AttemptInfo>} attempts 本次请求中已完成的各次尝试（不含最后一次）
+   * @param {Requester~ReqRes} reqRes 最终请求结果
+   * @param {Requester~ReqOptions} originalOptions 调用方传入的原始请求参数，同{@link BasePlugin#beforeRequest}
+   */
+  onRequestEnd({reqOptions, transport, thisIssuer, attempts, reqRes, originalOptions}){};
+
+  /**
+   * 钩子函数，错误规整，在请求流程结束后调用，同步
+   * 用于将业务错误码、异常http状态码等转为请求错误，请求结果携带错误时，会以失败结果reject
+   * 网络异常、超时、中止、取消等失败情形，会预先生成对应的默认错误，插件也可以进一步细化
+   * @param {Requester~ReqOptions} reqOptions 请求参数
+   * @param {string} transport 传输类型：'request'-普通请求 | 'uploadFile'-上传文件 | 'downloadFile'-下载文件
+   * @param {object} thisIssuer 发起接口请求的this对象
+   * @param {Array<Requester~AttemptInfo>} attempts 本次请求中已完成的各次尝试（不含最后一次）
+   * @param {Requester~ReqRes} reqRes 最终请求结果
+   * @param {RequestError|null} error 当前错误（已经过之前插件规整），null表示当前无错误
+   * @return {undefined | RequestError} 规整后的错误，undefined表示不作修改
+   * @example
+   * normalizeError({reqRes, error}){
+   *   if (error) //已有错误，不作修改
+   *     return;
+   *   
+   *   let {respCode, respMsg} = reqRes.data || {};
+   *   if (respCode !== 0) //业务错误码转为请求错误
+   *     return new RequestError({type: RequestError.TYPE.BUSINESS, code: respCode, message: respMsg, data: reqRes.data});
+   * }
+   */
+  normalizeError({reqOptions, transport, thisIssuer, attempts, reqRes, error}){};
+
+  /**
+   * 钩子函数，数据转换-返回数据，在错误规整后调用（请求结果携带错误时不会调用），同步
+   * 返回新的返回数据，作为请求结果resolve给调用方
+   * @param {Requester~ReqOptions} reqOptions 请求参数
+   * @param {string} transport 传输类型：'request'-普通请求 | 'uploadFile'-上传文件 | 'downloadFile'-下载文件
+   * @param {object} thisIssuer 发起接口请求的this对象
+   * @param {Array<Requester~AttemptInfo>} attempts 本次请求中已完成的各次尝试（不含最后一次）
+   * @param {Requester~ReqRes} reqRes 最终请求结果
+   * @param {*} data 返回数据（已经过之前插件转换）
+   * @return {*} 转换后的返回数据，undefined表示不作转换
+   * @example
+   * transformResponse({data}){
+   *   return data.respData; //解开{respCode, respData}外层结构，调用方直接获取业务数据
+   * }
+   */
+  transformResponse({reqOptions, transport, thisIssuer, attempts, reqRes, data}){};
+
+  /**
+   * 钩子函数，数据转换-返回数据，异步，功能同{@link BasePlugin#transformResponse}
+   * @async
+   * @param {Requester~ReqOptions} reqOptions 请求参数
+   * @param {string} transport 传输类型：'request'-普通请求 | 'uploadFile'-上传文件 | 'downloadFile'-下载文件
+   * @param {object} thisIssuer 发起接口请求的this对象
+   * @param {Array<Requester~AttemptInfo>} attempts 本次请求中已完成的各次尝试（不含最后一次）
+   * @param {Requester~ReqRes} reqRes 最终请求结果
+   * @param {*} data 返回数据（已经过之前插件转换）
+   * @return {*} 转换后的返回数据，undefined表示不作转换
+   */
+  transformResponseAsync({reqOptions, transport, thisIssuer, attempts, reqRes, data}){};
 }
 
 export default BasePlugin;
\ No newline at end of file
@@ -0,0 +1,398 @@
+import BasePlugin from './BasePlugin';
+import {deepClone, matchUrlPattern} from '../../operationKit';
+
+/**
+ * 请求管理-缓存插件
+ * 对接口返回结果进行缓存，在缓存有效期内直接返回缓存内容，而不再重复请求，详见{@tutorial 2.3-request}
+ *
+ * 特性：
+ * 1. 仅对携带了cacheOpts字段的请求生效，由调用方按需开启
+ * 2. 支持内存缓存和storage持久化缓存
+ * 3. 支持stale-while-revalidate：缓存过期后一段时间内，先返回旧数据，同时在后台刷新缓存
+ * 4. 缓存条目数超出上限时，按最近最少使用原则（LRU）淘汰
+ * 5. 支持按url模式主动清除缓存
+ * @extends BasePlugin
+ */
+class CachePlugin extends BasePlugin{
+  _storageName = ''; //缓存持久化到storage时使用的key
+  _maxEntries = 0; //缓存条目数上限
+  _defaultTtl = 0; //默认缓存有效期，单位：ms
+  _defaultStaleTime = 0; //默认过期后可继续使用的时长，单位：ms
+  _defaultPersist = false; //默认是否持久化
+  _cacheableMethods = []; //允许缓存的请求方法
+  _keyHeaders = []; //参与缓存key计算的header字段
+  _cacheableChecker = null; //判断请求结果是否可以缓存的函数
+
+  _cacheMap = null; //缓存列表，key: 缓存key，value: {@link CachePlugin~CacheEntry}，Map的遍历顺序即为使用顺序（最近使用的在最后）
+  _isStorageLoaded = false; //是否已从storage中读取持久化缓存
+  _keyMap = new WeakMap(); //请求参数与缓存key的对应关系，key: reqOptions，value: 缓存key
+  _fedResSet = new WeakSet(); //由本插件返回的缓存结果，用于避免重复写入缓存
+  _revalidatingKeys = new Set(); //正在后台刷新的缓存key，用于避免重复刷新
+
+  /**
+   * 构造函数
+   * @param {string} [pluginName='CachePlugin'] 插件名称
+   * @param {number} [order] 执行顺序，参见{@link BasePlugin#order}
+   * @param {null|string|RegExp|Function|Array} [include] 适用范围，参见{@link BasePlugin#include}
+   * @param {null|string|RegExp|Function|Array} [exclude] 排除范围，参见{@link BasePlugin#exclude}
+   * @param {null|Array<string>} [methods] 适用的请求方法，参见{@link BasePlugin#methods}
+   * @param {string} [storageName='__requestCache'] 缓存持久化到storage时使用的key
+   * @param {number} [maxEntries=100] 缓存条目数上限，超出时淘汰最近最少使用的条目
+   * @param {number} [defaultTtl=300000] 默认缓存有效期，单位：ms，可在请求的cacheOpts中单独指定
+   * @param {number} [defaultStaleTime=0] 默认过期后可继续使用的时长，单位：ms，在该时间段内，会先返回旧数据，同时在后台刷新缓存；0表示过期后不再使用
+   * @param {boolean} [defaultPersist=false] 默认是否持久化到storage，可在请求的cacheOpts中单独指定
+   * @param {Array<string>} [cacheableMethods=['GET']] 允许缓存的请求方法
+   * @param {Array<string>} [keyHeaders=['cookie', 'authorization']] 参与缓存key计算的header字段（不区分大小写），默认包含登录态相关字段，避免不同用户（包括切换账号、重新登录后）复用彼此的缓存；需在登录插件、cookie插件之后执行，才能取到这些字段
+   * @param {CachePlugin~CacheableChecker} [cacheableChecker] 判断请求结果是否可以缓存的函数，默认只缓存状态码为2xx的结果
+   * @example
+   * let cachePlugin = new CachePlugin({
+   *   defaultTtl: 60*1000, //默认缓存1分钟
+   * });
+   *
+   * requester.config({
+   *   plugins: [
+   *     cachePlugin,
+   *   ]
+   * });
+   *
+   * //开启缓存
+   * let list = await requester.request({
+   *   url: 'https://xxx/list',
+   *   cacheOpts: { //额外定义一个保留字段cacheOpts，用于指定缓存参数
+   *     ttl: 5*60*1000, //5分钟内直接使用缓存
+   *     staleTime: 60*60*1000, //过期1小时内，先返回旧数据，同时在后台刷新缓存
+   *     persist: true, //持久化到storage，小程序重启后仍可使用
+   *   }
+   * });
+   *
+   * //清除缓存
+   * cachePlugin.invalidate('/list');
+   */
+  constructor({
+    pluginName='CachePlugin',
+    order,
+    include,
+    exclude,
+    methods,
+    storageName='__requestCache',
+    maxEntries=100,
+    defaultTtl=5*60*1000,
+    defaultStaleTime=0,
+    defaultPersist=false,
+    cacheableMethods=['GET'],
+    keyHeaders=['cookie', 'authorization'],
+    cacheableChecker=null,
+  }={}){
+    super({
+      pluginName,
+      order,
+      include,
+      exclude,
+      methods,
+    });
+
+    this._storageName = storageName;
+    this._maxEntries = maxEntries;
+    this._defaultTtl = defaultTtl;
+    this._defaultStaleTime = defaultStaleTime;
+    this._defaultPersist = defaultPersist;
+    this._cacheableMethods = cacheableMethods.map(method=>method.toUpperCase());
+    this._keyHeaders = keyHeaders.map(name=>name.toLowerCase());
+    this._cacheableChecker = cacheableChecker || function (reqRes) {
+      return reqRes.succeeded && reqRes.statusCode>=200 && reqRes.statusCode<300;
+    };
+    this._cacheMap = new Map();
+  }
+
+  /**
+   * 在请求发起前查找缓存，命中时直接返回缓存内容
+   * @param {Requester~ReqOptions} reqOptions 请求参数
+   * @param {Requester~ReqOptions} originalOptions 调用方传入的原始请求参数，后台刷新缓存时使用
+   * @return {undefined | Requester~BeforeRequestRes} 期望的后续处理，undefined表示继续执行默认流程
+   */
+  beforeRequest({reqOptions, originalOptions}){
+    //获取缓存参数
+    let cacheOpts = this._parseCacheOpts(reqOptions);
+    if (!cacheOpts) //不需要缓存，不作处理
+      return;
+
+    //记录缓存key，供请求返回后写入缓存使用（请求参数可能会被后续插件修改，故不在请求返回后重新计算）
+    this._keyMap.set(reqOptions, cacheOpts.key);
+
+    //强制刷新，不读取缓存
+    if (cacheOpts.forceRefresh)
+      return;
+
+    //查找缓存
+    let entry = this._getEntry(cacheOpts.key);
+    if (!entry)
+      return;
+
+    let now = Date.now();
+
+    //缓存已彻底失效
+    if (now >= entry.staleTime) {
+      this._removeEntry(cacheOpts.key);
+      return;
+    }
+
+    //缓存已过期，但仍在可使用时间内：先返回旧数据，同时在后台刷新缓存
+    let isStale = now >= entry.freshTime;
+    if (isStale)
+      this._revalidate({reqOptions: originalOptions || reqOptions, cacheOpts});
+
+    //返回缓存内容
+    let feedRes = Object.assign(cloneReqRes(entry.reqRes), {
+      fromCache: true, //插件补充字段，标记结果来自缓存
+      stale: isStale, //插件补充字段，标记缓存是否已过期
+    });
+    this._fedResSet.add(feedRes);
+
+    return {
+      action: 'feed',
+      feedRes,
+    }
+  }
+
+  /**
+   * 在请求返回后写入缓存
+   * @param {Requester~ReqOptions} reqOptions 请求参数
+   * @param {Requester~ReqRes} reqRes 请求结果
+   */
+  afterRequest({reqOptions, reqRes}){
+    //获取缓存参数
+    let key = this._keyMap.get(reqOptions);
+    if (key === undefined) //不需要缓存，不作处理
+      return;
+
+    //本插件提供的缓存结果，无需重复写入
+    if (this._fedResSet.has(reqRes))
+      return;
+
+    //结果不可缓存，不作处理
+    if (!this._cacheableChecker(reqRes, reqOptions))
+      return;
+
+    //写入缓存
+    let cacheOpts = this._parseCacheOpts(reqOptions);
+    let now = Date.now();
+    this._setEntry({
+      key,
+      url: reqOptions.url,
+      reqRes: cloneReqRes(reqRes),
+      freshTime: now + cacheOpts.ttl,
+      staleTime: now + cacheOpts.ttl + cacheOpts.staleTime,
+      persist: cacheOpts.persist && !(reqRes.data instanceof ArrayBuffer), //ArrayBuffer无法序列化，不予持久化
+    });
+  }
+
+  /**
+   * 清除缓存
+   * @param {string|RegExp|Function|Array} [urlPattern] url匹配模式，格式参见{@link module:operationKit.matchUrlPattern}，未传时清除全部缓存
+   * @example
+   * cachePlugin.invalidate('/bizA/'); //清除url中包含'/bizA/'的全部缓存
+   * cachePlugin.invalidate(/\/list\?page=\d+/); //清除url符合正则的全部缓存
+   * cachePlugin.invalidate(); //清除全部缓存
+   */
+  invalidate(urlPattern){
+    this._loadStorage();
+
+    for (let [key, entry] of Array.from(this._cacheMap.entries())) {
+      if (urlPattern===undefined || matchUrlPattern(entry.url, urlPattern))
+        this._cacheMap.delete(key);
+    }
+
+    this._saveStorage();
+  }
+
+  /**
+   * 解析请求的缓存参数
+   * @param {Requester~ReqOptions} reqOptions 请求参数
+   * @return {null | CachePlugin~CacheOpts} 规整后的缓存参数，null表示该请求不需要缓存
+   * @protected
+   */
+  _parseCacheOpts(reqOptions){
+    if (!reqOptions.cacheOpts)
+      return null;
+
+    let method = (reqOptions.method || 'GET').toUpperCase();
+    if (!this._cacheableMethods.includes(method))
+      return null;
+
+    let header = {};
+    for (let name in reqOptions.header) {
+      if (this._keyHeaders.includes(name.toLowerCase()))
+        header[name.toLowerCase()] = reqOptions.header[name];
+    }
+
+    const defaultOpts = {
+      key: `${method} ${reqOptions.url} ${JSON.stringify(reqOptions.data || {})} ${JSON.stringify(header)}`,
+      ttl: this._defaultTtl,
+      staleTime: this._defaultStaleTime,
+      persist: this._defaultPersist,
+      forceRefresh: false,
+    };
+
+    return Object.assign({}, defaultOpts, reqOptions.cacheOpts);
+  }
+
+  /**
+   * 在后台刷新缓存
+   * 使用调用方传入的原始请求参数重新发起请求，由各插件重新转换、补充cookie和登录态等，避免重复处理
+   * @param {Requester~ReqOptions} reqOptions 原始请求参数
+   * @param {CachePlugin~CacheOpts} cacheOpts 缓存参数
+   * @protected
+   */
+  async _revalidate({reqOptions, cacheOpts}){
+    if (this._revalidatingKeys.has(cacheOpts.key)) //已在刷新中，无需重复刷新
+      return;
+
+    this._revalidatingKeys.add(cacheOpts.key);
+    try {
+      await this.requester.request({
+        ...reqOptions,
+        signal: null, //后台刷新不受原请求中止操作影响
+        cacheOpts: {
+          ...reqOptions.cacheOpts,
+          key: cacheOpts.key,
+          forceRefresh: true,
+        }
+      });
+    } catch (e) {
+      console.warn('[CachePlugin] failed to revalidate cache, key:', cacheOpts.key, 'res:', e);
+    }
+    this._revalidatingKeys.delete(cacheOpts.key);
+  }
+
+  /**
+   * 读取缓存条目，并标记为最近使用
+   * @param {string} key 缓存key
+   * @return {CachePlugin~CacheEntry|undefined}
+   * @private
+   */
+  _getEntry(key){
+    this._loadStorage();
+
+    let entry = this._cacheMap.get(key);
+    if (!entry)
+      return undefined;
+
+    this._cacheMap.delete(key);
+    this._cacheMap.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * 写入缓存条目，超出数量上限时淘汰最近最少使用的条目
+   * @param {CachePlugin~CacheEntry} entry 缓存条目
+   * @private
+   */
+  _setEntry(entry){
+    this._loadStorage();
+
+    let needSave = entry.persist || (this._cacheMap.get(entry.key) || {}).persist; //是否涉及持久化条目的变更
+    this._cacheMap.delete(entry.key);
+    this._cacheMap.set(entry.key, entry);
+
+    while (this._cacheMap.size > this._maxEntries) {
+      let lruKey = this._cacheMap.keys().next().value;
+      needSave = needSave || this._cacheMap.get(lruKey).persist;
+      this._cacheMap.delete(lruKey);
+    }
+
+    needSave && this._saveStorage();
+  }
+
+  /**
+   * 删除缓存条目
+   * @param {string} key 缓存key
+   * @private
+   */
+  _removeEntry(key){
+    let entry = this._cacheMap.get(key);
+    this._cacheMap.delete(key);
+    entry && entry.persist && this._saveStorage();
+  }
+
+  /**
+   * 从storage中读取持久化缓存（仅首次使用时读取）
+   * @private
+   */
+  _loadStorage(){
+    if (this._isStorageLoaded)
+      return;
+    this._isStorageLoaded = true;
+
+    let entries = [];
+    try {
+      entries = JSON.parse(wx.getStorageSync(this._storageName) || '[]');
+    } catch (e) {
+      console.error('[CachePlugin] failed to load cache from storage:', e);
+    }
+
+    let now = Date.now();
+    for (let entry of entries) {
+      if (now < entry.staleTime && !this._cacheMap.has(entry.key))
+        this._cacheMap.set(entry.key, entry);
+    }
+  }
+
+  /**
+   * 将需要持久化的缓存写入storage
+   * @private
+   */
+  _saveStorage(){
+    let entries = Array.from(this._cacheMap.values()).filter(entry=>entry.persist);
+
+    wx.setStorage({
+      key: this._storageName,
+      data: JSON.stringify(entries),
+    });
+  }
+}
+
+/**
+ * 复制请求结果，避免调用方修改返回数据时影响缓存
+ * deepClone会将ArrayBuffer转为普通对象，故二进制数据（responseType为'arraybuffer'）单独复制
+ * @ignore
+ * @param {Requester~ReqRes} reqRes 请求结果
+ * @return {Requester~ReqRes}
+ */
+function cloneReqRes(reqRes) {
+  let {data, ...rest} = reqRes;
+  let copy = deepClone(rest);
+  copy.data = data instanceof ArrayBuffer ? data.slice(0) : deepClone(data);
+  return copy;
+}
+
+/**
+ * @typedef {object} CachePlugin~CacheOpts 缓存参数，通过请求参数中的保留字段cacheOpts指定
+ * @property {string} [key] 缓存key，默认根据请求方法、url、参数及keyHeaders指定的header字段生成
+ * @property {number} [ttl] 缓存有效期，单位：ms，默认为构造函数中指定的defaultTtl
+ * @property {number} [staleTime] 过期后可继续使用的时长，单位：ms，默认为构造函数中指定的defaultStaleTime
+ * @property {boolean} [persist] 是否持久化到storage，默认为构造函数中指定的defaultPersist
+ * @property {boolean} [forceRefresh=false] 是否强制刷新：true-忽略已有缓存，重新请求并更新缓存
+ */
+
+/**
+ * @typedef {object} CachePlugin~CacheEntry 缓存条目
+ * @property {string} key 缓存key
+ * @property {string} url 请求url
+ * @property {Requester~ReqRes} reqRes 缓存的请求结果
+ * @property {number} freshTime 过期时间，绝对毫秒数
+ * @property {number} staleTime 彻底失效时间，绝对毫秒数
+ * @property {boolean} persist 是否持久化
+ */
+
+/**
+ * @typedef {function} CachePlugin~CacheableChecker 判断请求结果是否可以缓存的函数
+ * @param {Requester~ReqRes} reqRes 请求结果
+ * @param {Requester~ReqOptions} reqOptions 请求参数
+ * @return {boolean} 是否可以缓存
+ * @example
+ * function cacheableChecker(reqRes, reqOptions){
+ *   return reqRes.succeeded && reqRes.statusCode===200 && reqRes.data.respCode===0;
+ * }
+ */
+
+export default CachePlugin;
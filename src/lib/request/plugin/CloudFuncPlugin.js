@@ -1,5 +1,7 @@
 import BasePlugin from './BasePlugin';
 import Cookie from '../../Cookie';
+import RequestError from '../RequestError';
+import {compilePathPattern} from '../../operationKit';
 
 /**
  * 请求管理-云函数插件
@@ -13,12 +15,27 @@ import Cookie from '../../Cookie';
 class CloudFuncPlugin extends BasePlugin{
   _fakeDomain = '';
   _fakeRootPath = '';
+  _typed = false; //是否启用类型保留模式
+  _env = ''; //默认云环境id
+  _routes = []; //路由列表，元素格式参见{@link CloudFuncPlugin~Route}，另附编译后的路径正则
 
   /**
    * 构造函数
    * @param {string} [pluginName='CloudFuncPlugin'] 插件名称
+   * @param {number} [order] 执行顺序，参见{@link BasePlugin#order}
+   * @param {null|string|RegExp|Function|Array} [include] 适用范围，参见{@link BasePlugin#include}
+   * @param {null|string|RegExp|Function|Array} [exclude] 排除范围，参见{@link BasePlugin#exclude}
+   * @param {null|Array<string>} [methods] 适用的请求方法，参见{@link BasePlugin#methods}
    * @param {string} [fakeDomain='cloud.function'] 虚拟域名
    * @param {string} [fakeRootPath='/'] 虚拟根路径
+   * @param {boolean} [typed=false] 是否启用类型保留模式：
+   * 1. 保留data中参数的原始类型（默认模式下会统一转为string），query参数会进行url解码，json格式的字符串请求体会被解析
+   * 2. 支持http和https虚拟域名
+   * 3. 额外传入请求方法reqMethod、请求路径reqPath、路径参数pathParams，便于云函数内部按路径分发，参见{@link CloudRouter}
+   * 4. 云函数执行异常时，返回状态码为500的结果；状态码>=400时，在错误规整阶段转为{@link RequestError}（type为http）
+   * 5. 云函数可以通过保留字段resBody指定返回数据，以便返回数组等非对象数据
+   * @param {string} [env=''] 默认云环境id，空表示使用wx.cloud.init时指定的环境，可在路由中单独指定
+   * @param {Array<CloudFuncPlugin~Route>} [routes=[]] 路由列表，按 请求方法+路径 将请求映射到指定云函数，未命中时以路径作为云函数名
    * @example 使用默认配置
    * let requester = new Requester({
    *   plugins: [
@@ -88,10 +105,46 @@ class CloudFuncPlugin extends BasePlugin{
         return result;
       }
 
+   *
+   * @example 类型保留模式&路由
+   * let requester = new Requester({
+   *   plugins: [
+   *     new CloudFuncPlugin({
+   *       typed: true,
+   *       routes: [
+   *         {method: 'GET', path: 'user/:id', funcName: 'getUser'},
+   *         {method: 'POST', path: 'order', funcName: 'createOrder', env: 'prod-xxx'}, //指定云环境
+   *       ]
+   *     })
+   *   ]
+   * });
+   *
+   * //则调用接口
+   * let res = await requester.request({
+   *   url: 'https://cloud.function/user/12?fields=name%2Cage',
+   *   data: {withTags: true},
+   * });
+   * //等价于调用云函数
+   * let res = await wx.cloud.callFunction({
+   *   name: 'getUser',
+   *   data: {
+   *     id: "12",
+   *     fields: "name,age",
+   *     withTags: true,
+   *     reqMethod: 'GET',
+   *     reqPath: 'user/12',
+   *     pathParams: {id: "12"},
+   *     reqHeader: {},
+   *   }
+   * })
    */
-  constructor({pluginName='CloudFuncPlugin', fakeDomain='cloud.function', fakeRootPath='/'}={}){
+  constructor({pluginName='CloudFuncPlugin', order, include, exclude, methods, fakeDomain='cloud.function', fakeRootPath='/', typed=false, env='', routes=[]}={}){
     super({
-      pluginName
+      pluginName,
+      order,
+      include,
+      exclude,
+      methods,
     });
     
     //参数处理
@@ -102,16 +155,26 @@ class CloudFuncPlugin extends BasePlugin{
     //参数配置
     this._fakeDomain = fakeDomain;
     this._fakeRootPath = fakeRootPath;
+    this._typed = typed;
+    this._env = env;
+    this._routes = routes.map(route=>Object.assign({}, route, {
+      method: route.method ? route.method.toUpperCase() : '',
+      pathRegExp: compilePathPattern(route.path),
+    }));
   }
   
-  async beforeRequestAsync({reqOptions}){
+  async beforeRequestAsync({reqOptions, transport}){
+    //云函数只支持普通请求，上传/下载文件不作处理
+    if (transport !== 'request')
+      return;
+    
     //将http请求解析成云函数调用
-    let {hit, funcName, funcParams} = this._parseReq({reqOptions});
+    let {hit, funcName, funcParams, env} = this._typed ? this._parseTypedReq({reqOptions}) : this._parseReq({reqOptions});
     if (!hit) //不是云函数调用，不作处理
       return;
     
     //调用云函数
-    let cloudRes = await this._execCloudFunc({funcName, funcParams});
+    let cloudRes = await this._execCloudFunc({funcName, funcParams, env});
     
     //将云函数返回结果解析成http请求结果
     let reqRes = this._parseRes({cloudRes});
@@ -123,6 +186,29 @@ class CloudFuncPlugin extends BasePlugin{
     }
   }
 
+  /**
+   * 类型保留模式下，将状态码>=400的结果转为请求错误
+   * @param reqOptions
+   * @param transport
+   * @param reqRes
+   * @param error
+   */
+  normalizeError({reqOptions, transport, reqRes, error}){
+    if (!this._typed || error || transport !== 'request' || !reqRes.succeeded || reqRes.statusCode < 400)
+      return;
+    
+    if (!this._parseTypedReq({reqOptions}).hit)
+      return;
+    
+    let data = reqRes.data || {};
+    return new RequestError({
+      type: RequestError.TYPE.HTTP,
+      code: reqRes.statusCode,
+      message: data.errMsg || `cloud function responded with status ${reqRes.statusCode}`,
+      data: reqRes.data,
+    });
+  }
+
   /**
    * 解析请求，将http请求解析成云函数调用
    * @param {Requester~ReqOptions} reqOptions
@@ -177,18 +263,109 @@ class CloudFuncPlugin extends BasePlugin{
     }
   }
 
+  /**
+   * 解析请求（类型保留模式），将http请求解析成云函数调用
+   * 与{@link CloudFuncPlugin#_parseReq}的区别：保留参数类型、url解码、支持http、支持路由和路径参数
+   * @param {Requester~ReqOptions} reqOptions
+   * @return {{hit: boolean, funcName: string, funcParams: object, env: string}} 解析结果
+   * @protected
+   */
+  _parseTypedReq({reqOptions}){
+    //判断是否云函数调用
+    let prefix = [`https://${this._fakeDomain}${this._fakeRootPath}`, `http://${this._fakeDomain}${this._fakeRootPath}`]
+      .find(prefix=>reqOptions.url.indexOf(prefix) === 0);
+    if (!prefix)
+      return {hit: false};
+    
+    //路径&query解析
+    let [path, queryStr=''] = reqOptions.url.substring(prefix.length).split('#')[0].split('?');
+    let queryObj = parseQuery(queryStr);
+    let method = (reqOptions.method || 'GET').toUpperCase();
+    
+    //路由匹配
+    let {funcName, env, pathParams} = this._matchRoute({path, method});
+    
+    //请求体解析：json格式的字符串请求体解析为对象
+    let body = reqOptions.data;
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body);
+      } catch (e) {
+        body = {body};
+      }
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body))
+      body = body === undefined || body === null ? {} : {body};
+    
+    //header解析
+    let reqHeader = Object.assign({}, reqOptions.header);
+    reqHeader.cookie = Cookie.cookieStrToObj(reqHeader.cookie || '');
+    
+    //参数合并，优先级：请求体 > 路径参数 > query参数
+    let funcParams = Object.assign(queryObj, pathParams, body, {
+      reqMethod: method,
+      reqPath: safeDecode(path),
+      pathParams,
+      reqHeader,
+    });
+    
+    return {
+      hit: true,
+      funcName,
+      funcParams,
+      env,
+    }
+  }
+
+  /**
+   * 路由匹配，未命中时以路径作为云函数名
+   * @param {string} path 虚拟根路径之后的路径（已去除query）
+   * @param {string} method 请求方法
+   * @return {{funcName: string, env: string, pathParams: object}} 匹配结果
+   * @protected
+   */
+  _matchRoute({path, method}){
+    for (let route of this._routes) {
+      if (route.method && route.method !== method)
+        continue;
+      
+      let match = route.pathRegExp.regExp.exec(path.replace(/^\/+/, ''));
+      if (!match)
+        continue;
+      
+      let pathParams = {};
+      route.pathRegExp.keys.forEach((key, index)=>{
+        pathParams[key] = safeDecode(match[index+1]);
+      });
+      
+      return {
+        funcName: route.funcName,
+        env: route.env || this._env,
+        pathParams,
+      }
+    }
+    
+    return {
+      funcName: safeDecode(path),
+      env: this._env,
+      pathParams: {},
+    }
+  }
+
   /**
    * 执行云函数
    * @param {string} funcName 函数名
    * @param {object} funcParams 函数入参
+   * @param {string} [env] 云环境id，空表示使用默认环境
    * @return {{succeeded: boolean, result: object}} 云函数执行结果
    * @protected
    */
-  async _execCloudFunc({funcName, funcParams}){
+  async _execCloudFunc({funcName, funcParams, env}){
     try {
       let cloudRes = await wx.cloud.callFunction({
         name: funcName,
-        data: funcParams
+        data: funcParams,
+        ...(env ? {config: {env}} : {}),
       });
       
       return {
@@ -199,7 +376,9 @@ class CloudFuncPlugin extends BasePlugin{
       console.error('[CloudFuncPlugin] failed to exec cloud func:',funcName, 'err:', e);
       return {
         succeeded: false,
-        errMsg: 'failed to exec cloud func:'+funcName
+        errMsg: 'failed to exec cloud func:'+funcName,
+        errCode: e && e.errCode,
+        detailMsg: e && e.errMsg,
       }
     }
   }
@@ -213,9 +392,22 @@ class CloudFuncPlugin extends BasePlugin{
   _parseRes({cloudRes}){
     //云函数执行失败
     if (!cloudRes.succeeded) {
+      //类型保留模式下，云函数内部执行出错视为服务端异常，返回状态码为500的结果
+      if (this._typed && cloudRes.errCode === FUNCTION_EXECUTE_FAIL) {
+        return {
+          succeeded: true,
+          errMsg: 'ok',
+          data: {errCode: cloudRes.errCode, errMsg: cloudRes.detailMsg || cloudRes.errMsg},
+          statusCode: 500,
+          header: {},
+          cookies: [],
+        }
+      }
+      
       return {
         succeeded: false,
         errMsg: cloudRes.errMsg,
+        ...(this._typed ? {errno: cloudRes.errCode} : {}),
       }
     }
     
@@ -224,6 +416,10 @@ class CloudFuncPlugin extends BasePlugin{
     //解析返回结果
     let result = cloudRes.result;
     
+    //类型保留模式下，云函数可能直接返回非对象结果，此时视为不含保留字段的返回数据
+    if (this._typed && (!result || typeof result !== 'object' || Array.isArray(result)))
+      result = {resBody: result};
+    
     //约定的保留字段，用于进行http相关设置
     let httpFieldMap = { //key: http字段  value：对应的保留字段
       statusCode: 'resStatusCode', //状态码
@@ -250,6 +446,10 @@ class CloudFuncPlugin extends BasePlugin{
     let cookies = Array.isArray(httpField.header['set-cookie']) ? httpField.header['set-cookie'] : [httpField.header['set-cookie']];
     cookies = cookies.filter(setStr=>!!setStr);
       
+    //类型保留模式下，可以通过保留字段resBody指定返回数据（如数组等非对象数据）
+    if (this._typed && 'resBody' in result)
+      result = result.resBody;
+      
     //返回结果
     return {
       succeeded: true,
@@ -262,4 +462,49 @@ class CloudFuncPlugin extends BasePlugin{
   }
 }
 
+//云函数内部执行出错时，wx.cloud.callFunction返回的错误码
+const FUNCTION_EXECUTE_FAIL = -504002;
+
+/**
+ * 解析query字符串，进行url解码
+ * @ignore
+ * @param {string} queryStr query字符串，e.g. 'a=1&b=%E4%BD%A0'
+ * @return {object} 解析结果，值均为string
+ */
+function parseQuery(queryStr) {
+  let queryObj = {};
+  queryStr.split('&').forEach(paramStr=>{
+    if (!paramStr)
+      return;
+    
+    let index = paramStr.indexOf('=');
+    let name = index < 0 ? paramStr : paramStr.substring(0, index);
+    let value = index < 0 ? '' : paramStr.substring(index+1);
+    queryObj[safeDecode(name.replace(/\+/g, ' '))] = safeDecode(value.replace(/\+/g, ' '));
+  });
+  return queryObj;
+}
+
+/**
+ * url解码，格式不正确时返回原字符串
+ * @ignore
+ * @param {string} str 待解码字符串
+ * @return {string}
+ */
+function safeDecode(str) {
+  try {
+    return decodeURIComponent(str);
+  } catch (e) {
+    return str;
+  }
+}
+
+/**
+ * @typedef {object} CloudFuncPlugin~Route 路由配置
+ * @property {string} path 路由路径，相对于虚拟根路径，以冒号开头的片段为路径参数，e.g. 'user/:id'；单独的*匹配任意路径，e.g. 'shop/*'
+ * @property {string} funcName 对应的云函数名
+ * @property {string} [method] 请求方法，空表示匹配所有方法
+ * @property {string} [env] 云环境id，空表示使用构造函数中指定的默认环境
+ */
+
 export default CloudFuncPlugin;
\ No newline at end of file
@@ -16,17 +16,25 @@ class CookiePlugin extends BasePlugin{
   /**
    * 构造函数
    * @param {string} [pluginName='CookiePlugin'] 插件名称，主要用于打印日志和调试，便于追溯操作源
+   * @param {number} [order] 执行顺序，参见{@link BasePlugin#order}
+   * @param {null|string|RegExp|Function|Array} [include] 适用范围，参见{@link BasePlugin#include}
+   * @param {null|string|RegExp|Function|Array} [exclude] 排除范围，参见{@link BasePlugin#exclude}
+   * @param {null|Array<string>} [methods] 适用的请求方法，参见{@link BasePlugin#methods}
    * @param {Cookie} cookie cookie管理器
    */
-  constructor({pluginName, cookie}){
+  constructor({pluginName, order, include, exclude, methods, cookie}){
     super({
       pluginName: pluginName || 'CookiePlugin',
+      order,
+      include,
+      exclude,
+      methods,
     });
     this.cookie = cookie;
   }
 
   /**
-   * 在请求头中注入cookie信息
+   * 在请求头中注入与请求url匹配的cookie信息（域名、路径、https）
    * @param {Requester~ReqOptions} reqOptions
    * @param {Requester} requester
    */
@@ -34,11 +42,11 @@ class CookiePlugin extends BasePlugin{
     if(!reqOptions.header)
       reqOptions.header = {};
     
-    reqOptions.header.cookie = Cookie.mergeCookieStr(this.cookie.getCookie(), reqOptions.header.cookie);
+    reqOptions.header.cookie = Cookie.mergeCookieStr(this.cookie.getCookie({url: reqOptions.url}), reqOptions.header.cookie);
   }
 
   /**
-   * 接收返回结果头部中的cookie信息
+   * 接收返回结果头部中的cookie信息，未指定Domain、Path时，以请求url确定默认的生效范围
    * @param {Requester~ReqOptions} reqOptions
    * @param {Requester~ReqRes} reqRes
    */
@@ -53,7 +61,7 @@ class CookiePlugin extends BasePlugin{
     
     //处理结果头部中的cookie信息
     for (let setStr of reqRes.cookies)
-      this.cookie.setCookie(setStr);
+      this.cookie.setCookie(setStr, {url: reqOptions.url});
   }
 }
 
@@ -0,0 +1,188 @@
+import BasePlugin from './BasePlugin';
+import {deepClone} from '../../operationKit';
+
+/**
+ * 请求管理-并发去重插件
+ * 同一时间发出的多个相同请求（请求方法、url、参数、相关header均相同），只会实际发送一次，并将结果分发给各个调用方，详见{@tutorial 2.3-request}
+ * 思路类似于{@link module:noConcurrent.mergingStep}，区别在于以请求签名而不是函数作为并合依据
+ *
+ * 1. 首个请求（发起方）正常发送，后续相同请求（跟随方）等待发起方结束，并以其最终结果（含登录插件重新登录后的重试结果）作为自身结果
+ * 2. 发起方被中止时，不影响跟随方，跟随方会重新发起请求
+ * 3. 返回结果依赖cookie等调用方个体信息的请求，可以单独关闭去重
+ * 4. 默认按cookie、authorization等header区分用户，这些header由cookie插件、登录插件植入，故需在它们之后注册（或通过order指定），否则不同用户的请求仍可能被合并
+ * @extends BasePlugin
+ */
+class DedupePlugin extends BasePlugin{
+  _dedupeMethods = []; //允许去重的请求方法
+  _signatureHeaders = []; //参与请求签名计算的header字段
+
+  _pendingMap = new Map(); //进行中的请求，key: 请求签名，value: {owner: 发起方的reqOptions, promise: 发起方最终结果, resolve: function}
+  _signatureMap = new WeakMap(); //发起方请求参数与请求签名的对应关系，key: reqOptions，value: 请求签名
+
+  /**
+   * 构造函数
+   * @param {string} [pluginName='DedupePlugin'] 插件名称
+   * @param {number} [order] 执行顺序，参见{@link BasePlugin#order}
+   * @param {null|string|RegExp|Function|Array} [include] 适用范围，参见{@link BasePlugin#include}
+   * @param {null|string|RegExp|Function|Array} [exclude] 排除范围，参见{@link BasePlugin#exclude}
+   * @param {null|Array<string>} [methods] 适用的请求方法，参见{@link BasePlugin#methods}
+   * @param {Array<string>} [dedupeMethods=['GET', 'HEAD']] 允许去重的请求方法
+   * @param {Array<string>} [signatureHeaders=['content-type', 'cookie', 'authorization']] 参与请求签名计算的header字段（不区分大小写），这些字段不同的请求不会被合并，默认包含登录态相关字段，避免不同用户的请求互相复用结果；需在登录插件、cookie插件之后执行，才能取到这些字段
+   * @example
+   * requester.config({
+   *   plugins: [
+   *     loginPlugin,
+   *     cookiePlugin,
+   *     new DedupePlugin(), //在登录插件、cookie插件之后执行
+   *   ]
+   * });
+   *
+   * //页面中多个组件同时调用，只会实际发送一次请求
+   * requester.request({url: 'https://xxx/config'});
+   * requester.request({url: 'https://xxx/config'});
+   *
+   * //返回结果因人而异的接口，单独关闭去重
+   * requester.request({
+   *   url: 'https://xxx/myInfo',
+   *   dedupeOpts: false, //额外定义一个保留字段dedupeOpts，用于指定去重参数；设为false表示关闭去重
+   * });
+   */
+  constructor({pluginName='DedupePlugin', order, include, exclude, methods, dedupeMethods=['GET', 'HEAD'], signatureHeaders=['content-type', 'cookie', 'authorization']}={}){
+    super({
+      pluginName,
+      order,
+      include,
+      exclude,
+      methods,
+    });
+
+    this._dedupeMethods = dedupeMethods.map(method=>method.toUpperCase());
+    this._signatureHeaders = signatureHeaders.map(name=>name.toLowerCase());
+  }
+
+  /**
+   * 在请求发起前检查是否有相同请求正在进行，有则等待并使用其结果
+   * @param {Requester~ReqOptions} reqOptions 请求参数
+   * @return {undefined | Requester~BeforeRequestRes} 期望的后续处理，undefined表示继续执行默认流程
+   */
+  async beforeRequestAsync({reqOptions}){
+    //计算请求签名
+    let signature = this._makeSignature(reqOptions);
+    if (!signature) //不需要去重，不作处理
+      return;
+
+    while (true) {
+      //没有相同请求正在进行，或者是发起方自身的重试，作为发起方正常发送请求
+      let pending = this._pendingMap.get(signature);
+      if (!pending || pending.owner===reqOptions) {
+        !pending && this._addPending({signature, reqOptions});
+        return;
+      }
+
+      //有相同请求正在进行，等待其结果
+      let ownerRes = await this._waitPending({pending, reqOptions});
+
+      //跟随方自身被中止，不再等待，由后续流程处理中止逻辑
+      if (!ownerRes)
+        return;
+
+      //发起方被中止，不影响跟随方，重新检查并发起请求
+      if (ownerRes.aborted)
+        continue;
+
+      //使用发起方的结果作为自身结果
+      return {
+        action: 'feed',
+        feedRes: deepClone(ownerRes),
+      }
+    }
+  }
+
+  /**
+   * 请求流程结束时，将发起方的最终结果分发给各跟随方
+   * @param {Requester~ReqOptions} reqOptions 请求参数
+   * @param {Requester~ReqRes} reqRes 最终请求结果
+   */
+  onRequestEnd({reqOptions, reqRes}){
+    let signature = this._signatureMap.get(reqOptions);
+    if (!signature) //不是发起方，不作处理
+      return;
+
+    let pending = this._pendingMap.get(signature);
+    this._signatureMap.delete(reqOptions);
+    this._pendingMap.delete(signature);
+    pending && pending.resolve(reqRes);
+  }
+
+  /**
+   * 计算请求签名，签名相同的请求视为相同请求
+   * @param {Requester~ReqOptions} reqOptions 请求参数
+   * @return {string} 请求签名，空串表示该请求不需要去重
+   * @protected
+   */
+  _makeSignature(reqOptions){
+    let dedupeOpts = reqOptions.dedupeOpts;
+    if (dedupeOpts === false)
+      return '';
+
+    if (dedupeOpts && dedupeOpts.key)
+      return dedupeOpts.key;
+
+    let method = (reqOptions.method || 'GET').toUpperCase();
+    if (!this._dedupeMethods.includes(method))
+      return '';
+
+    let header = {};
+    for (let name in reqOptions.header) {
+      if (this._signatureHeaders.includes(name.toLowerCase()))
+        header[name.toLowerCase()] = reqOptions.header[name];
+    }
+
+    return JSON.stringify([method, reqOptions.url, reqOptions.data || {}, header]);
+  }
+
+  /**
+   * 登记发起方
+   * @param {string} signature 请求签名
+   * @param {Requester~ReqOptions} reqOptions 发起方请求参数
+   * @private
+   */
+  _addPending({signature, reqOptions}){
+    let resolve = null;
+    let promise = new Promise(res=>{
+      resolve = res;
+    });
+
+    this._pendingMap.set(signature, {
+      owner: reqOptions,
+      promise,
+      resolve,
+    });
+    this._signatureMap.set(reqOptions, signature);
+  }
+
+  /**
+   * 等待发起方结束
+   * @param {object} pending 发起方信息
+   * @param {Requester~ReqOptions} reqOptions 跟随方请求参数
+   * @return {Requester~ReqRes|null} 发起方最终结果，跟随方自身被中止时返回null
+   * @private
+   */
+  async _waitPending({pending, reqOptions}){
+    let signal = reqOptions.signal;
+    if (!signal)
+      return await pending.promise;
+
+    let onAbort = null;
+    let abortPromise = new Promise(resolve=>{
+      onAbort = ()=>resolve(null);
+      signal.onAbort(onAbort);
+    });
+
+    let res = await Promise.race([pending.promise, abortPromise]);
+    signal.offAbort(onAbort);
+    return res;
+  }
+}
+
+export default DedupePlugin;
@@ -11,11 +11,19 @@ class FailRecoverPlugin extends BasePlugin{
   /**
    * 构造函数
    * @param {string} [pluginName='FailRecoverPlugin'] 插件名称，主要用于打印日志和调试，便于追溯操作源
+   * @param {number} [order] 执行顺序，参见{@link BasePlugin#order}
+   * @param {null|string|RegExp|Function|Array} [include] 适用范围，参见{@link BasePlugin#include}
+   * @param {null|string|RegExp|Function|Array} [exclude] 排除范围，参见{@link BasePlugin#exclude}
+   * @param {null|Array<string>} [methods] 适用的请求方法，参见{@link BasePlugin#methods}
    * @param {FailRecoverPlugin~RequestFailRecoverer} requestFailRecoverer 网络异常处理函数
    */
-  constructor({pluginName, requestFailRecoverer}){
+  constructor({pluginName, order, include, exclude, methods, requestFailRecoverer}){
     super({
-      pluginName: pluginName || 'FailRecoverPlugin'
+      pluginName: pluginName || 'FailRecoverPlugin',
+      order,
+      include,
+      exclude,
+      methods,
     });
     this.requestFailRecoverer = requestFailRecoverer;  
   }
@@ -36,6 +44,14 @@ class FailRecoverPlugin extends BasePlugin{
     if (reqRes.succeeded)
       return;
     
+    //请求被调用方主动中止，无需处理
+    if (reqRes.aborted)
+      return;
+
+    //请求已存入离线队列，待网络恢复后自动重新发送，无需处理
+    if (reqRes.queued)
+      return;
+
     //网络异常处理机制
     let overrideRes = await new Promise((resolve, reject)=>{
       this.requestFailRecoverer.call(thisIssuer, {
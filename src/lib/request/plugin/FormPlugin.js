@@ -11,11 +11,19 @@ class FormPlugin extends BasePlugin{
   /**
    * 构造函数
    * @param {string} [pluginName='FormPlugin'] 插件名称
+   * @param {number} [order] 执行顺序，参见{@link BasePlugin#order}
+   * @param {null|string|RegExp|Function|Array} [include] 适用范围，参见{@link BasePlugin#include}
+   * @param {null|string|RegExp|Function|Array} [exclude] 排除范围，参见{@link BasePlugin#exclude}
+   * @param {null|Array<string>} [methods] 适用的请求方法，参见{@link BasePlugin#methods}
    * @param {string} [defaultContentType='application/x-www-form-urlencoded'] 默认表单类型
    */
-  constructor({pluginName, defaultContentType}={}){
+  constructor({pluginName, order, include, exclude, methods, defaultContentType}={}){
     super({
-      pluginName: pluginName || 'FormPlugin'
+      pluginName: pluginName || 'FormPlugin',
+      order,
+      include,
+      exclude,
+      methods,
     });
     this.defaultContentType = defaultContentType || 'application/x-www-form-urlencoded';
   }
@@ -24,9 +32,14 @@ class FormPlugin extends BasePlugin{
    * 在请求发起前植入表单处理逻辑：
    * 1. 将请求头部中的content-type默认值改为构造函数中指定的defaultContentType
    * 2. 将参数中的数组和对象转为json格式，避免被自动转为类似"[object Object]"的无语义字符串
+   * 上传/下载文件时不作处理，以免覆盖底层api自动设置的content-type
    * @param reqOptions
+   * @param transport
    */
-  beforeRequest({reqOptions}){
+  beforeRequest({reqOptions, transport}){
+    if (transport !== 'request')
+      return;
+    
     //设置默认content-type
     reqOptions.header = reqOptions.header || {};
     reqOptions.header['content-type'] = reqOptions.header['content-type'] || this.defaultContentType;
@@ -14,23 +14,49 @@ class InstantPlugin extends BasePlugin{
    * 适用场景：逻辑特别轻巧、逻辑为第三方传入等
    * @param {object} options
    * @param {string} options.pluginName 插件名称，主要用于打印日志和调试，便于追溯操作源
+   * @param {number} [options.order] 执行顺序，详见{@link BasePlugin#order}
+   * @param {null|string|RegExp|Function|Array} [options.include] 适用范围，详见{@link BasePlugin#include}
+   * @param {null|string|RegExp|Function|Array} [options.exclude] 排除范围，详见{@link BasePlugin#exclude}
+   * @param {null|Array<string>} [options.methods] 适用的请求方法，详见{@link BasePlugin#methods}
+   * @param {function} [options.transformRequest] 钩子函数，详见{@link BasePlugin#transformRequest}
+   * @param {function} [options.transformRequestAsync] 钩子函数，详见{@link BasePlugin#transformRequestAsync}
    * @param {function} [options.beforeRequest] 钩子函数，详见{@link BasePlugin#beforeRequest}
    * @param {function} [options.beforeRequestAsync] 钩子函数，详见{@link BasePlugin#beforeRequestAsync}
    * @param {function} [options.afterRequest] 钩子函数，详见{@link BasePlugin#afterRequest}
    * @param {function} [options.afterRequestAsync] 钩子函数，详见{@link BasePlugin#afterRequestAsync}
+   * @param {function} [options.onRequestEnd] 钩子函数，详见{@link BasePlugin#onRequestEnd}
+   * @param {function} [options.normalizeError] 钩子函数，详见{@link BasePlugin#normalizeError}
+   * @param {function} [options.transformResponse] 钩子函数，详见{@link BasePlugin#transformResponse}
+   * @param {function} [options.transformResponseAsync] 钩子函数，详见{@link BasePlugin#transformResponseAsync}
    */
   constructor(options){
     super({
-      pluginName: options.pluginName
+      pluginName: options.pluginName,
+      order: options.order,
+      include: options.include,
+      exclude: options.exclude,
+      methods: options.methods,
     });
     this.hooks = {
+      transformRequest: options.transformRequest,
+      transformRequestAsync: options.transformRequestAsync,
       beforeRequest: options.beforeRequest,
       beforeRequestAsync: options.beforeRequestAsync,
       afterRequest: options.afterRequest,
       afterRequestAsync: options.afterRequestAsync,
+      onRequestEnd: options.onRequestEnd,
+      normalizeError: options.normalizeError,
+      transformResponse: options.transformResponse,
+      transformResponseAsync: options.transformResponseAsync,
     };
   }
 
+  transformRequest(...args){
+    return this.hooks.transformRequest && this.hooks.transformRequest.apply(this, args);
+  }
+  async transformRequestAsync(...args){
+    return this.hooks.transformRequestAsync && this.hooks.transformRequestAsync.apply(this, args);
+  }
   beforeRequest(...args){
     return this.hooks.beforeRequest && this.hooks.beforeRequest.apply(this, args);
   }
@@ -43,6 +69,18 @@ class InstantPlugin extends BasePlugin{
   async afterRequestAsync(...args){
     return this.hooks.afterRequestAsync && this.hooks.afterRequestAsync.apply(this, args);
   }
+  onRequestEnd(...args){
+    return this.hooks.onRequestEnd && this.hooks.onRequestEnd.apply(this, args);
+  }
+  normalizeError(...args){
+    return this.hooks.normalizeError && this.hooks.normalizeError.apply(this, args);
+  }
+  transformResponse(...args){
+    return this.hooks.transformResponse && this.hooks.transformResponse.apply(this, args);
+  }
+  async transformResponseAsync(...args){
+    return this.hooks.transformResponseAsync && this.hooks.transformResponseAsync.apply(this, args);
+  }
 }
 
 export default InstantPlugin;
\ No newline at end of file
@@ -4,6 +4,13 @@ import {makeAssignableMethod} from '../../operationKit';
 /**
  * 请求管理-登录插件
  * 在请求前后植入登录态检查和处理逻辑，详见{@tutorial 2.1-login}
+ *
+ * token模式（tokenMode=true）下，额外提供：
+ * 1. 请求发出前，自动在头部植入access token，默认格式：Authorization: Bearer xxx
+ * 2. access token即将过期时，先刷新再发送请求；多个请求同时发现时，只会发起一次刷新，其余请求等待刷新结果
+ * 3. 后端判定登录态失效时，先尝试刷新token后重试；仅当refresh token被拒绝时，才重新完整登录
+ *
+ * 多账号场景下，请求总是使用发送时的当前账号；若请求返回前已切换账号，后端判定登录态失效时直接使用新账号重试，不会影响新账号的登录态
  * @extends BasePlugin
  */
 class LoginPlugin extends BasePlugin{
@@ -19,34 +26,70 @@ class LoginPlugin extends BasePlugin{
    * @type {LoginPlugin~ApiAuthFailChecker}
    */
   apiAuthFailChecker = null;
+  
+  _tokenMode = false; //是否开启token模式
+  _refreshAhead = 0; //提前多久刷新access token，单位：ms
+  _authHeaderName = ''; //植入access token的头部字段名
+  _usedAuthMap = new WeakMap(); //请求参数与其发送时使用的登录态的对应关系，key: reqOptions，value: {accountId, accessToken}
+  _registeredMethods = []; //注册到requester对象上的便捷方法，卸载时移除，格式：[{methodName, methodFunc}]
 
   /**
    * 构造函数
    * @param {string} [pluginName='LoginPlugin'] 插件名称
+   * @param {number} [order] 执行顺序，参见{@link BasePlugin#order}
+   * @param {null|string|RegExp|Function|Array} [include] 适用范围，参见{@link BasePlugin#include}
+   * @param {null|string|RegExp|Function|Array} [exclude] 排除范围，参见{@link BasePlugin#exclude}
+   * @param {null|Array<string>} [methods] 适用的请求方法，参见{@link BasePlugin#methods}
    * @param {BaseLogin} loginCenter 登录中心
    * @param {LoginPlugin~ApiAuthFailChecker} apiAuthFailChecker 登录态失效校验函数
+   * @param {boolean} [tokenMode=false] 是否开启token模式，开启后鉴权器需在登录结果中返回tokenInfo，并实现refreshToken，参见{@link BaseAuth}
+   * @param {number} [refreshAhead=60000] （token模式）access token剩余有效期不足该值时，先刷新再发送请求，单位：ms
+   * @param {string} [authHeaderName='Authorization'] （token模式）植入access token的头部字段名
+   * @example
+   * //token模式
+   * new LoginPlugin({
+   *   loginCenter,
+   *   apiAuthFailChecker: (resData, reqOptions, reqRes)=>reqRes.statusCode===401,
+   *   tokenMode: true,
+   * });
    */
-  constructor({pluginName, loginCenter, apiAuthFailChecker}){
+  constructor({pluginName, order, include, exclude, methods, loginCenter, apiAuthFailChecker, tokenMode=false, refreshAhead=60*1000, authHeaderName='Authorization'}){
     super({
-      pluginName: pluginName || 'LoginPlugin'
+      pluginName: pluginName || 'LoginPlugin',
+      order,
+      include,
+      exclude,
+      methods,
     });
     this.loginCenter = loginCenter;
     this.apiAuthFailChecker = apiAuthFailChecker;
+    this._tokenMode = tokenMode;
+    this._refreshAhead = refreshAhead;
+    this._authHeaderName = authHeaderName;
   }
 
   mount(...args){
     super.mount(...args);
-    this.requester.registerToThis({
-      methodName: 'requestWithLogin',
-      methodFunc: makeAssignableMethod({
+    for (let methodName of ['requestWithLogin', 'uploadFileWithLogin', 'downloadFileWithLogin']) {
+      let methodFunc = makeAssignableMethod({
         instance: this,
-        method: 'requestWithLogin',
+        method: methodName,
         rcvThis: {
           argIdx: 1,
           argProp: 'thisIssuer'
         }
-      }),
-    });
+      });
+      this.requester.registerToThis({methodName, methodFunc});
+      this._registeredMethods.push({methodName, methodFunc});
+    }
+  }
+
+  unmount(...args){
+    for (let {methodName, methodFunc} of this._registeredMethods)
+      this.requester.unregisterFromThis({methodName, methodFunc});
+    this._registeredMethods = [];
+    
+    super.unmount(...args);
   }
   
   /**
@@ -72,6 +115,35 @@ class LoginPlugin extends BasePlugin{
     reqOptions.needLogin = true;
     return this.requester.request(reqOptions, manageOptions);
   }
+
+  /**
+   * 需要登录态的文件上传，登录态相关逻辑同{@link LoginPlugin#requestWithLogin}
+   * 
+   * 本函数会注册到requester对象上，可以直接通过requester.uploadFileWithLogin()调用
+   * @param {Requester~ReqOptions} reqOptions 上传参数，格式同{@link Requester#uploadFile}
+   * @param {object} [reqOptions.loginOpts] 额外附增字段：登录参数，格式同{@link BaseLogin#login}
+   * @param {Requester~ManageOptions} [manageOptions] 管理参数
+   * @return {*|Requester~ReqRes} 请求结果，格式同{@link Requester#uploadFile}
+   */
+  async uploadFileWithLogin(reqOptions, manageOptions={}){
+    reqOptions.needLogin = true;
+    return this.requester.uploadFile(reqOptions, manageOptions);
+  }
+
+  /**
+   * 需要登录态的文件下载，请求发出前确保已登录
+   * 下载结果为文件而不是接口数据，无法判断后端登录态是否失效，因而不会自动重新登录重试
+   * 
+   * 本函数会注册到requester对象上，可以直接通过requester.downloadFileWithLogin()调用
+   * @param {Requester~ReqOptions} reqOptions 下载参数，格式同{@link Requester#downloadFile}
+   * @param {object} [reqOptions.loginOpts] 额外附增字段：登录参数，格式同{@link BaseLogin#login}
+   * @param {Requester~ManageOptions} [manageOptions] 管理参数
+   * @return {*|Requester~ReqRes} 请求结果，格式同{@link Requester#downloadFile}
+   */
+  async downloadFileWithLogin(reqOptions, manageOptions={}){
+    reqOptions.needLogin = true;
+    return this.requester.downloadFile(reqOptions, manageOptions);
+  }
   
   async beforeRequestAsync({reqOptions, thisIssuer}){
     //检查是否需要登录态
@@ -80,27 +152,53 @@ class LoginPlugin extends BasePlugin{
 
     //获取登录态
     let loginRes = await this.loginCenter.login(reqOptions.loginOpts, {thisIssuer});
+    
+    //token模式，确保access token有效，并植入头部
+    if (this._tokenMode && loginRes.code===0)
+      loginRes = await this._prepareToken({reqOptions, thisIssuer});
+    
+    //记录发送时使用的账号和access token
+    if (loginRes.code===0) {
+      let tokenInfo = this.loginCenter.tokenInfo;
+      this._usedAuthMap.set(reqOptions, {
+        accountId: this.loginCenter.activeAccountId,
+        accessToken: tokenInfo && tokenInfo.accessToken,
+      });
+    }
 
     //判断是否需要取消接口调用
     return (loginRes.code===0 || loginRes.code===-200) ? {action: 'continue'} : {action: 'cancel', errMsg: '登录失败'};
   }
 
-  async afterRequestAsync({reqOptions, reqRes, thisIssuer}){
+  async afterRequestAsync({reqOptions, reqRes, transport, thisIssuer}){
     //检查是否需要登录态
     if (!reqOptions.needLogin)
       return;
     
+    //下载结果为文件，无法判断后端登录态，不作处理
+    if (transport === 'downloadFile')
+      return;
+    
     //网络异常，不作处理
     if (!reqRes.succeeded)
       return;
     
     //判断后端登录态是否失效
-    let isAuthFail = this.apiAuthFailChecker(reqRes.data, reqOptions);
+    let isAuthFail = this.apiAuthFailChecker(reqRes.data, reqOptions, reqRes);
     
     //未失效，正常返回请求结果
     if (!isAuthFail)
       return;
     
+    //发送期间已切换账号，失效的是旧账号的登录态，直接使用当前账号重试
+    let usedAuth = this._usedAuthMap.get(reqOptions);
+    if (usedAuth && usedAuth.accountId !== this.loginCenter.activeAccountId)
+      return {action: 'retry'};
+    
+    //token模式，优先通过刷新token恢复登录态
+    if (this._tokenMode && this.loginCenter.tokenInfo)
+      return this._recoverByToken({reqOptions});
+    
     //已失效，清除前端登录态
     this.loginCenter.clearLogin();
     
@@ -109,12 +207,66 @@ class LoginPlugin extends BasePlugin{
       action: 'retry',
     }
   }
+  
+  /**
+   * （token模式）请求发出前，确保access token有效，并植入头部
+   * @param {Requester~ReqOptions} reqOptions 请求参数
+   * @param {Object} thisIssuer 发起请求的组件的this对象
+   * @return {BaseLogin~LoginRes} 登录结果
+   * @private
+   */
+  async _prepareToken({reqOptions, thisIssuer}){
+    let tokenInfo = this.loginCenter.tokenInfo;
+    
+    //access token即将过期，先刷新
+    if (tokenInfo && tokenInfo.accessExpireTime>0 && Date.now()+this._refreshAhead>=tokenInfo.accessExpireTime) {
+      let refreshRes = await this.loginCenter.refreshToken();
+      if (refreshRes.code === -100) { //refresh token被拒绝，重新完整登录
+        let loginRes = await this.loginCenter.login(reqOptions.loginOpts, {thisIssuer});
+        if (loginRes.code !== 0)
+          return loginRes;
+      }
+      tokenInfo = this.loginCenter.tokenInfo;
+    }
+    
+    //植入头部
+    if (tokenInfo) {
+      if (!reqOptions.header)
+        reqOptions.header = {};
+      reqOptions.header[this._authHeaderName] = `${tokenInfo.tokenType || 'Bearer'} ${tokenInfo.accessToken}`;
+    }
+    
+    return {code: 0, errMsg: 'ok'};
+  }
+  
+  /**
+   * （token模式）后端判定登录态失效时，尝试通过刷新token恢复登录态
+   * @param {Requester~ReqOptions} reqOptions 请求参数
+   * @return {Requester~AfterRequestRes|undefined} 处理结果
+   * @private
+   */
+  async _recoverByToken({reqOptions}){
+    //发送期间token已被其它请求刷新，直接使用新token重试
+    let usedAuth = this._usedAuthMap.get(reqOptions) || {};
+    if (usedAuth.accessToken !== this.loginCenter.tokenInfo.accessToken)
+      return {action: 'retry'};
+    
+    let refreshRes = await this.loginCenter.refreshToken();
+    
+    //刷新成功，使用新token重试；refresh token被拒绝，此时前端登录态已清除，重试时会重新完整登录
+    if (refreshRes.code===0 || refreshRes.code===-100)
+      return {action: 'retry'};
+    
+    //其它原因刷新失败（如网络异常），不作处理
+    return;
+  }
 }
 
 /**
  * @typedef {function} LoginPlugin~ApiAuthFailChecker 登录态失效校验函数，根据接口返回内容判断后端登录态是否失效
  * @param {*} resData 后端接口返回内容
  * @param {Requester~ReqOptions} reqOptions 请求参数
+ * @param {Requester~ReqRes} reqRes 请求结果，可用于根据状态码判断，如token模式下后端返回401
  * @return {boolean} 后端登录态是否失效
  * @example
  * function apiAuthFailChecker(resData, reqOptions){
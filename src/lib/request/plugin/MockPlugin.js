@@ -0,0 +1,323 @@
+import BasePlugin from './BasePlugin';
+import {deepClone, deepEqual, delay, matchUrlPattern} from '../../operationKit';
+
+/**
+ * 请求管理-mock插件
+ * 根据路由表或录制的接口数据返回指定内容，而不实际发送网络请求，便于离线开发和自动化测试，详见{@tutorial 2.3-request}
+ *
+ * 1. 路由表：按 请求方法+url模式+参数匹配 返回指定结果，支持模拟延迟、状态码、header、Set-Cookie、网络异常
+ * 2. 录制&回放：录制真实接口返回结果，导出为json，后续加载后按原样回放
+ * 3. 未命中的请求，可以选择继续正常发送，或按网络异常处理
+ * @extends BasePlugin
+ */
+class MockPlugin extends BasePlugin{
+  _enabled = true; //是否启用
+  _routes = []; //路由表
+  _fixtures = []; //录制数据
+  _passThrough = true; //未命中的请求是否继续正常发送
+  _record = false; //是否录制真实接口返回结果
+  _onRecord = null; //录制到新数据时的回调函数
+  _defaultLatency = 0; //默认延迟
+
+  _fedResSet = new WeakSet(); //由本插件返回的结果，不予录制
+
+  /**
+   * 构造函数
+   * @param {string} [pluginName='MockPlugin'] 插件名称
+   * @param {number} [order] 执行顺序，参见{@link BasePlugin#order}
+   * @param {null|string|RegExp|Function|Array} [include] 适用范围，参见{@link BasePlugin#include}
+   * @param {null|string|RegExp|Function|Array} [exclude] 排除范围，参见{@link BasePlugin#exclude}
+   * @param {null|Array<string>} [methods] 适用的请求方法，参见{@link BasePlugin#methods}
+   * @param {boolean} [enabled=true] 是否启用，便于根据环境开关
+   * @param {Array<MockPlugin~Route>} [routes=[]] 路由表，按顺序匹配，先匹配的优先
+   * @param {Array<MockPlugin~Fixture>|string} [fixtures=[]] 录制数据，可以直接传入{@link MockPlugin#exportFixtures}导出的json，路由表均未命中时使用
+   * @param {boolean} [passThrough=true] 未命中的请求是否继续正常发送：true-正常发送 | false-按网络异常处理（完全离线时使用）
+   * @param {boolean} [record=false] 是否录制真实接口返回结果
+   * @param {function} [onRecord] 录制到新数据时的回调函数，参数：{@link MockPlugin~Fixture}，可用于实时保存
+   * @param {number|Array<number>} [defaultLatency=0] 默认模拟延迟，单位：ms，传入数组[min, max]时在该范围内随机取值
+   * @example
+   * new MockPlugin({
+   *   routes: [
+   *     { //固定返回内容
+   *       method: 'GET',
+   *       url: '/api/user/info',
+   *       response: {
+   *         data: {respCode: 0, respData: {nickName: 'fancy'}},
+   *         cookies: ['uid=123; path=/'], //模拟服务端Set-Cookie
+   *       },
+   *       latency: [100, 300], //模拟网络延迟
+   *     },
+   *     { //根据参数返回不同内容
+   *       url: /\/api\/list/,
+   *       data: {page: 1}, //只匹配参数page为1的请求
+   *       response: reqOptions=>({data: {respCode: 0, respData: []}}),
+   *     },
+   *     { //模拟状态码
+   *       url: '/api/admin',
+   *       response: {statusCode: 403, data: 'forbidden'},
+   *     },
+   *     { //模拟网络异常
+   *       url: '/api/broken',
+   *       response: {fail: 'timeout'},
+   *     },
+   *   ]
+   * });
+   */
+  constructor({
+    pluginName='MockPlugin',
+    order,
+    include,
+    exclude,
+    methods,
+    enabled=true,
+    routes=[],
+    fixtures=[],
+    passThrough=true,
+    record=false,
+    onRecord=null,
+    defaultLatency=0,
+  }={}){
+    super({
+      pluginName,
+      order,
+      include,
+      exclude,
+      methods,
+    });
+
+    this._enabled = enabled;
+    this._routes = routes;
+    this._passThrough = passThrough;
+    this._record = record;
+    this._onRecord = onRecord;
+    this._defaultLatency = defaultLatency;
+    this.loadFixtures(fixtures);
+  }
+
+  /**
+   * 在请求发起前查找匹配的路由/录制数据，命中时返回指定内容
+   * @param {Requester~ReqOptions} reqOptions 请求参数
+   * @return {undefined | Requester~BeforeRequestRes} 期望的后续处理，undefined表示继续执行默认流程
+   */
+  async beforeRequestAsync({reqOptions}){
+    if (!this._enabled)
+      return;
+
+    //查找匹配的路由，其次查找匹配的录制数据
+    let route = this._routes.find(route=>this._matchRoute(route, reqOptions));
+    let fixture = route ? null : this._fixtures.find(fixture=>this._matchFixture(fixture, reqOptions));
+
+    //均未命中
+    if (!route && !fixture) {
+      return this._passThrough ? undefined : {
+        action: 'feed',
+        feedRes: this._makeReqRes({fail: 'no mock matched'}),
+      };
+    }
+
+    //生成返回结果
+    let mockRes = route ?
+      (typeof route.response === "function" ? await route.response(reqOptions) : route.response) :
+      fixture.response;
+    mockRes = deepClone(mockRes || {});
+
+    //模拟延迟
+    let latency = [mockRes.latency, route && route.latency, this._defaultLatency].find(item=>item!==undefined);
+    let waitMs = Array.isArray(latency) ? latency[0] + Math.random()*(latency[1]-latency[0]) : latency;
+    waitMs>0 && await delay(waitMs);
+
+    //等待期间请求被中止，由后续流程处理中止逻辑
+    if (reqOptions.signal && reqOptions.signal.aborted)
+      return;
+
+    let feedRes = this._makeReqRes(mockRes);
+    this._fedResSet.add(feedRes);
+    return {
+      action: 'feed',
+      feedRes,
+    }
+  }
+
+  /**
+   * 在请求返回后录制真实接口返回结果
+   * @param {Requester~ReqOptions} reqOptions 请求参数
+   * @param {Requester~ReqRes} reqRes 请求结果
+   */
+  afterRequest({reqOptions, reqRes}){
+    if (!this._record || !reqRes.succeeded || this._fedResSet.has(reqRes))
+      return;
+
+    let fixture = {
+      method: (reqOptions.method || 'GET').toUpperCase(),
+      url: reqOptions.url,
+      data: reqOptions.data===undefined ? null : deepClone(reqOptions.data),
+      response: {
+        statusCode: reqRes.statusCode,
+        data: deepClone(reqRes.data),
+        header: deepClone(reqRes.header || {}),
+        cookies: deepClone(reqRes.cookies || []),
+      }
+    };
+
+    //同一请求只保留最新结果
+    this._fixtures = this._fixtures.filter(item=>!this._isSameRequest(item, fixture));
+    this._fixtures.push(fixture);
+    this._onRecord && this._onRecord(deepClone(fixture));
+  }
+
+  /**
+   * 加载录制数据，与已有录制数据合并，同一请求以新加载的为准
+   * @param {Array<MockPlugin~Fixture>|string} fixtures 录制数据，或{@link MockPlugin#exportFixtures}导出的json
+   */
+  loadFixtures(fixtures){
+    if (typeof fixtures === "string")
+      fixtures = JSON.parse(fixtures || '[]');
+
+    if (!Array.isArray(fixtures)) {
+      console.error('[MockPlugin] loadFixtures, bad param, fixtures shall be an array or json of array, got:', fixtures);
+      return;
+    }
+
+    for (let fixture of fixtures) {
+      fixture = Object.assign({}, fixture, {method: (fixture.method || 'GET').toUpperCase()});
+      this._fixtures = this._fixtures.filter(item=>!this._isSameRequest(item, fixture));
+      this._fixtures.push(fixture);
+    }
+  }
+
+  /**
+   * 导出录制数据
+   * @return {string} json格式的录制数据，可保存为文件，后续通过构造函数的fixtures参数或{@link MockPlugin#loadFixtures}加载回放
+   */
+  exportFixtures(){
+    return JSON.stringify(this._fixtures, null, 2);
+  }
+
+  /**
+   * 启用/停用
+   * @param {boolean} enabled 是否启用
+   */
+  setEnabled(enabled){
+    this._enabled = enabled;
+  }
+
+  /**
+   * 判断请求是否匹配路由
+   * @param {MockPlugin~Route} route 路由
+   * @param {Requester~ReqOptions} reqOptions 请求参数
+   * @return {boolean}
+   * @protected
+   */
+  _matchRoute(route, reqOptions){
+    let method = (reqOptions.method || 'GET').toUpperCase();
+    if (route.method && route.method!=='*' && route.method.toUpperCase()!==method)
+      return false;
+
+    if (!matchUrlPattern(reqOptions.url, route.url))
+      return false;
+
+    if (route.data === undefined)
+      return true;
+
+    if (typeof route.data === "function")
+      return !!route.data(reqOptions.data, reqOptions);
+
+    //参数匹配：路由中指定的各字段均与请求参数一致
+    let reqData = reqOptions.data || {};
+    if (typeof reqData === "string") {
+      try {
+        reqData = JSON.parse(reqData);
+      } catch (e) {
+        return false;
+      }
+    }
+    return Object.keys(route.data).every(key=>deepEqual(route.data[key], reqData[key]));
+  }
+
+  /**
+   * 判断请求是否匹配录制数据
+   * @param {MockPlugin~Fixture} fixture 录制数据
+   * @param {Requester~ReqOptions} reqOptions 请求参数
+   * @return {boolean}
+   * @protected
+   */
+  _matchFixture(fixture, reqOptions){
+    return this._isSameRequest(fixture, {
+      method: (reqOptions.method || 'GET').toUpperCase(),
+      url: reqOptions.url,
+      data: reqOptions.data===undefined ? null : reqOptions.data,
+    });
+  }
+
+  /**
+   * 判断两条录制数据是否对应同一请求
+   * @param {MockPlugin~Fixture} fixtureA
+   * @param {MockPlugin~Fixture} fixtureB
+   * @return {boolean}
+   * @private
+   */
+  _isSameRequest(fixtureA, fixtureB){
+    return fixtureA.method===fixtureB.method && fixtureA.url===fixtureB.url && deepEqual(fixtureA.data, fixtureB.data);
+  }
+
+  /**
+   * 将模拟结果转为请求结果
+   * @param {MockPlugin~MockResponse} mockRes 模拟结果
+   * @return {Requester~ReqRes}
+   * @private
+   */
+  _makeReqRes(mockRes){
+    //模拟网络异常
+    if (mockRes.fail) {
+      return {
+        succeeded: false,
+        errMsg: `request:fail ${mockRes.fail===true ? 'mock' : mockRes.fail}`,
+      };
+    }
+
+    //模拟正常返回
+    let header = Object.assign({}, mockRes.header);
+    let cookies = mockRes.cookies || [];
+    if (cookies.length)
+      header['Set-Cookie'] = cookies.join(',');
+
+    return {
+      succeeded: true,
+      errMsg: 'request:ok',
+      data: mockRes.data===undefined ? '' : mockRes.data,
+      statusCode: mockRes.statusCode || 200,
+      header,
+      cookies, //返回头部中有'Set-Cookie'时，wx.request会额外返回一个cookies字段，此处予以相同处理
+      mocked: true, //插件补充字段，标记结果来自mock
+    };
+  }
+}
+
+/**
+ * @typedef {object} MockPlugin~Route mock路由
+ * @property {string} [method='*'] 请求方法，'*'表示不限
+ * @property {string|RegExp|Function|Array} url url匹配模式，格式参见{@link module:operationKit.matchUrlPattern}
+ * @property {object|function} [data] 参数匹配：object-指定的各字段均与请求参数一致时匹配 | function-参数：(reqData, reqOptions)，返回true时匹配
+ * @property {MockPlugin~MockResponse|function} response 返回结果，或根据请求参数生成返回结果的函数（可以为async函数）
+ * @property {number|Array<number>} [latency] 模拟延迟，单位：ms，传入数组[min, max]时在该范围内随机取值
+ */
+
+/**
+ * @typedef {object} MockPlugin~MockResponse mock返回结果
+ * @property {*} [data] 返回数据
+ * @property {number} [statusCode=200] http状态码
+ * @property {object} [header] 返回头部
+ * @property {Array<string>} [cookies] Set-Cookie指令列表，e.g. ['uid=123; path=/']
+ * @property {boolean|string} [fail] 模拟网络异常：true或错误信息
+ * @property {number|Array<number>} [latency] 模拟延迟，优先于路由中的设置
+ */
+
+/**
+ * @typedef {object} MockPlugin~Fixture 录制数据
+ * @property {string} method 请求方法
+ * @property {string} url 请求url
+ * @property {*} data 请求参数
+ * @property {MockPlugin~MockResponse} response 返回结果
+ */
+
+export default MockPlugin;
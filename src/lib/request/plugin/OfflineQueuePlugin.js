@@ -0,0 +1,462 @@
+import BasePlugin from './BasePlugin';
+import EventHub from '../../EventHub';
+
+/**
+ * 请求管理-离线队列插件
+ * 对可延后发送的请求（如发表评论、收藏等），网络异常时先存入离线队列，待网络恢复后再按顺序重新发送，详见{@tutorial 2.3-request}
+ *
+ * 特性：
+ * 1. 仅对携带了offlineOpts字段的请求生效，由调用方按需开启
+ * 2. 离线队列持久化到storage，小程序重启后仍会继续发送
+ * 3. 网络恢复（wx.onNetworkStatusChange）或小程序启动时，按加入顺序依次重新发送
+ * 4. 按幂等key去重：同一key的请求只保留最新的一条；同一key的请求正常发送成功后，队列中的对应请求会被移除
+ * 5. 最终发送成功或彻底失败时，通过offlineOpts.onSettle回调和事件监听通知调用方
+ *
+ * 请求被存入离线队列时，会以失败结果返回，并携带queued字段，调用方可据此提示“网络恢复后将自动提交”
+ * @extends BasePlugin
+ */
+class OfflineQueuePlugin extends BasePlugin{
+  _storageName = ''; //离线队列持久化到storage时使用的key
+  _maxQueueSize = 0; //队列长度上限
+  _defaultTtl = 0; //默认有效期，单位：ms
+  _defaultMaxAttempts = 0; //默认最多重新发送次数
+
+  _queue = []; //离线队列，元素格式参见{@link OfflineQueuePlugin~QueueEntry}
+  _isStorageLoaded = false; //是否已从storage中读取离线队列
+  _sensitiveHeaders = []; //不随请求持久化的头部字段（小写）
+  _settleHandlers = new Map(); //调用方回调，key: 幂等key，value: Array<function>，仅在本次运行期间有效
+  _isReplaying = false; //是否正在重新发送
+  _needReplayAgain = false; //重新发送期间是否又收到了重新发送要求
+  _onNetworkChange = null; //网络状态变化监听函数
+  _events = null; //事件中心
+
+  /**
+   * 构造函数
+   * @param {string} [pluginName='OfflineQueuePlugin'] 插件名称
+   * @param {number} [order] 执行顺序，参见{@link BasePlugin#order}
+   * @param {null|string|RegExp|Function|Array} [include] 适用范围，参见{@link BasePlugin#include}
+   * @param {null|string|RegExp|Function|Array} [exclude] 排除范围，参见{@link BasePlugin#exclude}
+   * @param {null|Array<string>} [methods] 适用的请求方法，参见{@link BasePlugin#methods}
+   * @param {string} [storageName='__requestOfflineQueue'] 离线队列持久化到storage时使用的key
+   * @param {number} [maxQueueSize=50] 队列长度上限，超出时丢弃最早加入的请求（按彻底失败处理）
+   * @param {number} [defaultTtl=86400000] 默认有效期，单位：ms，超出后不再发送（按彻底失败处理），可在请求的offlineOpts中单独指定
+   * @param {number} [defaultMaxAttempts=5] 默认最多重新发送次数，超出后不再发送（按彻底失败处理），可在请求的offlineOpts中单独指定
+   * @param {Array<string>} [sensitiveHeaders=['cookie', 'authorization']] 不随请求持久化的头部字段（不区分大小写），重新发送时由cookie、登录等插件重新生成
+   * @example
+   * let offlineQueuePlugin = new OfflineQueuePlugin();
+   *
+   * requester.config({
+   *   plugins: [
+   *     offlineQueuePlugin,
+   *   ]
+   * });
+   *
+   * //发表评论，网络异常时存入离线队列
+   * requester.request({
+   *   url: 'https://xxx/comment/add',
+   *   method: 'POST',
+   *   data: {postId: 1, content: 'xxx'},
+   *   offlineOpts: { //额外定义一个保留字段offlineOpts，用于指定离线队列参数
+   *     key: 'comment-1-xxx', //幂等key
+   *     meta: {postId: 1}, //附加信息，会随请求一起持久化，便于在事件监听中识别
+   *     onSettle({succeeded, reqRes}){ //最终结果回调（仅在本次运行期间有效）
+   *       console.log('评论', succeeded ? '已提交' : '提交失败');
+   *     },
+   *   }
+   * }).catch(res=>{
+   *   if (res.queued)
+   *     wx.showToast({title: '网络恢复后将自动提交', icon: 'none'});
+   * });
+   *
+   * //监听最终结果（小程序重启后继续发送的请求也会通知）
+   * offlineQueuePlugin.subscribe({
+   *   eventType: 'success',
+   *   handler({key, meta, reqRes}){}
+   * });
+   */
+  constructor({
+    pluginName='OfflineQueuePlugin',
+    order,
+    include,
+    exclude,
+    methods,
+    storageName='__requestOfflineQueue',
+    maxQueueSize=50,
+    defaultTtl=24*60*60*1000,
+    defaultMaxAttempts=5,
+    sensitiveHeaders=['cookie', 'authorization'],
+  }={}){
+    super({
+      pluginName,
+      order,
+      include,
+      exclude,
+      methods,
+    });
+
+    this._storageName = storageName;
+    this._maxQueueSize = maxQueueSize;
+    this._defaultTtl = defaultTtl;
+    this._defaultMaxAttempts = defaultMaxAttempts;
+    this._sensitiveHeaders = sensitiveHeaders.map(name=>name.toLowerCase());
+
+    this._events = new EventHub({
+      validEvents: [
+        'queue', //请求存入离线队列
+        'success', //离线请求最终发送成功
+        'fail', //离线请求彻底失败
+      ]
+    });
+  }
+
+  mount(...args){
+    super.mount(...args);
+
+    //网络恢复时重新发送
+    if (typeof wx !== 'undefined' && wx.onNetworkStatusChange) {
+      this._onNetworkChange = (res)=>{
+        res.isConnected && this.replay();
+      };
+      wx.onNetworkStatusChange(this._onNetworkChange);
+    }
+
+    //小程序启动时，继续发送之前未完成的请求
+    setTimeout(()=>{
+      this._loadStorage();
+      this._queue.length && this.replay();
+    }, 0);
+  }
+
+  unmount(...args){
+    if (this._onNetworkChange && wx.offNetworkStatusChange)
+      wx.offNetworkStatusChange(this._onNetworkChange);
+    this._onNetworkChange = null;
+
+    super.unmount(...args);
+  }
+
+  /**
+   * 请求返回后：网络异常时存入离线队列；正常返回时移除队列中同一幂等key的请求
+   * @param {Requester~ReqOptions} reqOptions 请求参数
+   * @param {Requester~ReqRes} reqRes 请求结果
+   * @param {Requester~ReqOptions} originalOptions 调用方传入的原始请求参数，存入队列的是该参数，重新发送时会再次经过各插件的完整流程
+   * @return {undefined | Requester~AfterRequestRes} 期望的后续处理，undefined表示继续执行默认流程
+   */
+  afterRequest({reqOptions, transport, reqRes, originalOptions}){
+    let offlineOpts = reqOptions.offlineOpts;
+    if (transport !== 'request' || !offlineOpts)
+      return;
+
+    this._loadStorage();
+
+    let snapshot = makeSnapshot({reqOptions: originalOptions || reqOptions, sensitiveHeaders: this._sensitiveHeaders});
+    let key = offlineOpts.key || makeKey(snapshot);
+
+    //正常返回，队列中同一幂等key的请求无需再发送
+    if (reqRes.succeeded) {
+      let entry = this._queue.find(entry=>entry.key===key);
+      entry && this._settle({entry, succeeded: true, reqRes});
+      return;
+    }
+
+    //调用方主动中止或插件取消，无需处理
+    if (reqRes.aborted || reqRes.cancelled)
+      return;
+
+    //网络异常，存入离线队列
+    this._addEntry({
+      key,
+      reqOptions: snapshot,
+      meta: offlineOpts.meta === undefined ? null : offlineOpts.meta,
+      createTime: Date.now(),
+      expireTime: Date.now() + (offlineOpts.ttl || this._defaultTtl),
+      maxAttempts: offlineOpts.maxAttempts || this._defaultMaxAttempts,
+      attempts: 0,
+    });
+
+    if (typeof offlineOpts.onSettle === 'function') {
+      let handlers = this._settleHandlers.get(key) || [];
+      handlers.push(offlineOpts.onSettle);
+      this._settleHandlers.set(key, handlers);
+    }
+
+    return {
+      action: 'override',
+      overrideRes: Object.assign({}, reqRes, {
+        queued: true, //插件补充字段，标记请求已存入离线队列
+        offlineKey: key, //插件补充字段，对应的幂等key
+      }),
+    }
+  }
+
+  /**
+   * 按顺序重新发送离线队列中的请求
+   * 遇到网络异常时停止，待下次网络恢复时继续，以保证发送顺序
+   * @return {Promise<void>}
+   */
+  async replay(){
+    this._loadStorage();
+
+    if (this._isReplaying) {
+      this._needReplayAgain = true;
+      return;
+    }
+    if (!this.requester)
+      return;
+
+    this._isReplaying = true;
+    try {
+      while (this._queue.length) {
+        let entry = this._queue[0];
+
+        //已过期或超出发送次数，按彻底失败处理
+        if (Date.now() >= entry.expireTime || entry.attempts >= entry.maxAttempts) {
+          this._settle({
+            entry,
+            succeeded: false,
+            reqRes: {succeeded: false, errMsg: Date.now() >= entry.expireTime ? 'request:fail expired' : 'request:fail too many attempts'},
+          });
+          continue;
+        }
+
+        entry.attempts++;
+        this._saveStorage();
+
+        let reqRes = await this._send({entry});
+
+        //请求已被移除（如发送期间同一幂等key的请求已正常发送成功）
+        if (!this._queue.includes(entry))
+          continue;
+
+        //网络仍然异常，停止发送，等待下次网络恢复
+        if (!reqRes.succeeded && !reqRes.aborted && !reqRes.cancelled)
+          break;
+
+        //正常返回或被拒绝（如业务错误），均视为最终结果
+        this._settle({entry, succeeded: reqRes.succeeded && !reqRes.error, reqRes});
+      }
+    } catch (e) {
+      console.error('[OfflineQueuePlugin] replay failed:', e);
+    }
+    this._isReplaying = false;
+
+    if (this._needReplayAgain) {
+      this._needReplayAgain = false;
+      this.replay();
+    }
+  }
+
+  /**
+   * 获取离线队列中的请求
+   * @return {Array<OfflineQueuePlugin~QueueEntry>}
+   */
+  getQueue(){
+    this._loadStorage();
+    return this._queue.map(entry=>Object.assign({}, entry));
+  }
+
+  /**
+   * 清空离线队列，被清除的请求不会触发结果通知
+   */
+  clear(){
+    this._queue = [];
+    this._settleHandlers.clear();
+    this._saveStorage();
+  }
+
+  /**
+   * 监听事件，用法同{@link EventHub#subscribe}
+   * 事件列表：
+   * queue - 请求存入离线队列 | success - 离线请求最终发送成功 | fail - 离线请求彻底失败
+   * 事件数据格式参见{@link OfflineQueuePlugin~EventData}
+   * @param {string} eventType 事件名称
+   * @param {function} handler 处理函数
+   * @param {string} [persistType='always'] 持续策略：once-触发一次后自动移除监听 | always-每次都触发
+   */
+  subscribe({eventType, handler, persistType='always'}){
+    this._events.subscribe({eventType, handler, persistType});
+  }
+
+  /**
+   * 取消监听，用法同{@link EventHub#unsubscribe}
+   * @param {string} eventType 事件名称
+   * @param {function} handler 处理函数
+   */
+  unsubscribe({eventType, handler}){
+    this._events.unsubscribe({eventType, handler});
+  }
+
+  /**
+   * 重新发送单个请求，跳过本插件，避免再次存入队列
+   * @param {OfflineQueuePlugin~QueueEntry} entry 队列条目
+   * @return {Promise<Requester~ReqRes>} 请求结果
+   * @private
+   */
+  _send({entry}){
+    return new Promise(resolve=>{
+      this.requester.request(Object.assign({}, entry.reqOptions, {
+        success: resolve,
+        fail: resolve,
+      }), {
+        skipPlugins: [this],
+      }).catch(()=>{}); //结果已通过回调获取
+    });
+  }
+
+  /**
+   * 存入离线队列，同一幂等key的请求只保留最新的一条
+   * @param {OfflineQueuePlugin~QueueEntry} entry 队列条目
+   * @private
+   */
+  _addEntry(entry){
+    let index = this._queue.findIndex(item=>item.key===entry.key);
+    if (index >= 0)
+      this._queue.splice(index, 1, entry); //保留原有顺序
+    else
+      this._queue.push(entry);
+
+    this._events.notify({eventType: 'queue', data: {key: entry.key, meta: entry.meta, reqOptions: entry.reqOptions}});
+
+    //超出上限时，丢弃最早加入的请求
+    while (this._queue.length > this._maxQueueSize) {
+      this._settle({
+        entry: this._queue[0],
+        succeeded: false,
+        reqRes: {succeeded: false, errMsg: 'request:fail queue overflow'},
+      });
+    }
+
+    this._saveStorage();
+  }
+
+  /**
+   * 请求得到最终结果：移出队列，并通知调用方
+   * @param {OfflineQueuePlugin~QueueEntry} entry 队列条目
+   * @param {boolean} succeeded 是否成功
+   * @param {Requester~ReqRes} reqRes 最终请求结果
+   * @private
+   */
+  _settle({entry, succeeded, reqRes}){
+    let index = this._queue.indexOf(entry);
+    if (index >= 0)
+      this._queue.splice(index, 1);
+    this._saveStorage();
+
+    let data = {key: entry.key, meta: entry.meta, reqOptions: entry.reqOptions, reqRes};
+
+    let handlers = this._settleHandlers.get(entry.key) || [];
+    this._settleHandlers.delete(entry.key);
+    for (let handler of handlers) {
+      try {
+        handler(Object.assign({succeeded}, data));
+      } catch (e) {
+        console.error('[OfflineQueuePlugin] onSettle error:', e);
+      }
+    }
+
+    this._events.notify({eventType: succeeded ? 'success' : 'fail', data});
+  }
+
+  /**
+   * 从storage中读取离线队列（仅首次使用时读取）
+   * @private
+   */
+  _loadStorage(){
+    if (this._isStorageLoaded)
+      return;
+    this._isStorageLoaded = true;
+
+    let entries = [];
+    try {
+      entries = JSON.parse(wx.getStorageSync(this._storageName) || '[]');
+    } catch (e) {
+      console.error('[OfflineQueuePlugin] failed to load queue from storage:', e);
+    }
+
+    //storage中的请求排在前面，以保证发送顺序
+    let keys = this._queue.map(entry=>entry.key);
+    this._queue = entries.filter(entry=>!keys.includes(entry.key)).concat(this._queue);
+  }
+
+  /**
+   * 将离线队列写入storage
+   * @private
+   */
+  _saveStorage(){
+    wx.setStorage({
+      key: this._storageName,
+      data: JSON.stringify(this._queue),
+    });
+  }
+}
+
+/**
+ * 生成请求参数快照：去除回调、中止信号、离线队列参数等无法持久化的内容，以及敏感头部
+ * @ignore
+ * @param {Requester~ReqOptions} reqOptions 请求参数
+ * @param {Array<string>} sensitiveHeaders 需去除的头部字段（小写）
+ * @return {object} 可持久化的请求参数
+ */
+function makeSnapshot({reqOptions, sensitiveHeaders}) {
+  let {signal, onProgress, offlineOpts, success, fail, complete, ...rest} = reqOptions;
+
+  //去除cookie、登录凭证等敏感头部，避免明文持久化，且重新发送时以最新的值为准
+  if (rest.header) {
+    rest.header = Object.assign({}, rest.header);
+    for (let name of Object.keys(rest.header)) {
+      if (sensitiveHeaders.includes(name.toLowerCase()))
+        delete rest.header[name];
+    }
+  }
+
+  try {
+    return JSON.parse(JSON.stringify(rest));
+  } catch (e) {
+    console.error('[OfflineQueuePlugin] failed to make snapshot, reqOptions:', reqOptions, 'err:', e);
+    return rest;
+  }
+}
+
+/**
+ * 根据请求参数生成默认幂等key
+ * @ignore
+ * @param {object} snapshot 请求参数快照
+ * @return {string}
+ */
+function makeKey(snapshot) {
+  return [
+    (snapshot.method || 'GET').toUpperCase(),
+    snapshot.url,
+    JSON.stringify(snapshot.data === undefined ? null : snapshot.data),
+  ].join(' ');
+}
+
+/**
+ * @typedef {object} OfflineQueuePlugin~OfflineOpts 离线队列参数，通过请求参数中的保留字段offlineOpts指定
+ * @property {string} [key] 幂等key，默认根据请求方法、url、参数生成
+ * @property {*} [meta] 附加信息，会随请求一起持久化，便于在事件监听中识别，须可JSON序列化
+ * @property {number} [ttl] 有效期，单位：ms，默认为构造函数中指定的defaultTtl
+ * @property {number} [maxAttempts] 最多重新发送次数，默认为构造函数中指定的defaultMaxAttempts
+ * @property {function} [onSettle] 最终结果回调，参数格式为{succeeded: boolean, ...{@link OfflineQueuePlugin~EventData}}，仅在本次运行期间有效，小程序重启后请改用事件监听
+ */
+
+/**
+ * @typedef {object} OfflineQueuePlugin~QueueEntry 离线队列条目
+ * @property {string} key 幂等key
+ * @property {object} reqOptions 请求参数快照
+ * @property {*} meta 附加信息
+ * @property {number} createTime 存入时间
+ * @property {number} expireTime 过期时间
+ * @property {number} maxAttempts 最多重新发送次数
+ * @property {number} attempts 已重新发送次数
+ */
+
+/**
+ * @typedef {object} OfflineQueuePlugin~EventData 事件数据
+ * @property {string} key 幂等key
+ * @property {*} meta 附加信息
+ * @property {object} reqOptions 请求参数快照
+ * @property {Requester~ReqRes} [reqRes] 最终请求结果（queue事件无此字段）
+ */
+
+export default OfflineQueuePlugin;
@@ -0,0 +1,199 @@
+import BasePlugin from './BasePlugin';
+
+/**
+ * 请求管理-重试插件
+ * 请求失败时，按照指定策略自动重试，详见{@tutorial 2.3-request}
+ *
+ * 特性：
+ * 1. 可配置最大尝试次数、总耗时上限
+ * 2. 指数退避：每次重试的间隔时间逐次倍增，并添加随机抖动，避免大量客户端同时重试
+ * 3. 可配置重试条件：网络异常、指定状态码、仅幂等请求方法等
+ * 4. 只统计本插件触发的重试，其它插件（如登录插件重新登录后重试）触发的重试不计入次数
+ *
+ * 注：建议将本插件放在网络异常处理插件{@link FailRecoverPlugin}之前，使得重试仍然失败时，才进入网络异常处理流程
+ * @extends BasePlugin
+ */
+class RetryPlugin extends BasePlugin{
+  /**
+   * 重试次数由插件自身根据重试策略控制
+   * @type {number}
+   */
+  retryLimit = Infinity;
+
+  _defaultRetryOpts = {}; //默认重试策略
+  _startTimeMap = new WeakMap(); //各请求的开始时间，key: reqOptions，value: 绝对毫秒数
+
+  /**
+   * 构造函数
+   * @param {string} [pluginName='RetryPlugin'] 插件名称
+   * @param {number} [order] 执行顺序，参见{@link BasePlugin#order}
+   * @param {null|string|RegExp|Function|Array} [include] 适用范围，参见{@link BasePlugin#include}
+   * @param {null|string|RegExp|Function|Array} [exclude] 排除范围，参见{@link BasePlugin#exclude}
+   * @param {null|Array<string>} [methods] 适用的请求方法，参见{@link BasePlugin#methods}
+   * @param {number} [maxAttempts=3] 默认最大尝试次数（含首次请求）
+   * @param {number} [baseDelay=300] 默认首次重试的间隔时间，单位：ms
+   * @param {number} [maxDelay=5000] 默认重试间隔时间上限，单位：ms
+   * @param {number} [factor=2] 默认间隔时间增长倍数
+   * @param {number} [jitter=0.5] 默认随机抖动比例，取值0~1，实际间隔时间会在 [间隔时间*(1-jitter), 间隔时间] 范围内随机取值
+   * @param {number} [deadline=0] 默认总耗时上限，单位：ms，从首次请求发起时开始计时，预计超出时不再重试；0表示不限
+   * @param {Array<number>} [retryStatusCodes=[502, 503, 504]] 默认需要重试的http状态码
+   * @param {Array<string>} [retryMethods=['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']] 默认允许重试的请求方法，默认只重试幂等方法
+   * @param {RetryPlugin~RetryChecker} [retryChecker] 默认重试条件判断函数，指定时，retryStatusCodes、retryMethods会被忽略
+   * @example
+   * requester.config({
+   *   plugins: [
+   *     new RetryPlugin({
+   *       maxAttempts: 3, //最多请求3次
+   *       deadline: 10*1000, //总耗时不超过10s
+   *     }),
+   *     new FailRecoverPlugin({
+   *       requestFailRecoverer,
+   *     }),
+   *   ]
+   * });
+   *
+   * //单独指定某个请求的重试策略
+   * requester.request({
+   *   url: 'https://xxx',
+   *   method: 'POST',
+   *   retryOpts: { //额外定义一个保留字段retryOpts，用于指定重试策略，格式同构造函数参数；设为false表示禁止重试
+   *     maxAttempts: 5,
+   *     retryMethods: ['POST'], //该接口已做幂等处理，允许重试
+   *   }
+   * });
+   */
+  constructor({
+    pluginName='RetryPlugin',
+    order,
+    include,
+    exclude,
+    methods,
+    maxAttempts=3,
+    baseDelay=300,
+    maxDelay=5000,
+    factor=2,
+    jitter=0.5,
+    deadline=0,
+    retryStatusCodes=[502, 503, 504],
+    retryMethods=['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+    retryChecker=null,
+  }={}){
+    super({
+      pluginName,
+      order,
+      include,
+      exclude,
+      methods,
+    });
+
+    this._defaultRetryOpts = {
+      maxAttempts,
+      baseDelay,
+      maxDelay,
+      factor,
+      jitter,
+      deadline,
+      retryStatusCodes,
+      retryMethods,
+      retryChecker,
+    };
+  }
+
+  /**
+   * 记录请求开始时间，用于计算总耗时
+   * @param {Requester~ReqOptions} reqOptions 请求参数
+   */
+  beforeRequest({reqOptions}){
+    //重试时会使用同一个reqOptions再次触发本钩子，此时保留首次请求的开始时间
+    if (!this._startTimeMap.has(reqOptions))
+      this._startTimeMap.set(reqOptions, Date.now());
+  }
+
+  /**
+   * 在请求返回后判断是否需要重试
+   * @param {Requester~ReqOptions} reqOptions 请求参数
+   * @param {Requester~ReqRes} reqRes 请求结果
+   * @param {Array<Requester~AttemptInfo>} attempts 本次请求中已完成的各次尝试
+   * @return {undefined | Requester~AfterRequestRes} 期望的后续处理，undefined表示继续执行默认流程
+   */
+  afterRequest({reqOptions, reqRes, attempts}){
+    //获取重试策略
+    let retryOpts = this._parseRetryOpts(reqOptions);
+    if (!retryOpts) //禁止重试
+      return;
+
+    //已达到最大尝试次数（只统计本插件触发的重试）
+    let retriedTimes = attempts.filter(attempt=>attempt.retryBy===this).length;
+    if (retriedTimes+1 >= retryOpts.maxAttempts)
+      return;
+
+    //不满足重试条件
+    if (!this._checkRetry({reqOptions, reqRes, retryOpts}))
+      return;
+
+    //计算重试间隔：指数退避+随机抖动
+    let retryDelay = Math.min(retryOpts.maxDelay, retryOpts.baseDelay * Math.pow(retryOpts.factor, retriedTimes));
+    retryDelay = Math.round(retryDelay * (1 - retryOpts.jitter*Math.random()));
+
+    //预计超出总耗时上限，不再重试
+    let startTime = this._startTimeMap.get(reqOptions) || Date.now();
+    if (retryOpts.deadline>0 && Date.now()+retryDelay-startTime >= retryOpts.deadline)
+      return;
+
+    return {
+      action: 'retry',
+      retryDelay,
+    }
+  }
+
+  /**
+   * 解析请求的重试策略
+   * @param {Requester~ReqOptions} reqOptions 请求参数
+   * @return {null|object} 规整后的重试策略，格式同构造函数参数，null表示禁止重试
+   * @protected
+   */
+  _parseRetryOpts(reqOptions){
+    if (reqOptions.retryOpts === false)
+      return null;
+
+    return Object.assign({}, this._defaultRetryOpts, reqOptions.retryOpts);
+  }
+
+  /**
+   * 判断请求结果是否满足重试条件
+   * @param {Requester~ReqOptions} reqOptions 请求参数
+   * @param {Requester~ReqRes} reqRes 请求结果
+   * @param {object} retryOpts 重试策略
+   * @return {boolean} 是否需要重试
+   * @protected
+   */
+  _checkRetry({reqOptions, reqRes, retryOpts}){
+    //调用方主动中止，或已被离线队列插件接管，不再重试
+    if (reqRes.aborted || reqRes.queued)
+      return false;
+
+    if (retryOpts.retryChecker)
+      return !!retryOpts.retryChecker(reqRes, reqOptions);
+
+    //只重试指定请求方法
+    let method = (reqOptions.method || 'GET').toUpperCase();
+    if (!retryOpts.retryMethods.map(item=>item.toUpperCase()).includes(method))
+      return false;
+
+    //网络异常，或服务端返回指定状态码时，进行重试
+    return !reqRes.succeeded || retryOpts.retryStatusCodes.includes(reqRes.statusCode);
+  }
+}
+
+/**
+ * @typedef {function} RetryPlugin~RetryChecker 重试条件判断函数
+ * @param {Requester~ReqRes} reqRes 请求结果
+ * @param {Requester~ReqOptions} reqOptions 请求参数
+ * @return {boolean} 是否需要重试
+ * @example
+ * function retryChecker(reqRes, reqOptions){
+ *   return !reqRes.succeeded || reqRes.statusCode===503 || (reqRes.data && reqRes.data.respCode===-9); //网络异常、服务繁忙时重试
+ * }
+ */
+
+export default RetryPlugin;
@@ -0,0 +1,433 @@
+import BasePlugin from './BasePlugin';
+import RequestError from '../RequestError';
+
+/**
+ * 请求管理-RPC插件
+ * 将JSON-RPC 2.0或GraphQL接口封装成普通http接口形式使用，便于：
+ * 1. 使用requester提供的各种逻辑扩展能力（如登录、重试、缓存等插件均按单次调用生效）
+ * 2. 同一时刻发起的多个调用自动合并为一次批量请求，减少网络开销
+ *
+ * 调用结果处理：
+ * 1. 批量请求的返回结果会按调用拆分，每个调用各自得到对应的{@link Requester~ReqRes}，data为该调用对应的返回体
+ * 2. 返回体中携带错误时，会在错误规整阶段转为{@link RequestError}（type为business，code为RPC错误码），以失败结果reject
+ * 3. 返回体中没有错误时，会在数据转换阶段解开外层结构，调用方直接获取result（JSON-RPC）或data（GraphQL）
+ *
+ * 详见{@tutorial 2.3-request}
+ * @extends BasePlugin
+ */
+class RpcPlugin extends BasePlugin{
+  _protocol = '';
+  _endpoint = '';
+  _fakeDomain = '';
+  _header = {};
+  _batch = true;
+  _batchDelay = 0;
+  _maxBatchSize = 0;
+
+  _queue = []; //待发送的调用队列
+  _timer = null; //批量发送定时器
+  _idSeq = 0; //JSON-RPC调用id
+
+  /**
+   * 构造函数
+   * @param {string} [pluginName='RpcPlugin'] 插件名称
+   * @param {number} [order] 执行顺序，参见{@link BasePlugin#order}
+   * @param {null|string|RegExp|Function|Array} [include] 适用范围，参见{@link BasePlugin#include}
+   * @param {null|string|RegExp|Function|Array} [exclude] 排除范围，参见{@link BasePlugin#exclude}
+   * @param {null|Array<string>} [methods] 适用的请求方法，参见{@link BasePlugin#methods}
+   * @param {string} [protocol='jsonrpc'] 协议类型：'jsonrpc'-JSON-RPC 2.0 | 'graphql'-GraphQL
+   * @param {string} endpoint 实际接口地址
+   * @param {string} [fakeDomain='rpc.call'] 虚拟域名
+   * @param {object} [header={}] 批量请求的附加头部
+   * @param {boolean} [batch=true] 是否合并批量请求，false表示每个调用单独发送（服务端不支持批量调用时使用）
+   * @param {number} [batchDelay=0] 合并等待时间（ms），0表示合并同一时刻（同一事件循环内）发起的调用
+   * @param {number} [maxBatchSize=20] 单次批量请求最多包含的调用数，超出时拆分成多个批量请求
+   * @example JSON-RPC
+   * let requester = new Requester({
+   *   plugins: [
+   *     new RpcPlugin({
+   *       endpoint: 'https://xxx.com/rpc',
+   *     })
+   *   ]
+   * });
+   *
+   * //则同时发起的两个调用
+   * let [user, orders] = await Promise.all([
+   *   requester.request({url: 'https://rpc.call/user.getInfo', data: {uid: 1}}),
+   *   requester.request({url: 'https://rpc.call/order.list', data: {uid: 1, page: 1}}),
+   * ]);
+   * //会合并为一次请求：POST https://xxx.com/rpc
+   * [
+   *   {"jsonrpc": "2.0", "id": 1, "method": "user.getInfo", "params": {"uid": 1}},
+   *   {"jsonrpc": "2.0", "id": 2, "method": "order.list", "params": {"uid": 1, "page": 1}}
+   * ]
+   *
+   * @example GraphQL
+   * let requester = new Requester({
+   *   plugins: [
+   *     new RpcPlugin({
+   *       protocol: 'graphql',
+   *       endpoint: 'https://xxx.com/graphql',
+   *       fakeDomain: 'graphql.call',
+   *     })
+   *   ]
+   * });
+   *
+   * //url路径作为默认的operationName，data格式为{query, variables, operationName}
+   * let data = await requester.request({
+   *   url: 'https://graphql.call/GetUser',
+   *   data: {
+   *     query: 'query GetUser($uid: Int!){ user(uid: $uid){ name } }',
+   *     variables: {uid: 1},
+   *   }
+   * });
+   */
+  constructor({pluginName, order, include, exclude, methods, protocol='jsonrpc', endpoint, fakeDomain='rpc.call', header={}, batch=true, batchDelay=0, maxBatchSize=20}){
+    super({
+      pluginName: pluginName || 'RpcPlugin',
+      order,
+      include,
+      exclude,
+      methods,
+    });
+
+    if (!['jsonrpc', 'graphql'].includes(protocol))
+      console.error('[RpcPlugin] 不支持的协议类型：', protocol);
+    if (!endpoint)
+      console.error('[RpcPlugin] 未指定实际接口地址endpoint');
+
+    this._protocol = protocol;
+    this._endpoint = endpoint;
+    this._fakeDomain = fakeDomain;
+    this._header = header;
+    this._batch = batch;
+    this._batchDelay = batchDelay;
+    this._maxBatchSize = Math.max(1, maxBatchSize);
+  }
+
+  /**
+   * 在请求发起前判断是否RPC调用，是则加入批量队列，并将拆分后的对应结果作为请求结果返回
+   * @param reqOptions
+   * @param transport
+   */
+  async beforeRequestAsync({reqOptions, transport}){
+    let call = this._parseCall({reqOptions, transport});
+    if (!call)
+      return;
+
+    let callRes = await this._enqueue({call, signal: reqOptions.signal, timeout: reqOptions.timeout});
+
+    //调用被中止（无论批量请求是否已发出），交由默认流程生成中止结果
+    if (!callRes)
+      return;
+
+    return {
+      action: 'feed',
+      feedRes: callRes,
+    }
+  }
+
+  /**
+   * 将返回体中的RPC错误转为请求错误
+   * @param reqOptions
+   * @param transport
+   * @param reqRes
+   * @param error
+   */
+  normalizeError({reqOptions, transport, reqRes, error}){
+    if (error || !reqRes.succeeded || !this._parseCall({reqOptions, transport}))
+      return;
+
+    let callError = this._extractError({body: reqRes.data});
+    if (!callError)
+      return;
+
+    return new RequestError({
+      type: RequestError.TYPE.BUSINESS,
+      code: callError.code,
+      message: callError.message,
+      data: reqRes.data,
+    });
+  }
+
+  /**
+   * 解开返回体外层结构，JSON-RPC返回result，GraphQL返回data
+   * @param reqOptions
+   * @param transport
+   * @param data
+   */
+  transformResponse({reqOptions, transport, data}){
+    if (!this._parseCall({reqOptions, transport}) || !data)
+      return;
+
+    return this._protocol==='graphql' ? data.data : data.result;
+  }
+
+  /**
+   * 解析请求参数，判断是否RPC调用，是则生成对应的调用内容
+   * @param {Requester~ReqOptions} reqOptions 请求参数
+   * @param {string} transport 传输类型
+   * @return {null|{id: number, payload: object, header: object}} 调用信息，null表示不是RPC调用
+   * @protected
+   */
+  _parseCall({reqOptions, transport}){
+    //判断是否RPC调用
+    let prefix = `https://${this._fakeDomain}/`;
+    if (transport !== 'request' || reqOptions.url.indexOf(prefix) !== 0)
+      return null;
+
+    let name = decodeURIComponent(reqOptions.url.substring(prefix.length).split('?')[0]);
+    let header = Object.assign({}, reqOptions.header);
+
+    //GraphQL：url路径作为默认的operationName
+    if (this._protocol==='graphql') {
+      let {query, variables, operationName} = reqOptions.data || {};
+      return {
+        id: 0,
+        header,
+        payload: {
+          query,
+          variables: variables || {},
+          operationName: operationName || name || undefined,
+        },
+      };
+    }
+
+    //JSON-RPC：url路径作为方法名，data作为参数
+    return {
+      id: ++this._idSeq,
+      header,
+      payload: {
+        jsonrpc: '2.0',
+        id: this._idSeq,
+        method: name,
+        params: reqOptions.data===undefined ? {} : reqOptions.data,
+      },
+    };
+  }
+
+  /**
+   * 将调用加入批量队列
+   * 调用被中止或超时后立即结束，不等待批量请求返回：未发送的移出队列，已发送的忽略其后返回的结果
+   * @param {object} call 调用信息，参见{@link RpcPlugin#_parseCall}
+   * @param {AbortSignal} [signal] 中止信号
+   * @param {number} [timeout] 超时时间，单位：ms，从加入队列开始计时
+   * @return {Promise<null|Requester~ReqRes>} 该调用对应的请求结果，null表示调用被中止
+   * @protected
+   */
+  _enqueue({call, signal, timeout}){
+    return new Promise(resolve=>{
+      let timer = null;
+      let item = {call};
+
+      //中止/超时/正常返回 只处理最先发生的一个
+      let finish = (res)=>{
+        if (!item.resolve)
+          return;
+        item.resolve = null;
+
+        clearTimeout(timer);
+        signal && signal.offAbort(onAbort);
+        let index = this._queue.indexOf(item);
+        index > -1 && this._queue.splice(index, 1);
+        resolve(res);
+      };
+      let onAbort = ()=>finish(null);
+      item.resolve = finish;
+
+      signal && signal.onAbort(onAbort);
+      if (timeout > 0) {
+        timer = setTimeout(()=>finish({
+          succeeded: false,
+          errMsg: 'request:fail timeout',
+          timeout: true,
+        }), timeout);
+      }
+
+      this._queue.push(item);
+
+      //不合并时立即发送
+      if (!this._batch) {
+        this._flush();
+        return;
+      }
+
+      if (!this._timer)
+        this._timer = setTimeout(()=>this._flush(), this._batchDelay);
+    });
+  }
+
+  /**
+   * 发送队列中的所有调用
+   * 头部（登录态、cookie等）不同的调用不能合并，按头部分组后，各组再按maxBatchSize拆分成多个批量请求
+   * @protected
+   */
+  _flush(){
+    clearTimeout(this._timer);
+    this._timer = null;
+
+    let items = this._queue;
+    this._queue = [];
+
+    let groups = new Map(); //key: 头部签名，value: 调用列表
+    for (let item of items) {
+      let signature = makeHeaderSignature(item.call.header);
+      groups.has(signature) ? groups.get(signature).push(item) : groups.set(signature, [item]);
+    }
+
+    let batchSize = this._batch ? this._maxBatchSize : 1;
+    for (let group of groups.values()) {
+      for (let i = 0; i < group.length; i += batchSize)
+        this._sendBatch({items: group.slice(i, i + batchSize)});
+    }
+  }
+
+  /**
+   * 发送批量请求，并将结果拆分给各调用
+   * @param {Array<object>} items 调用列表
+   * @protected
+   */
+  async _sendBatch({items}){
+    //单个调用时直接发送调用内容，兼容不支持批量调用的服务端
+    let payloads = items.map(item=>item.call.payload);
+    let body = payloads.length===1 ? payloads[0] : payloads;
+
+    //头部：同一批量请求中各调用的头部相同，直接使用，以便登录态等信息正常携带
+    let header = Object.assign({}, this._header, items[0].call.header);
+    for (let name in header) {
+      if (name.toLowerCase()==='content-type')
+        delete header[name];
+    }
+    header['content-type'] = 'application/json';
+
+    let batchRes = await this._post({body, header});
+    let results = this._splitRes({items, batchRes});
+    items.forEach((item, index)=>item.resolve && item.resolve(results[index]));
+  }
+
+  /**
+   * 发送实际请求，经由requester发出，以便其它插件（如cookie、重试等）对批量请求同样生效
+   * @param {object|Array} body 请求体
+   * @param {object} header 请求头部
+   * @return {Promise<Requester~ReqRes>} 请求结果
+   * @protected
+   */
+  _post({body, header}){
+    return new Promise(resolve=>{
+      this.requester.request({
+        url: this._endpoint,
+        method: 'POST',
+        header,
+        data: body,
+        success: resolve,
+        fail: resolve,
+      }).catch(()=>{}); //结果已通过回调获取
+    });
+  }
+
+  /**
+   * 拆分批量请求结果
+   * @param {Array<object>} items 调用列表
+   * @param {Requester~ReqRes} batchRes 批量请求结果
+   * @return {Array<Requester~ReqRes>} 各调用对应的请求结果
+   * @protected
+   */
+  _splitRes({items, batchRes}){
+    //批量请求失败，各调用均返回失败结果
+    if (!batchRes.succeeded) {
+      return items.map(()=>({
+        succeeded: false,
+        errMsg: batchRes.errMsg,
+        errno: batchRes.errno,
+        timeout: batchRes.timeout,
+      }));
+    }
+
+    let resBody = batchRes.data;
+    if (typeof resBody === 'string') {
+      try {
+        resBody = JSON.parse(resBody);
+      } catch (e) {
+        console.error('[RpcPlugin] failed to parse response:', resBody);
+        resBody = this._makeErrorBody({code: -32700, message: 'Parse error'});
+      }
+    }
+
+    let bodies;
+    if (Array.isArray(resBody) && this._protocol==='graphql') //GraphQL：按顺序对应
+      bodies = items.map((item, index)=>resBody[index]);
+    else if (Array.isArray(resBody)) //JSON-RPC：按id对应
+      bodies = items.map(item=>resBody.find(body=>body && body.id===item.call.id));
+    else //非数组结果（单个调用，或服务端返回了整体错误），各调用均使用该结果
+      bodies = items.map(()=>resBody);
+
+    return bodies.map((body, index)=>({
+      succeeded: true,
+      errMsg: batchRes.errMsg,
+      statusCode: batchRes.statusCode,
+      header: batchRes.header,
+      data: body || this._makeErrorBody({id: items[index].call.id, code: -32603, message: 'No response for this call'}),
+    }));
+  }
+
+  /**
+   * 从返回体中提取RPC错误
+   * @param {object} body 返回体
+   * @return {null|{code: number|string, message: string}} RPC错误，null表示无错误
+   * @protected
+   */
+  _extractError({body}){
+    if (!body || typeof body !== 'object')
+      return {code: -32603, message: 'Invalid response'};
+
+    //GraphQL：errors字段，取第一个错误，错误码优先取extensions.code
+    if (this._protocol==='graphql') {
+      if (!Array.isArray(body.errors) || !body.errors.length)
+        return null;
+      let err = body.errors[0] || {};
+      return {
+        code: (err.extensions && err.extensions.code) || '',
+        message: err.message || '',
+      };
+    }
+
+    //JSON-RPC：error字段
+    if (!body.error)
+      return null;
+    return {
+      code: body.error.code,
+      message: body.error.message || '',
+    };
+  }
+
+  /**
+   * 生成错误返回体，用于返回结果缺失或无法解析的情形
+   * @param {number} [id=null] 调用id
+   * @param {number} code 错误码
+   * @param {string} message 错误信息
+   * @return {object} 对应协议格式的返回体
+   * @protected
+   */
+  _makeErrorBody({id=null, code, message}){
+    if (this._protocol==='graphql')
+      return {data: null, errors: [{message, extensions: {code}}]};
+
+    return {jsonrpc: '2.0', id, error: {code, message}};
+  }
+}
+
+/**
+ * 生成头部签名，用于判断调用能否合并发送，content-type由批量请求统一指定，不参与比较
+ * @ignore
+ * @param {object} header 调用的头部
+ * @return {string}
+ */
+function makeHeaderSignature(header) {
+  let entries = Object.keys(header || {})
+    .filter(name=>name.toLowerCase()!=='content-type')
+    .map(name=>[name.toLowerCase(), String(header[name])])
+    .sort((a, b)=>a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0);
+  return JSON.stringify(entries);
+}
+
+export default RpcPlugin;
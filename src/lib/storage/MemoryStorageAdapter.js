@@ -0,0 +1,56 @@
+/**
+ * 存储适配器-内存
+ * 数据只保存在内存中，主要用于在node环境中测试登录、cookie等依赖存储的模块，详见{@tutorial 2.c-storage}
+ * @example
+ * const storage = new NamespacedStorage({
+ *   adapter: new MemoryStorageAdapter(),
+ * });
+ * const cookie = new Cookie({storage});
+ */
+class MemoryStorageAdapter {
+  _map = null; //存储内容，key: 存储key，value: 存储内容
+
+  /**
+   * 构造函数
+   * @param {object} [initialData] 初始数据，key为存储key，value为存储内容
+   */
+  constructor({initialData={}}={}){
+    this._map = new Map(Object.entries(initialData));
+  }
+
+  /**
+   * 读取
+   * @param {string} key
+   * @return {*} 存储的内容，不存在时返回undefined
+   */
+  getItem(key){
+    return this._map.get(key);
+  }
+
+  /**
+   * 写入
+   * @param {string} key
+   * @param {*} value
+   */
+  setItem(key, value){
+    this._map.set(key, value);
+  }
+
+  /**
+   * 删除
+   * @param {string} key
+   */
+  removeItem(key){
+    this._map.delete(key);
+  }
+
+  /**
+   * 获取全部key
+   * @return {Array<string>}
+   */
+  keys(){
+    return Array.from(this._map.keys());
+  }
+}
+
+export default MemoryStorageAdapter;
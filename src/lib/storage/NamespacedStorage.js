@@ -0,0 +1,223 @@
+import WxStorageAdapter from './WxStorageAdapter';
+
+/**
+ * 存储管理器
+ * 在底层存储（小程序storage、内存等）之上，提供命名空间、加密、有效期、数据迁移等通用能力，详见{@tutorial 2.c-storage}
+ * 登录模块、cookie管理器等均通过该模块读写存储，可以统一替换底层存储或开启加密
+ *
+ * 存储格式：{v: 数据版本, e: 过期时间, d: 数据}，开启加密时整体加密后存储，并以'enc:'开头；
+ * 未加密且不符合该格式的内容（如旧版本直接写入的数据）视为版本0的数据，原样返回；加密内容解密后不符合该格式（如密钥错误）时视为无法解密
+ * @example
+ * const storage = new NamespacedStorage({
+ *   namespace: ()=>`${env}:${uid}`, //按环境、用户区分命名空间
+ *   cipher: new XorCipher(), //开启混淆；XorCipher只是混淆，需要加密时传入基于AES等标准算法实现的加密器
+ *   keyProvider: ()=>'secret', //密钥
+ *   version: 2, //数据版本
+ *   migrate({key, fromVersion, data}){ //数据迁移：读取到旧版本数据时调用
+ *     if (key === 'draft' && fromVersion < 2)
+ *       return {content: data, time: 0};
+ *     return data;
+ *   },
+ * });
+ *
+ * storage.set('draft', {content: 'xxx', time: Date.now()}, {ttl: 7*24*3600*1000}); //7天后过期
+ * storage.get('draft'); //{content: 'xxx', time: ...}
+ */
+class NamespacedStorage {
+  _adapter = null; //底层存储适配器
+  _namespace = ''; //命名空间
+  _cipher = null; //加密器
+  _keyProvider = null; //密钥获取函数
+  _version = 0; //当前数据版本
+  _migrate = null; //数据迁移函数
+
+  /**
+   * 构造函数
+   * @param {NamespacedStorage~Adapter} [adapter] 底层存储适配器，默认为{@link WxStorageAdapter}
+   * @param {string|function(): string} [namespace=''] 命名空间，存储key会被转为'命名空间:key'，为函数时每次读写前调用，便于按环境、用户等区分
+   * @param {NamespacedStorage~Cipher} [cipher] 加密器，可以传入基于AES等标准算法实现的加密器，或仅作混淆的{@link XorCipher}，不传时不加密
+   * @param {function(): string} [keyProvider] 密钥获取函数，开启加密时必填
+   * @param {number} [version=1] 当前数据版本
+   * @param {NamespacedStorage~Migrate} [migrate] 数据迁移函数，读取到旧版本数据时调用，返回值会以当前版本重新写入
+   */
+  constructor({adapter, namespace='', cipher=null, keyProvider=null, version=1, migrate=null}={}){
+    if (cipher && !keyProvider)
+      console.error('[NamespacedStorage] 开启加密时，必须指定密钥获取函数keyProvider');
+
+    this._adapter = adapter || new WxStorageAdapter();
+    this._namespace = namespace;
+    this._cipher = cipher;
+    this._keyProvider = keyProvider;
+    this._version = version;
+    this._migrate = migrate;
+  }
+
+  /**
+   * 获取实际存储key
+   * @param {string} key
+   * @return {string} 拼接命名空间后的key
+   */
+  resolveKey(key){
+    let namespace = typeof this._namespace === 'function' ? this._namespace() : this._namespace;
+    return namespace ? `${namespace}:${key}` : key;
+  }
+
+  /**
+   * 读取
+   * @param {string} key
+   * @return {*} 存储的数据，不存在、已过期或无法解密时返回undefined
+   */
+  get(key){
+    let fullKey = this.resolveKey(key);
+    let stored = this._adapter.getItem(fullKey);
+    if (stored === undefined || stored === null)
+      return undefined;
+
+    let record = this._decode({key, stored});
+    if (!record)
+      return undefined;
+
+    //过期处理
+    if (record.e > 0 && Date.now() >= record.e) {
+      this._adapter.removeItem(fullKey);
+      return undefined;
+    }
+
+    //数据迁移
+    if (record.v < this._version && this._migrate) {
+      try {
+        record.d = this._migrate({key, fromVersion: record.v, toVersion: this._version, data: record.d});
+      } catch (e) {
+        console.error('[NamespacedStorage] migrate failed, key:', key, 'fromVersion:', record.v, 'err:', e);
+        return undefined;
+      }
+      this._write({fullKey, record: {v: this._version, e: record.e, d: record.d}});
+    }
+
+    return record.d;
+  }
+
+  /**
+   * 写入
+   * @param {string} key
+   * @param {*} data 要存储的数据，须可JSON序列化
+   * @param {object} [options]
+   * @param {number} [options.ttl] 有效期，单位：ms，不传时长期有效
+   */
+  set(key, data, {ttl}={}){
+    this._write({
+      fullKey: this.resolveKey(key),
+      record: {
+        v: this._version,
+        e: ttl > 0 ? Date.now() + ttl : -1,
+        d: data,
+      },
+    });
+  }
+
+  /**
+   * 删除
+   * @param {string} key
+   */
+  remove(key){
+    this._adapter.removeItem(this.resolveKey(key));
+  }
+
+  /**
+   * 清空当前命名空间下的全部数据
+   * 未指定命名空间时，会清空底层存储中的全部数据
+   */
+  clear(){
+    let prefix = this.resolveKey('');
+    for (let fullKey of this._adapter.keys()) {
+      if (fullKey.indexOf(prefix) === 0)
+        this._adapter.removeItem(fullKey);
+    }
+  }
+
+  /**
+   * 将存储内容解析为存储记录
+   * @param {string} key
+   * @param {*} stored 底层存储中的内容
+   * @return {null|{v: number, e: number, d: *}} 存储记录，无法解析时返回null
+   * @private
+   */
+  _decode({key, stored}){
+    let text = stored;
+    let isEncrypted = typeof stored === 'string' && stored.indexOf(ENCRYPTED_PREFIX) === 0;
+
+    //解密
+    if (isEncrypted) {
+      if (!this._cipher) {
+        console.error('[NamespacedStorage] 存储内容已加密，但未指定加密器，key:', key);
+        return null;
+      }
+      try {
+        text = this._cipher.decrypt(stored.substring(ENCRYPTED_PREFIX.length), this._keyProvider());
+      } catch (e) {
+        console.error('[NamespacedStorage] decrypt failed, key:', key, 'err:', e);
+        return null;
+      }
+    }
+
+    //解析
+    if (typeof text === 'string' && text.indexOf(RECORD_PREFIX) === 0) {
+      try {
+        return JSON.parse(text.substring(RECORD_PREFIX.length));
+      } catch (e) {
+        console.error('[NamespacedStorage] failed to parse record, key:', key, 'err:', e);
+        return null;
+      }
+    }
+
+    //解密结果不符合存储格式，说明密钥错误（如密钥已轮换），不能当作旧版本数据返回
+    if (isEncrypted) {
+      console.error('[NamespacedStorage] decrypt failed, bad key or corrupted content, key:', key);
+      return null;
+    }
+
+    //未加密且不符合存储格式，视为版本0的数据
+    return {v: 0, e: -1, d: text};
+  }
+
+  /**
+   * 写入存储记录
+   * @param {string} fullKey 实际存储key
+   * @param {{v: number, e: number, d: *}} record 存储记录
+   * @private
+   */
+  _write({fullKey, record}){
+    let text = RECORD_PREFIX + JSON.stringify(record);
+    if (this._cipher)
+      text = ENCRYPTED_PREFIX + this._cipher.encrypt(text, this._keyProvider());
+    this._adapter.setItem(fullKey, text);
+  }
+}
+
+const RECORD_PREFIX = 'rec:'; //存储记录前缀，用于区分旧版本直接写入的数据
+const ENCRYPTED_PREFIX = 'enc:'; //加密内容前缀
+
+/**
+ * @typedef {object} NamespacedStorage~Adapter 底层存储适配器，参见{@link WxStorageAdapter}、{@link MemoryStorageAdapter}
+ * @property {function(string): *} getItem 读取，不存在时返回undefined
+ * @property {function(string, *)} setItem 写入
+ * @property {function(string)} removeItem 删除
+ * @property {function(): Array<string>} keys 获取全部key
+ */
+
+/**
+ * @typedef {object} NamespacedStorage~Cipher 加密器，可基于AES等标准算法实现，参见{@tutorial 2.c-storage}；{@link XorCipher}也实现了该接口，但只起混淆作用
+ * @property {function(string, string): string} encrypt 加密，参数为：明文，密钥
+ * @property {function(string, string): string} decrypt 解密，参数为：密文，密钥；失败时抛出异常，或返回不符合存储格式的内容
+ */
+
+/**
+ * @typedef {function} NamespacedStorage~Migrate 数据迁移函数
+ * @param {string} key 存储key（不含命名空间）
+ * @param {number} fromVersion 存储的数据版本，0表示旧版本直接写入的数据
+ * @param {number} toVersion 当前数据版本
+ * @param {*} data 存储的数据
+ * @return {*} 迁移后的数据
+ */
+
+export default NamespacedStorage;
@@ -0,0 +1,70 @@
+/**
+ * 存储适配器-小程序storage
+ * 将小程序storage接口适配为{@link NamespacedStorage}使用的统一格式，详见{@tutorial 2.c-storage}
+ */
+class WxStorageAdapter {
+  _sync = false; //写入时是否使用同步接口
+
+  /**
+   * 构造函数
+   * @param {boolean} [sync=false] 写入、删除时是否使用同步接口：false-使用wx.setStorage等异步接口，不阻塞主流程 | true-使用wx.setStorageSync等同步接口
+   */
+  constructor({sync=false}={}){
+    this._sync = sync;
+  }
+
+  /**
+   * 读取
+   * @param {string} key
+   * @return {*} 存储的内容，不存在时返回undefined
+   */
+  getItem(key){
+    let value = wx.getStorageSync(key);
+    return value === '' ? undefined : value;
+  }
+
+  /**
+   * 写入
+   * @param {string} key
+   * @param {*} value
+   */
+  setItem(key, value){
+    if (this._sync)
+      wx.setStorageSync(key, value);
+    else
+      wx.setStorage({key, data: value});
+  }
+
+  /**
+   * 删除
+   * @param {string} key
+   */
+  removeItem(key){
+    if (this._sync)
+      wx.removeStorageSync(key);
+    else
+      wx.removeStorage({key});
+  }
+
+  /**
+   * 获取全部key
+   * @return {Array<string>}
+   */
+  keys(){
+    return wx.getStorageInfoSync().keys;
+  }
+
+  /**
+   * 获取容量信息，供{@link Storage}按整体容量淘汰数据
+   * @return {{currentSize: number, limitSize: number}} 已使用大小和容量上限，单位：字节
+   */
+  getInfo(){
+    let info = wx.getStorageInfoSync();
+    return {
+      currentSize: info.currentSize * 1024,
+      limitSize: info.limitSize * 1024,
+    };
+  }
+}
+
+export default WxStorageAdapter;
@@ -0,0 +1,127 @@
+/**
+ * 混淆器-简易异或混淆
+ * 基于密钥和随机盐对内容进行异或混淆，避免存储内容以明文形式直接暴露，详见{@tutorial 2.c-storage}
+ *
+ * 注：只是混淆，不是加密，无法抵御针对性的分析破解；需要加密时，
+ * 可以基于crypto-js等第三方库的AES等标准算法实现encrypt、decrypt两个函数，以相同格式传给{@link NamespacedStorage}
+ */
+class XorCipher {
+  /**
+   * 混淆
+   * @param {string} plainText 原文
+   * @param {string} key 密钥
+   * @return {string} 混淆结果（base64格式）
+   */
+  encrypt(plainText, key){
+    let salt = '';
+    for (let i = 0; i < SALT_LEN; i++)
+      salt += String.fromCharCode(Math.floor(Math.random() * 256));
+
+    return encodeBase64(salt + xorBytes(utf8Encode(plainText), utf8Encode(key), salt));
+  }
+
+  /**
+   * 还原
+   * @param {string} cipherText 混淆结果（base64格式）
+   * @param {string} key 密钥
+   * @return {string} 原文
+   * @throws 混淆结果格式不正确时抛出异常
+   * 注：不含完整性校验，密钥错误时不一定抛出异常，可能返回无意义的内容，需由调用方校验（{@link NamespacedStorage}会校验存储记录格式）
+   */
+  decrypt(cipherText, key){
+    let bytes = decodeBase64(cipherText);
+    let salt = bytes.substring(0, SALT_LEN);
+    return utf8Decode(xorBytes(bytes.substring(SALT_LEN), utf8Encode(key), salt));
+  }
+}
+
+const SALT_LEN = 4; //随机盐长度（字节）
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * 按字节异或
+ * @ignore
+ * @param {string} bytes 字节串，每个字符表示一个字节
+ * @param {string} key 密钥字节串
+ * @param {string} salt 随机盐字节串
+ * @return {string} 结果字节串
+ */
+function xorBytes(bytes, key, salt) {
+  if (!key)
+    throw new Error('[XorCipher] empty key');
+
+  let result = '';
+  for (let i = 0; i < bytes.length; i++) {
+    let mask = key.charCodeAt(i % key.length) ^ salt.charCodeAt(i % salt.length) ^ ((i * 31) & 0xff);
+    result += String.fromCharCode(bytes.charCodeAt(i) ^ mask);
+  }
+  return result;
+}
+
+/**
+ * 字符串转为utf8字节串
+ * @ignore
+ * @param {string} str
+ * @return {string}
+ */
+function utf8Encode(str) {
+  return encodeURIComponent(str).replace(/%([0-9A-F]{2})/g, (match, hex)=>String.fromCharCode(parseInt(hex, 16)));
+}
+
+/**
+ * utf8字节串转为字符串
+ * @ignore
+ * @param {string} bytes
+ * @return {string}
+ */
+function utf8Decode(bytes) {
+  let encoded = '';
+  for (let i = 0; i < bytes.length; i++)
+    encoded += '%' + ('0' + bytes.charCodeAt(i).toString(16)).slice(-2);
+  return decodeURIComponent(encoded);
+}
+
+/**
+ * 字节串转为base64
+ * @ignore
+ * @param {string} bytes
+ * @return {string}
+ */
+function encodeBase64(bytes) {
+  let result = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    let [b1, b2, b3] = [bytes.charCodeAt(i), bytes.charCodeAt(i+1), bytes.charCodeAt(i+2)];
+    result += BASE64_CHARS[b1 >> 2];
+    result += BASE64_CHARS[((b1 & 3) << 4) | ((b2 || 0) >> 4)];
+    result += i+1 < bytes.length ? BASE64_CHARS[((b2 & 15) << 2) | ((b3 || 0) >> 6)] : '=';
+    result += i+2 < bytes.length ? BASE64_CHARS[b3 & 63] : '=';
+  }
+  return result;
+}
+
+/**
+ * base64转为字节串
+ * @ignore
+ * @param {string} base64
+ * @return {string}
+ */
+function decodeBase64(base64) {
+  base64 = base64.replace(/=+$/, '');
+  let bits = 0;
+  let bitCount = 0;
+  let result = '';
+  for (let char of base64) {
+    let value = BASE64_CHARS.indexOf(char);
+    if (value < 0)
+      throw new Error('[XorCipher] bad base64 string');
+    bits = (bits << 6) | value;
+    bitCount += 6;
+    if (bitCount >= 8) {
+      bitCount -= 8;
+      result += String.fromCharCode((bits >> bitCount) & 0xff);
+    }
+  }
+  return result;
+}
+
+export default XorCipher;
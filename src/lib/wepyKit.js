@@ -61,6 +61,41 @@ export function registerPageHook(hook, handler) {
   };
 }
 
+/**
+ * 注册页面级请求管理
+ * 页面卸载时，自动中止/丢弃该页面及其组件发出的未完成请求，避免在已销毁的页面上setData、浪费流量，详见{@link Requester#handlePageUnload}
+ * 注：页面中若有自定义onUnload钩子，需手动触发全局钩子，参见{@link module:wepyKit.registerPageHook}
+ * @param {Requester} requester 请求管理器
+ * @example
+ * registerPageScopedRequester(requester);
+ * 
+ * //页面/组件中
+ * this.$http({url: 'https://xxx'}); //页面卸载时，若请求尚未完成，会被自动中止
+ * this.$http({url: 'https://xxx'}, {pageUnloadAction: 'none'}); //单独指定处理方式：页面卸载后仍正常返回结果
+ */
+export function registerPageScopedRequester(requester) {
+  registerPageHook('onUnload', function () {
+    requester.handlePageUnload(this);
+  });
+}
+
+/**
+ * 注册页面级登录事件管理
+ * 页面卸载时，自动取消该页面及其组件对登录事件的监听，避免在已销毁的页面上setData、监听函数泄漏，详见{@link BaseLogin#handlePageUnload}
+ * 注：页面中若有自定义onUnload钩子，需手动触发全局钩子，参见{@link module:wepyKit.registerPageHook}
+ * @param {BaseLogin} loginCenter 登录中心
+ * @example
+ * registerPageScopedLogin(loginCenter);
+ * 
+ * //页面/组件中
+ * loginCenter.subscribe({eventType: 'login', handler: ()=>this.reload(), thisIssuer: this}); //页面卸载时，自动取消监听
+ */
+export function registerPageScopedLogin(loginCenter) {
+  registerPageHook('onUnload', function () {
+    loginCenter.handlePageUnload(this);
+  });
+}
+
 /**
  * 页面数据恢复函数，用于
  * 1. wepy实例覆盖问题，存在两级同路由页面时，前者数据会被后者覆盖，返回时需予以恢复，详见bug：[两级页面为同一路由时，后者数据覆盖前者](https://github.com/Tencent/wepy/issues/322)